@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+
+// Node counterpart of generate_grid.rb, for machines without the rgeo gem
+import fs from "node:fs";
+import { getOutlineArea } from "./js/geometry.js";
+import { GridGenerator, SHAPES } from "./js/grid-generator.js";
+import { setLanguage } from "./js/i18n.js";
+import { NeighbourhoodGenerator } from "./js/neighbourhood-generator.js";
+import {
+  addBoard,
+  createBoardEntry,
+  createManifest,
+  findCity,
+  validateManifest,
+} from "./js/manifest.js";
+import {
+  createListingIndex,
+  createListingTable,
+  getListingIndexName,
+  getListingTableName,
+} from "./js/listings.js";
+
+const MANIFEST_FILE = "data/manifest.json";
+
+// The shared modules speak the player's language; this script speaks English
+setLanguage("en");
+
+function printUsage() {
+  console.log(
+    `Usage: node generate_grid.js <city_name> [cell_size_in_meters] [${SHAPES.join("|")}]`,
+  );
+  console.log("       node generate_grid.js <city_name> neighbourhoods");
+  console.log("       node generate_grid.js --manifest");
+  console.log("Examples:");
+  console.log(
+    "  node generate_grid.js lisboa           # Uses default 200m cells for Lisboa",
+  );
+  console.log(
+    "  node generate_grid.js lisboa 100       # Uses 100m cells for Lisboa",
+  );
+  console.log(
+    "  node generate_grid.js porto 500        # Uses 500m cells for Porto",
+  );
+  console.log(
+    "  node generate_grid.js lisboa 500 hex   # Uses 500m hexagons for Lisboa",
+  );
+  console.log(
+    "  node generate_grid.js lisboa neighbourhoods  # One cell per neighbourhood",
+  );
+  console.log(
+    "  node generate_grid.js --manifest       # Rebuilds data/manifest.json from data/*.geojson",
+  );
+  console.log("");
+  console.log(
+    "Requires: data/src/<city>/outline.geojson and data/src/<city>/listings.csv",
+  );
+  console.log(
+    "Neighbourhood boards read data/src/<city>/neighbourhoods.geojson instead of the outline",
+  );
+  console.log(
+    "  (Inside Airbnb's neighbourhoods.geojson, downloaded next to the city's listings.csv)",
+  );
+  console.log(
+    "Also writes data/<city>_listings.json and a per-cell index, data/<board>.listings.json",
+  );
+}
+
+function printStatistics(features) {
+  const allPrices = features.map((f) => f.properties.price_mean);
+  const allCounts = features.map((f) => f.properties.listings_count);
+  const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+  console.log("\nStatistics:");
+  console.log(
+    `Price range: €${Math.min(...allPrices)} - €${Math.max(...allPrices)}`,
+  );
+  console.log(
+    `Average price: €${(sum(allPrices) / allPrices.length).toFixed(2)}`,
+  );
+  console.log(`Total listings: ${sum(allCounts)}`);
+  console.log(
+    `Average listings per cell: ${(sum(allCounts) / allCounts.length).toFixed(1)}`,
+  );
+}
+
+function readManifest() {
+  if (!fs.existsSync(MANIFEST_FILE)) return createManifest();
+  return JSON.parse(fs.readFileSync(MANIFEST_FILE, "utf8"));
+}
+
+function writeManifest(manifest) {
+  validateManifest(manifest);
+  fs.writeFileSync(MANIFEST_FILE, JSON.stringify(manifest, null, 2) + "\n");
+  console.log(`Updated ${MANIFEST_FILE}`);
+}
+
+const tableHashes = new Map(); // City -> hash of its listing table
+
+function getCurrentListingIndex(city, boardName) {
+  // The board's listing index, only while it still matches the city's
+  // table: regenerating one board rewrites the shared table, and a stale
+  // index would show players a mismatch error instead of listings
+  const indexName = getListingIndexName(boardName);
+  const tableFile = `data/${getListingTableName(city)}`;
+  if (!fs.existsSync(`data/${indexName}`) || !fs.existsSync(tableFile)) {
+    return null;
+  }
+  if (!tableHashes.has(city)) {
+    tableHashes.set(city, JSON.parse(fs.readFileSync(tableFile, "utf8")).hash);
+  }
+
+  const { hash } = JSON.parse(fs.readFileSync(`data/${indexName}`, "utf8"));
+  if (hash !== tableHashes.get(city)) {
+    console.log(
+      `Warning: data/${indexName} doesn't match ${tableFile}, leaving out its listings; regenerate ${boardName}`,
+    );
+    return null;
+  }
+  return indexName;
+}
+
+function setCityArea(manifest, city) {
+  // The outline's area, which the game measures the mines' share of the
+  // city against: boards leave out the areas without listings
+  const file = `data/src/${city}/outline.geojson`;
+  if (!fs.existsSync(file)) return;
+  findCity(manifest, city).area = getOutlineArea(
+    JSON.parse(fs.readFileSync(file, "utf8")),
+  );
+}
+
+function rebuildManifest() {
+  // Keep the city names already in the catalogue, rebuild everything else
+  // from the board files: lisboa_500, lisboa_500_hex, lisboa_neighbourhoods
+  const names = new Map(
+    readManifest().cities.map((city) => [city.id, city.name]),
+  );
+  const manifest = createManifest();
+
+  fs.readdirSync("data")
+    .filter((file) => file.endsWith(".geojson"))
+    .sort()
+    .forEach((file) => {
+      const match = file.match(
+        /^([\w-]+?)_(?:(\d+)(?:_(\w+))?|(neighbourhoods))\.geojson$/,
+      );
+      if (!match) {
+        console.log(`Skipping ${file}: not a board file name`);
+        return;
+      }
+      const [, city, gridSize, shape, neighbourhoods] = match;
+      const geojson = JSON.parse(fs.readFileSync(`data/${file}`, "utf8"));
+      addBoard(
+        manifest,
+        city,
+        createBoardEntry(geojson, {
+          gridSize: gridSize,
+          shape: neighbourhoods ? "neighbourhood" : shape || "square",
+          listings: getCurrentListingIndex(city, geojson.name),
+        }),
+      );
+    });
+
+  manifest.cities.forEach((city) => {
+    if (names.has(city.id)) city.name = names.get(city.id);
+    setCityArea(manifest, city.id);
+  });
+  writeManifest(manifest);
+}
+
+const args = process.argv.slice(2);
+if (args.includes("-h") || args.includes("--help") || args.length < 1) {
+  printUsage();
+  process.exit(0);
+}
+
+if (args[0] === "--manifest") {
+  try {
+    rebuildManifest();
+  } catch (error) {
+    console.log(`Error building manifest: ${error.message}`);
+    process.exit(1);
+  }
+  process.exit(0);
+}
+
+const city = args[0];
+const byNeighbourhood = args[1] === "neighbourhoods";
+const cellSize =
+  args.length > 1 && !byNeighbourhood ? parseFloat(args[1]) : 200.0;
+const shape = args.length > 2 ? args[2] : "square";
+if (!(cellSize > 0)) {
+  console.log("Error: Cell size must be a positive number");
+  printUsage();
+  process.exit(1);
+}
+if (!SHAPES.includes(shape)) {
+  console.log(`Error: Invalid cell shape '${shape}'`);
+  printUsage();
+  process.exit(1);
+}
+
+const boundariesFile = byNeighbourhood
+  ? `data/src/${city}/neighbourhoods.geojson`
+  : `data/src/${city}/outline.geojson`;
+const airbnbFile = `data/src/${city}/listings.csv`;
+
+for (const file of [boundariesFile, airbnbFile]) {
+  if (!fs.existsSync(file)) {
+    console.log(`Error: ${file} not found!`);
+    process.exit(1);
+  }
+}
+
+console.log(`Using city: ${city}`);
+if (byNeighbourhood) {
+  console.log("Using one cell per neighbourhood");
+} else {
+  console.log(`Using cell shape: ${shape}`);
+  console.log(
+    `Using cell size: ${Math.trunc(cellSize)}m x ${Math.trunc(cellSize)}m`,
+  );
+}
+
+try {
+  const generator = byNeighbourhood
+    ? new NeighbourhoodGenerator(city)
+    : new GridGenerator(city, cellSize, shape);
+  const geojson = generator.generate(
+    JSON.parse(fs.readFileSync(boundariesFile, "utf8")),
+    fs.readFileSync(airbnbFile, "utf8"),
+  );
+
+  const outputFile = `data/${geojson.name}.geojson`;
+  fs.writeFileSync(outputFile, JSON.stringify(geojson, null, 2));
+
+  console.log(
+    `Successfully created ${outputFile} with ${geojson.features.length} grid cells`,
+  );
+  printStatistics(geojson.features);
+
+  // The listings behind each cell, fetched by the game on demand. The
+  // city's table is shared by all its boards.
+  const table = createListingTable(city, generator.listings);
+  const tableFile = `data/${getListingTableName(city)}`;
+  const indexName = getListingIndexName(geojson.name);
+  fs.writeFileSync(tableFile, JSON.stringify(table));
+  fs.writeFileSync(
+    `data/${indexName}`,
+    JSON.stringify(
+      createListingIndex(geojson.name, table, generator.listingsByCell),
+    ),
+  );
+  console.log(`Wrote ${tableFile} and data/${indexName}`);
+
+  const manifest = addBoard(
+    readManifest(),
+    city,
+    createBoardEntry(geojson, {
+      gridSize: Math.trunc(cellSize),
+      shape: byNeighbourhood ? "neighbourhood" : shape,
+      listings: indexName,
+    }),
+  );
+  // The city's other boards were indexed against the previous table
+  tableHashes.set(city, table.hash);
+  findCity(manifest, city).boards.forEach((board) => {
+    const listings = getCurrentListingIndex(
+      city,
+      board.file.replace(/\.geojson$/, ""),
+    );
+    if (!listings) delete board.listings;
+  });
+  setCityArea(manifest, city);
+  writeManifest(manifest);
+} catch (error) {
+  console.log(`Error generating grid: ${error.message}`);
+  process.exit(1);
+}
@@ -5,8 +5,11 @@ require 'csv'
 require 'rgeo'
 
 class GridGenerator
-  def initialize(city, cell_size = 200.0)
+  SHAPES = %w[square hex].freeze
+
+  def initialize(city, cell_size = 200.0, shape = 'square')
     @city = city
+    @shape = shape
     @outline_file = "data/src/#{city}/outline.geojson"
     @airbnb_file = "data/src/#{city}/listings.csv"
     @cell_size = cell_size.to_f
@@ -101,7 +104,12 @@ class GridGenerator
           price: price,
           point: point,
           lat: lat,
-          lon: lon
+          lon: lon,
+          entire_home: row['room_type'] == 'Entire home/apt',
+          licensed: !row['license'].to_s.strip.empty?,
+          host_listings: row['calculated_host_listings_count'].to_i,
+          availability: row['availability_365'].to_i,
+          reviews_ltm: row['number_of_reviews_ltm'].to_i
         }
       end
 
@@ -115,23 +123,88 @@ class GridGenerator
   end
 
   def create_grid(outline_geometry)
-    puts "Creating #{@cell_size.to_i}m x #{@cell_size.to_i}m grid..."
+    if @shape == 'hex'
+      create_hex_grid(outline_geometry)
+    else
+      create_square_grid(outline_geometry)
+    end
+  end
 
-    # Manually calculate bounding box from outline geometry
-    coords = []
+  def outline_bounds(outline_geometry)
     ring = outline_geometry.exterior_ring
-    (0...ring.num_points).each do |i|
+    coords = (0...ring.num_points).map do |i|
       point = ring.point_n(i)
-      coords << [point.x, point.y]
+      [point.x, point.y]
     end
 
     xs = coords.map { |c| c[0] }
     ys = coords.map { |c| c[1] }
+    [xs.min, ys.min, xs.max, ys.max]
+  end
+
+  def create_hex_grid(outline_geometry)
+    puts "Creating #{@cell_size.to_i}m hexagon grid..."
+
+    min_lon, min_lat, max_lon, max_lat = outline_bounds(outline_geometry)
+
+    # Pointy-top hexagons, cell size apart, with odd rows shifted half a cell
+    # east. Vertices sit on a lattice of half-widths by quarter-heights so
+    # neighbouring cells share exactly the same corner coordinates.
+    radius = @cell_size / Math.sqrt(3)
+    step_lon = meters_to_degrees_lon(@cell_size) / 2
+    step_lat = meters_to_degrees_lat(radius) / 2
+    point = ->(x, y) { @factory.point(min_lon + x * step_lon, min_lat + y * step_lat) }
+
+    cols = ((max_lon - min_lon) / (2 * step_lon)).ceil + 1
+    rows = ((max_lat - min_lat) / (3 * step_lat)).ceil + 1
+
+    puts "Grid will be #{cols} x #{rows} = #{cols * rows} cells"
+
+    grid_cells = []
+    cell_id = 1
 
-    min_lon = xs.min
-    min_lat = ys.min
-    max_lon = xs.max
-    max_lat = ys.max
+    (0...rows).each do |row|
+      (0...cols).each do |col|
+        x = 2 * col + (row % 2)
+        y = 3 * row
+
+        points = [
+          point.(x, y + 2),
+          point.(x + 1, y + 1),
+          point.(x + 1, y - 1),
+          point.(x, y - 2),
+          point.(x - 1, y - 1),
+          point.(x - 1, y + 1),
+          point.(x, y + 2)
+        ]
+
+        cell_polygon = @factory.polygon(@factory.linear_ring(points))
+
+        if outline_geometry.intersects?(cell_polygon)
+          grid_cells << {
+            id: cell_id,
+            polygon: cell_polygon,
+            left: point.(x - 1, y).x,
+            top: point.(x, y + 2).y,
+            right: point.(x + 1, y).x,
+            bottom: point.(x, y - 2).y,
+            row: row,
+            col: col
+          }
+        end
+
+        cell_id += 1
+      end
+    end
+
+    puts "Created #{grid_cells.length} grid cells that intersect with #{@city}"
+    grid_cells
+  end
+
+  def create_square_grid(outline_geometry)
+    puts "Creating #{@cell_size.to_i}m x #{@cell_size.to_i}m grid..."
+
+    min_lon, min_lat, max_lon, max_lat = outline_bounds(outline_geometry)
 
     puts "WGS84 Bounds: #{min_lon.round(6)}, #{min_lat.round(6)}, #{max_lon.round(6)}, #{max_lat.round(6)}"
 
@@ -204,8 +277,22 @@ class GridGenerator
     ]
   end
 
+  # Room type, licensing, host concentration and activity for a cell's
+  # listings. "Exempt" licences count as licensed; only blank ones don't.
+  def calculate_listing_stats(listings)
+    count = listings.length.to_f
+
+    {
+      'entire_home_pct' => (listings.count { |l| l[:entire_home] } * 100.0 / count).round(1),
+      'unlicensed_count' => listings.count { |l| !l[:licensed] }.to_f,
+      'multi_host_count' => listings.count { |l| l[:host_listings] > 1 }.to_f,
+      'availability_mean' => (listings.sum { |l| l[:availability] } / count).round(1),
+      'reviews_ltm' => listings.sum { |l| l[:reviews_ltm] }.to_f
+    }
+  end
+
   def process_grid(grid_cells, airbnb_listings)
-    puts "Calculating price statistics for each cell..."
+    puts "Calculating listing statistics for each cell..."
 
     features = []
 
@@ -215,13 +302,10 @@ class GridGenerator
       end
 
       # Find listings within this cell
-      prices_in_cell = []
-
-      airbnb_listings.each do |listing|
-        if cell[:polygon].contains?(listing[:point])
-          prices_in_cell << listing[:price]
-        end
+      listings_in_cell = airbnb_listings.select do |listing|
+        cell[:polygon].contains?(listing[:point])
       end
+      prices_in_cell = listings_in_cell.map { |listing| listing[:price] }
 
       # Calculate statistics
       price_min, price_max, price_mean, num_points = calculate_price_stats(prices_in_cell)
@@ -238,7 +322,12 @@ class GridGenerator
           'price_max' => price_max.round(2),
           'price_mean' => price_mean.round(2),
           'listings_count' => num_points.to_f
-        }
+        }.merge(calculate_listing_stats(listings_in_cell))
+
+        # Hex rows interlock, so keep their lattice position for the game
+        if @shape == 'hex'
+          properties = properties.merge('row' => cell[:row], 'col' => cell[:col])
+        end
 
         # Convert polygon to coordinate array for GeoJSON (already in WGS84)
         exterior_ring = cell[:polygon].exterior_ring
@@ -265,6 +354,11 @@ class GridGenerator
     features
   end
 
+  def output_name
+    name = "#{@city}_#{@cell_size.to_i}"
+    @shape == 'hex' ? "#{name}_hex" : name
+  end
+
   def generate
     # Load data
     outline = load_city_outline
@@ -279,7 +373,7 @@ class GridGenerator
     # Create GeoJSON output
     geojson_output = {
       'type' => 'FeatureCollection',
-      'name' => "#{@city}_#{@cell_size.to_i}",
+      'name' => output_name,
       'crs' => {
         'type' => 'name',
         'properties' => {
@@ -290,7 +384,7 @@ class GridGenerator
     }
 
     # Save to file
-    output_file = "data/#{@city}_#{@cell_size.to_i}.geojson"
+    output_file = "data/#{output_name}.geojson"
     puts "Saving to #{output_file}..."
 
     File.write(output_file, JSON.pretty_generate(geojson_output))
@@ -312,11 +406,12 @@ class GridGenerator
 end
 
 def print_usage
-  puts "Usage: ruby generate_grid.rb <city_name> [cell_size_in_meters]"
+  puts "Usage: ruby generate_grid.rb <city_name> [cell_size_in_meters] [square|hex]"
   puts "Examples:"
   puts "  ruby generate_grid.rb lisboa           # Uses default 200m cells for Lisboa"
   puts "  ruby generate_grid.rb lisboa 100       # Uses 100m cells for Lisboa"
   puts "  ruby generate_grid.rb porto 500        # Uses 500m cells for Porto"
+  puts "  ruby generate_grid.rb lisboa 500 hex   # Uses 500m hexagons for Lisboa"
   puts ""
   puts "Requires: data/src/<city>/outline.geojson and data/src/<city>/listings.csv"
 end
@@ -347,6 +442,13 @@ if __FILE__ == $0
     end
   end
 
+  shape = ARGV.length > 2 ? ARGV[2] : 'square'
+  unless GridGenerator::SHAPES.include?(shape)
+    puts "Error: Invalid cell shape '#{shape}'"
+    print_usage
+    exit 1
+  end
+
   # Check if files exist
   outline_file = "data/src/#{city}/outline.geojson"
   airbnb_file = "data/src/#{city}/listings.csv"
@@ -363,9 +465,10 @@ if __FILE__ == $0
 
   puts "Using city: #{city}"
   puts "Using cell size: #{cell_size.to_i}m x #{cell_size.to_i}m"
+  puts "Using cell shape: #{shape}"
   puts ""
 
   # Generate the grid
-  generator = GridGenerator.new(city, cell_size)
+  generator = GridGenerator.new(city, cell_size, shape)
   generator.generate
 end
@@ -0,0 +1,64 @@
+// Background map tiles, and the plain fallback used when they can't load
+// (offline, or kiosks without internet access)
+import { t } from "./i18n.js";
+
+export const DEFAULT_TILES = {
+  url: "https://tiles.stadiamaps.com/tiles/stamen_toner/{z}/{x}/{y}.png",
+  attribution: "© Stadia Maps © Stamen Design © OpenStreetMap contributors",
+};
+
+// Tile URL value for playing on the plain background only
+export const NO_TILES = "none";
+
+export function validateTileURL(url) {
+  // Leaflet URL template: absolute http(s), or relative to the page so
+  // kiosks can serve their own tiles
+  if (url === NO_TILES) return url;
+
+  const missing = ["{z}", "{x}", "{y}"].filter(
+    (placeholder) => !url.includes(placeholder),
+  );
+  if (missing.length > 0) {
+    throw new Error(
+      t("error.tilesPlaceholders", {
+        missing: missing.join(", "),
+        none: NO_TILES,
+      }),
+    );
+  }
+
+  let protocol;
+  try {
+    protocol = new URL(url, "http://localhost/").protocol;
+  } catch (error) {
+    protocol = null;
+  }
+  if (!["http:", "https:"].includes(protocol)) {
+    throw new Error(t("error.tilesProtocol"));
+  }
+  return url;
+}
+
+export class BasemapMonitor {
+  // Decides when to give up on the tile layer: only when none of the first
+  // tiles load, so a few missing tiles on a working server don't hide the map
+  constructor(maxErrors = 4) {
+    this.maxErrors = maxErrors;
+    this.loads = 0;
+    this.errors = 0;
+    this.failed = false;
+  }
+
+  recordLoad() {
+    this.loads++;
+  }
+
+  recordError() {
+    this.errors++;
+    if (!this.failed && this.loads === 0 && this.errors >= this.maxErrors) {
+      this.failed = true;
+      return true;
+    }
+    return false;
+  }
+}
@@ -0,0 +1,146 @@
+// postMessage bridge between the game and an embedding page (e.g. index.html)
+//
+// Every message in either direction has the shape
+//   { source: "airbnb-minesweeper", version: 1, type, payload }
+//
+// Events sent to the parent: ready, cellRevealed, flagToggled, gameOver, error
+// Commands accepted from the parent: newGame, setConfig, reveal (refused
+// during a replay)
+const BRIDGE_SOURCE = "airbnb-minesweeper";
+const BRIDGE_VERSION = 1;
+// Commands that play a move, refused while a replay is on the board
+const MOVE_COMMANDS = ["reveal"];
+
+export class GameBridge {
+  constructor() {
+    this.config = null;
+    this.game = null;
+    this.commandHandlers = {};
+    this.boundHandleMessage = this.handleMessage.bind(this);
+  }
+
+  initialize(config, commandHandlers) {
+    this.config = config;
+    this.commandHandlers = commandHandlers;
+    window.addEventListener("message", this.boundHandleMessage);
+  }
+
+  attach(game) {
+    // Forward game moves to the parent page. Replays re-run old moves, which
+    // the parent has already been told about, so those are skipped
+    this.game = game;
+    game.on("cellRevealed", (cell) => {
+      if (game.isReplaying()) return;
+      this.post("cellRevealed", this.describeCell(cell));
+    });
+    game.on("flagToggled", (cell) => {
+      if (game.isReplaying()) return;
+      this.post("flagToggled", {
+        ...this.describeCell(cell),
+        flagged: cell.isFlagged,
+        flagCount: game.getFlagCount(),
+      });
+    });
+    game.on("gameOver", () => {
+      if (game.isReplaying()) return;
+      this.post("gameOver", this.describeResult(game));
+    });
+  }
+
+  isEmbedded() {
+    return window.parent && window.parent !== window;
+  }
+
+  post(type, payload = {}) {
+    if (!this.isEmbedded()) return;
+
+    // Game events carry no private data, so any embedding origin may listen
+    window.parent.postMessage(
+      { source: BRIDGE_SOURCE, version: BRIDGE_VERSION, type, payload },
+      "*",
+    );
+  }
+
+  postReady(game) {
+    this.post("ready", {
+      cellCount: game.getCells().length,
+      mineCount: game.getMineCount(),
+      config: this.config.getParams(),
+    });
+  }
+
+  describeCell(cell) {
+    return {
+      cellId: cell.id,
+      isMine: cell.isMine,
+      adjacentMines: cell.adjacentMines,
+      value: cell.value,
+      // Neighbourhood boards name their cells
+      ...(cell.feature.properties.name
+        ? { name: cell.feature.properties.name }
+        : {}),
+    };
+  }
+
+  describeResult(game) {
+    const won = game.getGameState() === "won";
+    return {
+      result: won ? "won" : "lost",
+      won: won,
+      time: game.getElapsedTime(),
+      counts: {
+        cells: game.getCells().length,
+        mines: game.getMineCount(),
+        flags: game.getFlagCount(),
+        revealed: game.getRevealedCount(),
+        undos: game.getUndoCount(),
+        hints: game.getHintCount(),
+      },
+      config: this.config.getParams(),
+    };
+  }
+
+  async handleMessage(event) {
+    // Only take commands from the page that embeds us
+    if (!this.isEmbedded() || event.source !== window.parent) return;
+
+    const message = event.data;
+    if (!message || message.source !== BRIDGE_SOURCE) return;
+
+    if (message.version !== BRIDGE_VERSION) {
+      this.post("error", {
+        command: message.type,
+        message: `Unsupported protocol version: ${message.version}`,
+      });
+      return;
+    }
+
+    const handler = this.commandHandlers[message.type];
+    if (!handler) {
+      this.post("error", {
+        command: message.type,
+        message: `Unknown command: ${message.type}`,
+      });
+      return;
+    }
+
+    if (
+      MOVE_COMMANDS.includes(message.type) &&
+      this.game &&
+      this.game.isReplaying()
+    ) {
+      this.post("error", {
+        command: message.type,
+        message: "Can't play moves during a replay",
+      });
+      return;
+    }
+
+    try {
+      await handler(message.payload || {});
+    } catch (error) {
+      console.error(`Bridge command ${message.type} failed:`, error);
+      this.post("error", { command: message.type, message: error.message });
+    }
+  }
+}
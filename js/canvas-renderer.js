@@ -0,0 +1,90 @@
+// Canvas rendering for large boards. Leaflet draws every cell into one
+// canvas (L.canvas, which hit-tests clicks and redraws changed cells once
+// per frame), and CanvasCellLabels draws the numbers and mines on top,
+// instead of an SVG path and a marker element per cell.
+
+// Values of the renderer param; "svg" is Leaflet's default
+export const RENDERERS = ["svg", "canvas"];
+
+// Share of the view drawn beyond each edge, so panning doesn't show a gap
+// before the next redraw (as Leaflet's own renderers do)
+const PADDING = 0.1;
+
+export class CanvasCellLabels {
+  constructor(map, pane) {
+    this.map = map;
+    this.labels = new Map(); // Cell id -> {latLng, text, colour, bold}
+    this.frame = null;
+    this.canvas = L.DomUtil.create("canvas", "cell-labels", map.getPane(pane));
+
+    // Labels can't follow the zoom animation, so hide them until it ends
+    map.on("zoomstart", () => {
+      this.canvas.style.visibility = "hidden";
+    });
+    map.on("moveend zoomend resize viewreset", () => this.requestRedraw());
+  }
+
+  set(cellId, latLng, label) {
+    // label as from getCellLabel, or null to remove the cell's label
+    if (label) {
+      this.labels.set(cellId, { latLng: latLng, ...label });
+    } else if (!this.labels.delete(cellId)) {
+      return;
+    }
+    this.requestRedraw();
+  }
+
+  clear() {
+    this.labels.clear();
+    this.requestRedraw();
+  }
+
+  requestRedraw() {
+    // A flood fill changes hundreds of cells in one go; draw them together
+    if (this.frame !== null) return;
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.draw();
+    });
+  }
+
+  draw() {
+    const size = this.map.getSize();
+    const padding = size.multiplyBy(PADDING).round();
+    const width = size.x + 2 * padding.x;
+    const height = size.y + 2 * padding.y;
+    const ratio = window.devicePixelRatio || 1;
+
+    // Resizing clears the canvas and resets its transform
+    const canvas = this.canvas;
+    canvas.width = Math.round(width * ratio);
+    canvas.height = Math.round(height * ratio);
+    canvas.style.width = `${width}px`;
+    canvas.style.height = `${height}px`;
+    L.DomUtil.setPosition(
+      canvas,
+      this.map.containerPointToLayerPoint(padding.multiplyBy(-1)),
+    );
+
+    const context = canvas.getContext("2d");
+    context.scale(ratio, ratio);
+    context.textAlign = "center";
+    context.textBaseline = "middle";
+
+    this.labels.forEach(({ latLng, text, colour, bold }) => {
+      const point = this.map.latLngToContainerPoint(latLng).add(padding);
+      if (point.x < 0 || point.y < 0 || point.x > width || point.y > height) {
+        return;
+      }
+      // Same type as the SVG renderer's markers: bold numbers, and emoji
+      // in the map's font
+      context.font = bold
+        ? "bold 14px Arial, sans-serif"
+        : '12px "Helvetica Neue", Arial, Helvetica, sans-serif';
+      context.fillStyle = colour;
+      context.fillText(text, point.x, point.y);
+    });
+
+    canvas.style.visibility = "";
+  }
+}
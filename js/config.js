@@ -1,48 +1,276 @@
 // Configuration parser for URL query parameters
-class GameConfig {
-  constructor() {
-    this.params = this.parseURLParams();
+import { DEFAULT_TILES, validateTileURL } from "./basemap.js";
+import { RENDERERS } from "./canvas-renderer.js";
+import {
+  DIFFICULTIES,
+  computeThreshold,
+  getDifficultyName,
+} from "./difficulty.js";
+import { t } from "./i18n.js";
+import {
+  BOARD_SHAPES as SHAPES,
+  checkParams,
+  findBoard,
+  findCity,
+} from "./manifest.js";
+import { PALETTES } from "./palettes.js";
+import { TOUCH_TARGETS } from "./touch.js";
+import {
+  METRICS,
+  compileRule,
+  describeRule,
+  getMetricName,
+  parseRule,
+} from "./rules.js";
+
+const PARAM_NAMES = [
+  "city",
+  "gridSize",
+  "shape",
+  "mode",
+  "value",
+  "safeStart",
+  "practice",
+  "start",
+  "rule",
+  "difficulty",
+];
+
+export class GameConfig {
+  constructor(search = "", manifest = null) {
+    // Without a manifest (e.g. in tests) any well-formed board is accepted
+    this.manifest = manifest;
+    this.params = this.parseURLParams(search);
     this.validateParams();
+
+    // The basemap, colours, renderer and touch target are settings of the
+    // device, not part of the game, so they stay out of the params that get
+    // shared and replayed.
+    // So is the language (lang), which main.js sets up before this runs.
+    const urlParams = new URLSearchParams(search);
+    const tiles = urlParams.get("tiles");
+    this.tiles = tiles
+      ? { url: validateTileURL(tiles), attribution: "" }
+      : DEFAULT_TILES;
+
+    this.palette = urlParams.get("palette") || "default";
+    if (!Object.keys(PALETTES).includes(this.palette)) {
+      throw new Error(
+        t("error.palette", { options: Object.keys(PALETTES).join(", ") }),
+      );
+    }
+
+    // Drawing cells on a canvas is faster on big boards, e.g. for phones
+    this.renderer = urlParams.get("renderer") || "svg";
+    if (!RENDERERS.includes(this.renderer)) {
+      throw new Error(t("error.renderer", { options: RENDERERS.join(", ") }));
+    }
+
+    // Small fingers on small cells: "large" zooms in before tapping them
+    this.touchTarget = urlParams.get("touchTarget") || "normal";
+    if (!TOUCH_TARGETS.includes(this.touchTarget)) {
+      throw new Error(
+        t("error.touchTarget", { options: TOUCH_TARGETS.join(", ") }),
+      );
+    }
   }
 
-  parseURLParams() {
-    const urlParams = new URLSearchParams(window.location.search);
+  parseURLParams(search) {
+    const urlParams = new URLSearchParams(search);
+    const difficulty = urlParams.get("difficulty") || null;
     return {
       city: urlParams.get("city") || "lisboa",
       gridSize: urlParams.get("gridSize") || "500",
+      shape: urlParams.get("shape") || "square",
       mode: urlParams.get("mode") || "listings_count",
-      value: parseFloat(urlParams.get("value")) || 3,
+      // Without an explicit value a difficulty preset sets it once data loads
+      value: parseFloat(urlParams.get("value")) || (difficulty ? null : 3),
+      safeStart: ["true", "1"].includes(urlParams.get("safeStart")),
+      practice: ["true", "1"].includes(urlParams.get("practice")),
+      start: urlParams.has("start") ? Number(urlParams.get("start")) : null,
+      rule: urlParams.get("rule") || null,
+      difficulty: difficulty,
     };
   }
 
   validateParams() {
     // Validate city name (alphanumeric only)
     if (!/^[a-zA-Z0-9_-]+$/.test(this.params.city)) {
-      throw new Error(
-        "Invalid city name. Only alphanumeric characters, hyphens, and underscores are allowed.",
-      );
+      throw new Error(t("error.city"));
     }
 
     // Validate grid size (numbers only)
     if (!/^\d+$/.test(this.params.gridSize)) {
-      throw new Error("Invalid grid size. Must be a positive integer.");
+      throw new Error(t("error.gridSize"));
+    }
+
+    // Validate cell shape
+    if (!SHAPES.includes(this.params.shape)) {
+      throw new Error(t("error.shape", { options: SHAPES.join(", ") }));
     }
 
     // Validate mode
-    if (!["listings_count", "price_mean"].includes(this.params.mode)) {
+    if (!METRICS.includes(this.params.mode)) {
+      throw new Error(t("error.mode", { options: METRICS.join(", ") }));
+    }
+
+    // Validate rule (optional, replaces mode/value when given)
+    if (this.params.rule !== null) {
+      parseRule(this.params.rule);
+    }
+
+    // Validate difficulty (optional preset computing the value from the data)
+    if (this.params.difficulty !== null) {
+      if (!Object.keys(DIFFICULTIES).includes(this.params.difficulty)) {
+        throw new Error(
+          t("error.difficulty", {
+            options: Object.keys(DIFFICULTIES).join(", "),
+          }),
+        );
+      }
+      if (this.params.rule !== null) {
+        throw new Error(t("error.difficultyWithRule"));
+      }
+    }
+
+    // Validate value (must be a positive number, unless a difficulty preset
+    // will fill it in)
+    const awaitingDifficulty =
+      this.params.value === null && this.params.difficulty !== null;
+    if (
+      !awaitingDifficulty &&
+      (isNaN(this.params.value) || this.params.value <= 0)
+    ) {
+      throw new Error(t("error.value"));
+    }
+
+    // Validate start cell (optional cell id for the safe opening)
+    if (
+      this.params.start !== null &&
+      !(Number.isInteger(this.params.start) && this.params.start >= 0)
+    ) {
+      throw new Error(t("error.start"));
+    }
+
+    // Check the board and the metrics the rule uses exist in the catalogue
+    if (this.manifest) {
+      const metrics = this.params.rule
+        ? compileRule(this.params.rule).metrics
+        : [this.params.mode];
+      checkParams(this.manifest, this.params, metrics);
+    }
+  }
+
+  setParams(params) {
+    // Apply a partial update, e.g. from the embedding page, keeping the
+    // previous params if the new combination doesn't validate
+    const unknownParams = Object.keys(params).filter(
+      (name) => !PARAM_NAMES.includes(name),
+    );
+    if (unknownParams.length > 0) {
       throw new Error(
-        'Invalid game mode. Must be either "listings_count" or "price_mean".',
+        t("error.unknownOption", { options: unknownParams.join(", ") }),
       );
     }
 
-    // Validate value (must be a positive number)
-    if (isNaN(this.params.value) || this.params.value <= 0) {
-      throw new Error("Invalid threshold value. Must be a positive number.");
+    const previousParams = this.params;
+    this.params = { ...this.params, ...params };
+
+    if (params.gridSize !== undefined) {
+      this.params.gridSize = String(params.gridSize);
+    }
+    if (params.value !== undefined) {
+      this.params.value = parseFloat(params.value);
+      // A value set by hand replaces the preset, unless it comes with one,
+      // e.g. a replay's config carrying the value the preset computed
+      if (params.difficulty === undefined) this.params.difficulty = null;
+    } else if (params.difficulty !== undefined || params.mode !== undefined) {
+      // Recompute the threshold for the new preset or metric
+      this.params.value = this.params.difficulty
+        ? null
+        : previousParams.value || 3;
+    } else if (
+      this.params.difficulty &&
+      ["city", "gridSize", "shape"].some(
+        (name) => this.params[name] !== previousParams[name],
+      )
+    ) {
+      // A preset's threshold depends on the board's cells
+      this.params.value = null;
+    }
+    if (params.safeStart !== undefined) {
+      this.params.safeStart = [true, "true", "1"].includes(params.safeStart);
+    }
+    if (params.practice !== undefined) {
+      this.params.practice = [true, "true", "1"].includes(params.practice);
+    }
+    if (params.start !== undefined && params.start !== null) {
+      this.params.start = Number(params.start);
     }
+
+    try {
+      this.validateParams();
+    } catch (error) {
+      this.params = previousParams;
+      throw error;
+    }
+  }
+
+  getParams() {
+    return { ...this.params };
+  }
+
+  restoreParams(params) {
+    // Go back to params from getParams, e.g. when the new board didn't load
+    this.params = { ...params };
+  }
+
+  getDataName() {
+    // Matches the generators' output names: lisboa_500, lisboa_500_hex or
+    // lisboa_neighbourhoods
+    const { city, gridSize, shape } = this.params;
+    if (shape === "neighbourhood") return `${city}_neighbourhoods`;
+    return shape === "square"
+      ? `${city}_${gridSize}`
+      : `${city}_${gridSize}_${shape}`;
+  }
+
+  getBoard() {
+    return this.manifest ? findBoard(this.manifest, this.params) : null;
   }
 
   getDataURL() {
-    return `data/${this.params.city}_${this.params.gridSize}.geojson`;
+    const board = this.getBoard();
+    return `data/${board ? board.file : `${this.getDataName()}.geojson`}`;
+  }
+
+  getListingsURL() {
+    // The board's per-cell listing index, if it has one
+    const board = this.getBoard();
+    return board && board.listings ? `data/${board.listings}` : null;
+  }
+
+  getTiles() {
+    return this.tiles;
+  }
+
+  getPalette() {
+    return PALETTES[this.palette];
+  }
+
+  getRenderer() {
+    return this.renderer;
+  }
+
+  getTouchTarget() {
+    return this.touchTarget;
+  }
+
+  getCityArea() {
+    // Area of the city's outline (see getOutlineArea), when the manifest
+    // has it
+    const city = this.manifest && findCity(this.manifest, this.params.city);
+    return city && city.area ? city.area : null;
   }
 
   getCity() {
@@ -53,6 +281,10 @@ class GameConfig {
     return this.params.gridSize;
   }
 
+  getShape() {
+    return this.params.shape;
+  }
+
   getMode() {
     return this.params.mode;
   }
@@ -61,17 +293,46 @@ class GameConfig {
     return this.params.value;
   }
 
+  isSafeStart() {
+    return this.params.safeStart;
+  }
+
+  isPractice() {
+    return this.params.practice;
+  }
+
+  getStartCell() {
+    return this.params.start;
+  }
+
+  getDifficulty() {
+    return this.params.difficulty;
+  }
+
+  getDifficultyDisplayName() {
+    return DIFFICULTIES[this.params.difficulty]
+      ? getDifficultyName(this.params.difficulty)
+      : null;
+  }
+
+  resolveDifficulty(features) {
+    // Fill in the threshold for a difficulty preset from the loaded cells
+    if (this.params.value !== null) return;
+
+    const { mineRatio } = DIFFICULTIES[this.params.difficulty];
+    this.params.value = computeThreshold(features, this.params.mode, mineRatio);
+  }
+
+  getRule() {
+    // Plain mode/value params are shorthand for a single comparison
+    return this.params.rule || `${this.params.mode}>=${this.params.value}`;
+  }
+
+  getRuleDisplayName() {
+    return describeRule(this.getRule());
+  }
+
   getModeDisplayName() {
-    switch (this.params.mode) {
-      case "listings_count":
-        return "Contagem de Anúncios";
-      case "price_mean":
-        return "Preço Médio (€)";
-      default:
-        return this.params.mode;
-    }
+    return getMetricName(this.params.mode);
   }
 }
-
-// Global config instance
-window.gameConfig = new GameConfig();
@@ -0,0 +1,42 @@
+// Difficulty presets that derive the mine threshold from the loaded data
+import { t } from "./i18n.js";
+
+export const DIFFICULTIES = {
+  easy: { mineRatio: 0.12 },
+  medium: { mineRatio: 0.18 },
+  hard: { mineRatio: 0.25 },
+  expert: { mineRatio: 0.32 },
+};
+
+export function getDifficultyName(difficulty) {
+  return t(`difficulty.${difficulty}`);
+}
+
+export function computeThreshold(features, metric, mineRatio) {
+  // Cells at or above the threshold are mines, so walk the distinct values
+  // from the top and keep the one whose mine share lands closest to target
+  const values = features
+    .map((feature) => feature.properties[metric])
+    .filter((value) => typeof value === "number")
+    .sort((a, b) => b - a);
+
+  if (values.length === 0) {
+    throw new Error(t("error.noMetricValues", { metric: metric }));
+  }
+
+  let bestThreshold = values[0];
+  let bestDistance = Infinity;
+
+  values.forEach((value, index) => {
+    const isLastOfValue = values[index + 1] !== value;
+    if (!isLastOfValue) return;
+
+    const distance = Math.abs((index + 1) / values.length - mineRatio);
+    if (distance < bestDistance) {
+      bestThreshold = value;
+      bestDistance = distance;
+    }
+  });
+
+  return bestThreshold;
+}
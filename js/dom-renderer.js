@@ -0,0 +1,53 @@
+// Plain DOM renderer for game cells, for boards drawn without a map.
+// Styling uses the .game-cell / .cell-* classes defined in game.html.
+export class DomCellRenderer {
+  constructor(game) {
+    this.game = game;
+    this.cellElements = new Map();
+    this.unsubscribe = game.on("cellChanged", (cell) =>
+      this.updateCellDisplay(cell),
+    );
+  }
+
+  attachCellElement(cell, element) {
+    this.cellElements.set(cell.id, element);
+    element.addEventListener("click", (e) => {
+      e.preventDefault();
+      this.game.handleCellClick(cell);
+    });
+    element.addEventListener("contextmenu", (e) => {
+      e.preventDefault();
+      this.game.handleCellRightClick(cell);
+    });
+    this.updateCellDisplay(cell);
+  }
+
+  updateCellDisplay(cell) {
+    const element = this.cellElements.get(cell.id);
+    if (!element) return;
+
+    // Reset classes
+    element.className = "game-cell";
+    element.innerHTML = "";
+
+    if (cell.isFlagged) {
+      element.classList.add("cell-flagged");
+    } else if (cell.isRevealed) {
+      element.classList.add("cell-revealed");
+
+      if (cell.isMine) {
+        element.classList.add("cell-mine");
+      } else if (cell.adjacentMines > 0) {
+        element.textContent = cell.adjacentMines;
+        element.classList.add(`cell-number-${cell.adjacentMines}`);
+      }
+    } else {
+      element.classList.add("cell-hidden");
+    }
+  }
+
+  destroy() {
+    this.unsubscribe();
+    this.cellElements.clear();
+  }
+}
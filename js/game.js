@@ -1,23 +1,95 @@
-// Core minesweeper game logic
-class MinesweeperGame {
+// Core minesweeper game logic, independent of the browser so it can run
+// headless under Node as well as behind the map
+import { distanceToSegment, getGeometryBounds, getRings } from "./geometry.js";
+import { t } from "./i18n.js";
+import { compileRule } from "./rules.js";
+
+// Distance in degrees (about a centimetre) within which polygon vertices
+// count as the same point
+const VERTEX_TOLERANCE = 1e-7;
+// Distance in degrees (about a metre) within which a vertex lies on another
+// polygon's edge, for boundaries digitised with different vertices
+const EDGE_TOLERANCE = 1e-5;
+
+export class MinesweeperGame {
   constructor() {
+    this.options = {
+      mode: "listings_count",
+      value: 3,
+      safeStart: false,
+      practice: false, // Allow undoing the click that lost the game
+      start: null, // Cell id to open in safe start mode, e.g. from a challenge
+      rule: null, // Mine rule text, defaults to "<mode> >= <value>"
+    };
     this.cells = [];
+    this.cellsById = new Map();
+    this.rule = null;
     this.gameState = "ready"; // 'ready', 'playing', 'won', 'lost'
     this.mineCount = 0;
     this.flagCount = 0;
     this.revealedCount = 0;
 
     this.clickedMine = null; // Track which mine was clicked to trigger game over
+    this.openingCell = null; // Cell revealed for the player in safe start mode
+    this.startTime = null;
+    this.endTime = null;
+
+    this.moves = []; // Move log: { type, cellId, time, revealed }
+    this.currentMove = null;
+    this.undoCount = 0;
+    this.hintCount = 0;
+    this.replaying = false; // Moves are being played back by GameReplay
+
+    this.listeners = new Map(); // Event name -> Set of listener functions
+  }
+
+  on(eventName, listener) {
+    // Subscribe to a game event. Events emitted:
+    //   cellChanged(cell)   - a cell's revealed/flagged state changed
+    //   cellRevealed(cell)  - a cell was revealed by the player or flood fill
+    //   flagToggled(cell)   - a flag was placed or removed
+    //   stateChanged(game)  - counters or game state changed
+    //   gameOver({ won })   - the game was won or lost
+    // Returns a function that removes the listener again.
+    if (!this.listeners.has(eventName)) {
+      this.listeners.set(eventName, new Set());
+    }
+    this.listeners.get(eventName).add(listener);
+    return () => this.off(eventName, listener);
+  }
 
-    this.boundCellClick = this.handleCellClick.bind(this);
-    this.boundCellRightClick = this.handleCellRightClick.bind(this);
+  off(eventName, listener) {
+    const listeners = this.listeners.get(eventName);
+    if (listeners) {
+      listeners.delete(listener);
+    }
   }
 
-  initializeGame(geojsonData) {
+  emit(eventName, ...args) {
+    const listeners = this.listeners.get(eventName);
+    if (!listeners) return;
+
+    listeners.forEach((listener) => {
+      try {
+        listener(...args);
+      } catch (error) {
+        console.error(`Error in ${eventName} listener:`, error);
+      }
+    });
+  }
+
+  initializeGame(geojsonData, options = {}) {
+    // options: { mode, value, rule, safeStart, practice, start } - usually
+    // GameConfig.getParams()
     console.log("Starting game initialization with data:", geojsonData);
+    this.options = { ...this.options, ...options };
     this.resetGame();
     this.processGeoJSONData(geojsonData);
+    this.buildNeighbourIndex();
     this.calculateAdjacentMines();
+    if (this.options.safeStart || this.options.start !== null) {
+      this.openSafeStart();
+    }
     this.updateUI();
     console.log(
       `Game initialized: ${this.cells.length} cells, ${this.mineCount} mines`,
@@ -27,26 +99,36 @@ class MinesweeperGame {
 
   resetGame() {
     this.cells = [];
+    this.cellsById = new Map();
     this.gameState = "ready";
     this.mineCount = 0;
     this.flagCount = 0;
     this.revealedCount = 0;
     this.clickedMine = null;
+    this.openingCell = null;
+    this.startTime = null;
+    this.endTime = null;
+    this.moves = [];
+    this.currentMove = null;
+    this.undoCount = 0;
+    this.hintCount = 0;
   }
 
   processGeoJSONData(geojsonData) {
-    const config = window.gameConfig;
-    const mode = config.getMode();
-    const threshold = config.getValue();
+    const ruleText =
+      this.options.rule || `${this.options.mode}>=${this.options.value}`;
+    this.rule = compileRule(ruleText);
+    // Value shown for each cell: the mode's metric, or the rule's first one
+    const mode = this.options.rule ? this.rule.metrics[0] : this.options.mode;
 
     console.log(
-      `Processing ${geojsonData.features.length} features, mode: ${mode}, threshold: ${threshold}`,
+      `Processing ${geojsonData.features.length} features, rule: ${ruleText}`,
     );
 
     geojsonData.features.forEach((feature, index) => {
       const props = feature.properties;
       const value = props[mode];
-      const isMine = value >= threshold;
+      const isMine = this.rule.test(props);
 
       if (isMine) {
         this.mineCount++;
@@ -59,11 +141,15 @@ class MinesweeperGame {
         isMine: isMine,
         isRevealed: false,
         isFlagged: false,
+        isWrongFlag: false,
         adjacentMines: 0,
-        element: null,
+        neighbours: [],
+        row: 0,
+        col: 0,
       };
 
       this.cells.push(cell);
+      this.cellsById.set(cell.id, cell);
 
       if (index < 3) {
         console.log(`Cell ${index}:`, cell);
@@ -82,23 +168,239 @@ class MinesweeperGame {
   }
 
   countAdjacentMines(targetCell) {
-    let count = 0;
-    const targetBounds = this.getCellBounds(targetCell);
+    return this.getNeighbours(targetCell).filter((cell) => cell.isMine).length;
+  }
+
+  buildNeighbourIndex() {
+    if (this.cells.length === 0) return;
+
+    if (this.cells.every((cell) => this.isRectangleCell(cell))) {
+      this.buildRectangleNeighbourIndex();
+    } else {
+      this.buildSharedVertexIndex();
+    }
+  }
+
+  buildRectangleNeighbourIndex() {
+    // Bucket cells by grid row/column so each neighbour lookup only has to
+    // compare against the 3x3 block of buckets around a cell
+    const firstBounds = this.getCellBounds(this.cells[0]);
+    const cellWidth = firstBounds.right - firstBounds.left;
+    const cellHeight = firstBounds.top - firstBounds.bottom;
+    let originLeft = Infinity;
+    let originBottom = Infinity;
+
+    this.cells.forEach((cell) => {
+      const bounds = this.getCellBounds(cell);
+      originLeft = Math.min(originLeft, bounds.left);
+      originBottom = Math.min(originBottom, bounds.bottom);
+    });
+
+    const buckets = new Map();
+    this.cells.forEach((cell) => {
+      const bounds = this.getCellBounds(cell);
+      cell.col = Math.round((bounds.left - originLeft) / cellWidth);
+      cell.row = Math.round((bounds.bottom - originBottom) / cellHeight);
+
+      const key = `${cell.row}:${cell.col}`;
+      if (!buckets.has(key)) {
+        buckets.set(key, []);
+      }
+      buckets.get(key).push(cell);
+    });
+
+    this.cells.forEach((cell) => {
+      const cellBounds = this.getCellBounds(cell);
+      cell.neighbours = [];
+
+      for (let dRow = -1; dRow <= 1; dRow++) {
+        for (let dCol = -1; dCol <= 1; dCol++) {
+          const bucket = buckets.get(`${cell.row + dRow}:${cell.col + dCol}`);
+          if (!bucket) continue;
+
+          bucket.forEach((candidate) => {
+            if (
+              candidate !== cell &&
+              this.areCellsAdjacent(cellBounds, this.getCellBounds(candidate))
+            ) {
+              cell.neighbours.push(candidate);
+            }
+          });
+        }
+      }
+    });
+  }
+
+  buildSharedVertexIndex() {
+    // Polygon cells such as hexagons or neighbourhoods are neighbours when
+    // their boundaries meet. Boundaries that meet share their vertices, so
+    // snap vertices to a fine lattice and also look in the surrounding
+    // lattice points to absorb rounding differences between the two sides.
+    const cellsByVertex = new Map();
+    const snap = ([x, y]) => [
+      Math.round(x / VERTEX_TOLERANCE),
+      Math.round(y / VERTEX_TOLERANCE),
+    ];
 
     this.cells.forEach((cell) => {
-      if (cell !== targetCell && cell.isMine) {
-        const cellBounds = this.getCellBounds(cell);
-        if (this.areCellsAdjacent(targetBounds, cellBounds)) {
-          count++;
+      this.getCellRings(cell).forEach((ring) => {
+        ring.forEach((vertex) => {
+          const key = snap(vertex).join(":");
+          if (!cellsByVertex.has(key)) {
+            cellsByVertex.set(key, new Set());
+          }
+          cellsByVertex.get(key).add(cell);
+        });
+      });
+    });
+
+    this.cells.forEach((cell) => {
+      const neighbours = new Set();
+      this.getCellRings(cell).forEach((ring) => {
+        ring.forEach((vertex) => {
+          const [x, y] = snap(vertex);
+          for (let dx = -1; dx <= 1; dx++) {
+            for (let dy = -1; dy <= 1; dy++) {
+              const others = cellsByVertex.get(`${x + dx}:${y + dy}`);
+              if (!others) continue;
+              others.forEach((other) => {
+                if (other !== cell) neighbours.add(other);
+              });
+            }
+          }
+        });
+      });
+      cell.neighbours = [...neighbours];
+    });
+
+    this.addEdgeNeighbours();
+    this.assignGridPositions();
+  }
+
+  addEdgeNeighbours() {
+    // Boundaries also meet where one cell's vertex lies along the other's
+    // edge (a T-junction), or where each side has its own vertices. Sweep
+    // the cells from west to east and check the pairs whose bounds touch.
+    const expand = ({ left, right, top, bottom }) => ({
+      left: left - EDGE_TOLERANCE,
+      right: right + EDGE_TOLERANCE,
+      top: top + EDGE_TOLERANCE,
+      bottom: bottom - EDGE_TOLERANCE,
+    });
+    const entries = this.cells
+      .map((cell) => ({
+        cell: cell,
+        bounds: expand(this.getCellBounds(cell)),
+        rings: this.getCellRings(cell),
+      }))
+      .sort((a, b) => a.bounds.left - b.bounds.left);
+
+    entries.forEach((entry, index) => {
+      for (let next = index + 1; next < entries.length; next++) {
+        const other = entries[next];
+        if (other.bounds.left > entry.bounds.right) break;
+        if (
+          other.bounds.bottom > entry.bounds.top ||
+          other.bounds.top < entry.bounds.bottom ||
+          entry.cell.neighbours.includes(other.cell)
+        ) {
+          continue;
+        }
+        if (
+          this.hasVertexOnEdge(entry.rings, other) ||
+          this.hasVertexOnEdge(other.rings, entry)
+        ) {
+          entry.cell.neighbours.push(other.cell);
+          other.cell.neighbours.push(entry.cell);
         }
       }
     });
+  }
+
+  hasVertexOnEdge(rings, { bounds, rings: otherRings }) {
+    // Whether any vertex in rings is within tolerance of an edge of the
+    // other cell, only looking at vertices inside its bounds
+    return rings.some((ring) =>
+      ring.some(
+        ([x, y]) =>
+          x >= bounds.left &&
+          x <= bounds.right &&
+          y >= bounds.bottom &&
+          y <= bounds.top &&
+          otherRings.some((otherRing) =>
+            otherRing
+              .slice(1)
+              .some(
+                (end, i) =>
+                  distanceToSegment([x, y], otherRing[i], end) <=
+                  EDGE_TOLERANCE,
+              ),
+          ),
+      ),
+    );
+  }
+
+  assignGridPositions() {
+    // Row/column for summaries such as the shared result grid: taken from
+    // the data when the generator recorded it, otherwise from each cell's
+    // centre in steps of the typical cell size
+    const centres = this.cells.map((cell) => {
+      const bounds = this.getCellBounds(cell);
+      return {
+        x: (bounds.left + bounds.right) / 2,
+        y: (bounds.bottom + bounds.top) / 2,
+        width: bounds.right - bounds.left,
+        height: bounds.top - bounds.bottom,
+      };
+    });
+    const median = (values) =>
+      values.sort((a, b) => a - b)[Math.floor(values.length / 2)];
+    const width = median(centres.map((centre) => centre.width));
+    const height = median(centres.map((centre) => centre.height));
+    const originX = Math.min(...centres.map((centre) => centre.x));
+    const originY = Math.min(...centres.map((centre) => centre.y));
+
+    this.cells.forEach((cell, index) => {
+      const props = cell.feature.properties;
+      cell.row = props.row ?? Math.round((centres[index].y - originY) / height);
+      cell.col = props.col ?? Math.round((centres[index].x - originX) / width);
+    });
+  }
+
+  getNeighbours(cell) {
+    return cell.neighbours;
+  }
+
+  getCellRings(cell) {
+    // Every ring of a Polygon or MultiPolygon cell
+    const geometry = cell.feature.geometry;
+    return geometry ? getRings(geometry) : [];
+  }
+
+  isRectangleCell(cell) {
+    // Square grid cells: a single closed ring of four corners on the cell's
+    // bounds, or no geometry at all
+    const rings = this.getCellRings(cell);
+    if (rings.length === 0) return true;
+    if (rings.length > 1) return false;
 
-    return count;
+    const [ring] = rings;
+    const { left, right, top, bottom } = this.getCellBounds(cell);
+    return (
+      ring.length === 5 &&
+      ring.every(
+        ([x, y]) => (x === left || x === right) && (y === top || y === bottom),
+      )
+    );
   }
 
   getCellBounds(cell) {
+    // Generated boards store each cell's bounding box; measure it from the
+    // geometry for any other polygons
     const props = cell.feature.properties;
+    if (props.left === undefined && cell.feature.geometry) {
+      return getGeometryBounds(cell.feature.geometry);
+    }
     return {
       left: props.left,
       right: props.right,
@@ -136,16 +438,80 @@ class MinesweeperGame {
     );
   }
 
-  attachCellElement(cell, element) {
-    cell.element = element;
-    element.addEventListener("click", (e) => {
-      e.preventDefault();
-      this.handleCellClick(cell);
-    });
-    element.addEventListener("contextmenu", (e) => {
-      e.preventDefault();
-      this.handleCellRightClick(cell);
+  findOpeningCell() {
+    // Mines come straight from the data, so rather than moving them we pick
+    // a cell with no adjacent mines from the largest empty region
+    let bestCell = null;
+    let bestRegionSize = 0;
+    const visited = new Set();
+
+    this.cells.forEach((cell) => {
+      if (cell.isMine || cell.adjacentMines > 0 || visited.has(cell)) {
+        return;
+      }
+
+      let regionSize = 0;
+      const pending = [cell];
+      visited.add(cell);
+
+      while (pending.length > 0) {
+        const current = pending.pop();
+        regionSize++;
+
+        this.getNeighbours(current).forEach((neighbour) => {
+          if (
+            !neighbour.isMine &&
+            neighbour.adjacentMines === 0 &&
+            !visited.has(neighbour)
+          ) {
+            visited.add(neighbour);
+            pending.push(neighbour);
+          }
+        });
+      }
+
+      if (regionSize > bestRegionSize) {
+        bestCell = cell;
+        bestRegionSize = regionSize;
+      }
     });
+
+    if (bestCell) {
+      return bestCell;
+    }
+
+    // No empty cell on this board: fall back to the safe cell with the fewest
+    // adjacent mines so the opening at least never loses
+    return this.cells
+      .filter((cell) => !cell.isMine)
+      .reduce(
+        (best, cell) =>
+          !best || cell.adjacentMines < best.adjacentMines ? cell : best,
+        null,
+      );
+  }
+
+  openSafeStart() {
+    if (this.options.start !== null) {
+      const startCell = this.getCellById(this.options.start);
+      if (!startCell || startCell.isMine) {
+        throw new Error(t("error.startCell", { start: this.options.start }));
+      }
+      this.openingCell = startCell;
+    } else {
+      this.openingCell = this.findOpeningCell();
+    }
+
+    if (!this.openingCell) {
+      console.warn("Safe start requested but the board has no safe cells");
+      return;
+    }
+
+    console.log("Safe start opening cell:", this.openingCell.id);
+    this.revealCell(this.openingCell);
+    if (this.openingCell.adjacentMines === 0) {
+      this.revealAdjacentCells(this.openingCell);
+    }
   }
 
   handleCellClick(cell) {
@@ -156,8 +522,13 @@ class MinesweeperGame {
       return;
     }
 
-    if (cell.isFlagged || cell.isRevealed) {
-      console.log("Cell already flagged or revealed, ignoring click");
+    if (cell.isRevealed) {
+      this.handleCellChord(cell);
+      return;
+    }
+
+    if (cell.isFlagged) {
+      console.log("Cell flagged, ignoring click");
       return;
     }
 
@@ -167,6 +538,7 @@ class MinesweeperGame {
     }
 
     console.log("Revealing cell:", cell.id);
+    this.beginMove("reveal", cell);
     this.revealCell(cell);
 
     if (cell.isMine) {
@@ -181,6 +553,7 @@ class MinesweeperGame {
       this.checkWinCondition();
     }
 
+    this.endMove();
     this.updateUI();
   }
 
@@ -197,12 +570,196 @@ class MinesweeperGame {
       this.startGame();
     }
 
+    this.beginMove(cell.isFlagged ? "unflag" : "flag", cell);
     this.toggleFlag(cell);
+    this.endMove();
+    this.updateUI();
+  }
+
+  beginMove(type, cell) {
+    this.currentMove = {
+      type: type,
+      cellId: cell.id,
+      time: this.getElapsedTime(),
+      revealed: [], // Cells revealed by this move, kept for undo
+    };
+    this.moves.push(this.currentMove);
+  }
+
+  endMove() {
+    this.currentMove = null;
+  }
+
+  applyMove(move) {
+    // Play a logged move back through the normal handlers
+    const cell = this.getCellById(move.cellId);
+    if (!cell) {
+      throw new Error(`Move refers to unknown cell ${move.cellId}`);
+    }
+
+    switch (move.type) {
+      case "reveal":
+        this.handleCellClick(cell);
+        break;
+      case "chord":
+        this.handleCellChord(cell);
+        break;
+      case "flag":
+      case "unflag":
+        this.handleCellRightClick(cell);
+        break;
+      default:
+        throw new Error(`Unknown move type: ${move.type}`);
+    }
+  }
+
+  canUndo() {
+    // A replay plays the recorded moves only, so its board can't be undone
+    const lastMove = this.moves[this.moves.length - 1];
+    if (!lastMove || this.replaying) return false;
+
+    // Reveals can't be taken back, except the losing one in practice mode
+    if (this.gameState === "lost") {
+      return this.options.practice;
+    }
+
+    return (
+      this.gameState === "playing" &&
+      (lastMove.type === "flag" || lastMove.type === "unflag")
+    );
+  }
+
+  undo() {
+    if (!this.canUndo()) {
+      return false;
+    }
+
+    const move = this.moves.pop();
+    this.undoCount++;
+
+    if (move.type === "flag" || move.type === "unflag") {
+      this.toggleFlag(this.getCellById(move.cellId));
+    } else {
+      this.undoLosingMove(move);
+    }
+
+    this.updateUI();
+    return true;
+  }
+
+  undoLosingMove(move) {
+    const changed = new Set(move.revealed);
+
+    // Hide the mines shown at game over and clear the wrong flag markers
+    this.cells.forEach((cell) => {
+      if (cell.isMine && cell.isRevealed) {
+        changed.add(cell);
+      }
+      if (cell.isWrongFlag) {
+        cell.isWrongFlag = false;
+        changed.add(cell);
+      }
+    });
+
+    changed.forEach((cell) => {
+      if (cell.isMine || move.revealed.includes(cell)) {
+        cell.isRevealed = false;
+      }
+    });
+
+    this.revealedCount -= move.revealed.length;
+    this.clickedMine = null;
+    this.gameState = "playing";
+    this.endTime = null;
+
+    changed.forEach((cell) => this.emit("cellChanged", cell));
+  }
+
+  getMoveLog() {
+    // Serialisable copy of the moves, without the undo bookkeeping
+    return this.moves.map(({ type, cellId, time }) => ({ type, cellId, time }));
+  }
+
+  getUndoCount() {
+    return this.undoCount;
+  }
+
+  useHint() {
+    // Hints don't change the board, they're only counted in the result
+    this.hintCount++;
+    this.updateUI();
+  }
+
+  getHintCount() {
+    return this.hintCount;
+  }
+
+  setReplaying(replaying) {
+    this.replaying = replaying;
+  }
+
+  isReplaying() {
+    return this.replaying;
+  }
+
+  handleCellChord(cell) {
+    if (this.gameState !== "playing") {
+      return;
+    }
+
+    if (!this.canChord(cell)) {
+      console.log("Flags don't match adjacent mines, ignoring chord");
+      return;
+    }
+
+    console.log("Chording cell:", cell.id);
+    this.beginMove("chord", cell);
+    let hitMine = null;
+
+    this.getNeighbours(cell).forEach((neighbour) => {
+      if (neighbour.isRevealed || neighbour.isFlagged) {
+        return;
+      }
+
+      this.revealCell(neighbour);
+      if (neighbour.isMine) {
+        hitMine = hitMine || neighbour;
+      } else if (neighbour.adjacentMines === 0) {
+        this.revealAdjacentCells(neighbour);
+      }
+    });
+
+    if (hitMine) {
+      console.log("Chord hit a mine, a flag was wrong. Game over.");
+      this.clickedMine = hitMine;
+      this.gameOver(false);
+    } else {
+      this.checkWinCondition();
+    }
+
+    this.endMove();
     this.updateUI();
   }
 
+  canChord(cell) {
+    // A revealed number can be chorded once the player has placed exactly as
+    // many flags around it as it has adjacent mines
+    if (!cell.isRevealed || cell.isMine || cell.adjacentMines === 0) {
+      return false;
+    }
+
+    const neighbours = this.getNeighbours(cell);
+    const flaggedCount = neighbours.filter((n) => n.isFlagged).length;
+    const hiddenCount = neighbours.filter(
+      (n) => !n.isRevealed && !n.isFlagged,
+    ).length;
+
+    return flaggedCount === cell.adjacentMines && hiddenCount > 0;
+  }
+
   startGame() {
     this.gameState = "playing";
+    this.startTime = Date.now();
   }
 
   revealCell(cell) {
@@ -212,27 +769,31 @@ class MinesweeperGame {
 
     cell.isRevealed = true;
     this.revealedCount++;
-    this.updateCellDisplay(cell);
+    if (this.currentMove) {
+      this.currentMove.revealed.push(cell);
+    }
+    this.emit("cellRevealed", cell);
+    this.emit("cellChanged", cell);
   }
 
   revealAdjacentCells(cell) {
-    const cellBounds = this.getCellBounds(cell);
-
-    this.cells.forEach((adjacentCell) => {
-      if (
-        adjacentCell !== cell &&
-        !adjacentCell.isRevealed &&
-        !adjacentCell.isFlagged
-      ) {
-        const adjacentBounds = this.getCellBounds(adjacentCell);
-        if (this.areCellsAdjacent(cellBounds, adjacentBounds)) {
-          this.revealCell(adjacentCell);
-          if (adjacentCell.adjacentMines === 0 && !adjacentCell.isMine) {
-            this.revealAdjacentCells(adjacentCell);
-          }
+    // Iterative flood fill so large empty areas can't overflow the stack
+    const pending = [cell];
+
+    while (pending.length > 0) {
+      const current = pending.pop();
+
+      this.getNeighbours(current).forEach((adjacentCell) => {
+        if (adjacentCell.isRevealed || adjacentCell.isFlagged) {
+          return;
         }
-      }
-    });
+
+        this.revealCell(adjacentCell);
+        if (adjacentCell.adjacentMines === 0 && !adjacentCell.isMine) {
+          pending.push(adjacentCell);
+        }
+      });
+    }
   }
 
   toggleFlag(cell) {
@@ -242,32 +803,8 @@ class MinesweeperGame {
 
     cell.isFlagged = !cell.isFlagged;
     this.flagCount += cell.isFlagged ? 1 : -1;
-    this.updateCellDisplay(cell);
-  }
-
-  updateCellDisplay(cell) {
-    if (!cell.element) return;
-
-    const element = cell.element;
-
-    // Reset classes
-    element.className = "game-cell";
-    element.innerHTML = "";
-
-    if (cell.isFlagged) {
-      element.classList.add("cell-flagged");
-    } else if (cell.isRevealed) {
-      element.classList.add("cell-revealed");
-
-      if (cell.isMine) {
-        element.classList.add("cell-mine");
-      } else if (cell.adjacentMines > 0) {
-        element.textContent = cell.adjacentMines;
-        element.classList.add(`cell-number-${cell.adjacentMines}`);
-      }
-    } else {
-      element.classList.add("cell-hidden");
-    }
+    this.emit("flagToggled", cell);
+    this.emit("cellChanged", cell);
   }
 
   checkWinCondition() {
@@ -279,17 +816,22 @@ class MinesweeperGame {
 
   gameOver(won) {
     this.gameState = won ? "won" : "lost";
+    this.endTime = Date.now();
 
     if (!won) {
-      // Reveal all mines
+      // Reveal all mines and point out flags that were placed on safe cells
       this.cells.forEach((cell) => {
         if (cell.isMine && !cell.isFlagged) {
           cell.isRevealed = true;
-          this.updateCellDisplay(cell);
+          this.emit("cellChanged", cell);
+        } else if (!cell.isMine && cell.isFlagged) {
+          cell.isWrongFlag = true;
+          this.emit("cellChanged", cell);
         }
       });
     }
 
+    this.emit("gameOver", { won });
     this.updateUI();
   }
 
@@ -298,12 +840,77 @@ class MinesweeperGame {
     console.log(
       `Game State: ${this.gameState}, Mines: ${this.mineCount}, Flags: ${this.flagCount}, Revealed: ${this.revealedCount}`,
     );
+    this.emit("stateChanged", this);
+  }
+
+  getSnapshot() {
+    // Serialisable progress, enough to rebuild the board on the same data
+    return {
+      gameState: this.gameState,
+      revealed: this.cells.filter((c) => c.isRevealed).map((c) => c.id),
+      flagged: this.cells.filter((c) => c.isFlagged).map((c) => c.id),
+      clickedMine: this.clickedMine ? this.clickedMine.id : null,
+      openingCell: this.openingCell ? this.openingCell.id : null,
+      elapsedTime: this.getElapsedTime(),
+      moves: this.getMoveLog(),
+      hints: this.hintCount,
+    };
+  }
+
+  restoreSnapshot(snapshot) {
+    const lookup = (cellId) => {
+      const cell = this.getCellById(cellId);
+      if (!cell) {
+        throw new Error(`Saved game refers to unknown cell ${cellId}`);
+      }
+      return cell;
+    };
+
+    // Resolve every id before touching the board so a bad save changes nothing
+    const revealed = snapshot.revealed.map(lookup);
+    const flagged = snapshot.flagged.map(lookup);
+    const clickedMine =
+      snapshot.clickedMine !== null ? lookup(snapshot.clickedMine) : null;
+    const openingCell =
+      snapshot.openingCell !== null ? lookup(snapshot.openingCell) : null;
+
+    this.cells.forEach((cell) => {
+      cell.isRevealed = false;
+      cell.isFlagged = false;
+    });
+    revealed.forEach((cell) => (cell.isRevealed = true));
+    flagged.forEach((cell) => (cell.isFlagged = true));
+
+    this.revealedCount = revealed.length;
+    this.flagCount = flagged.length;
+    this.clickedMine = clickedMine;
+    this.openingCell = openingCell;
+    this.moves = (snapshot.moves || []).map((move) => ({
+      ...move,
+      revealed: [],
+    }));
+    this.hintCount = snapshot.hints || 0;
+    this.gameState = snapshot.gameState;
+
+    // Carry on the clock from where the saved game stopped
+    const now = Date.now();
+    const isOver = this.gameState === "won" || this.gameState === "lost";
+    this.startTime =
+      this.gameState === "ready" ? null : now - snapshot.elapsedTime;
+    this.endTime = isOver ? now : null;
+
+    this.cells.forEach((cell) => this.emit("cellChanged", cell));
+    this.updateUI();
   }
 
   getCells() {
     return this.cells;
   }
 
+  getCellById(cellId) {
+    return this.cellsById.get(cellId);
+  }
+
   getGameState() {
     return this.gameState;
   }
@@ -311,7 +918,40 @@ class MinesweeperGame {
   getMineCount() {
     return this.mineCount;
   }
-}
 
-// Global game instance
-window.minesweeperGame = new MinesweeperGame();
+  getRule() {
+    return this.rule;
+  }
+
+  getClickedMine() {
+    return this.clickedMine;
+  }
+
+  getOpeningCell() {
+    return this.openingCell;
+  }
+
+  getFlagCount() {
+    return this.flagCount;
+  }
+
+  getRevealedCount() {
+    return this.revealedCount;
+  }
+
+  getRemainingMines() {
+    return this.mineCount - this.flagCount;
+  }
+
+  getRevealedPercentage() {
+    const totalSafeCells = this.cells.length - this.mineCount;
+    if (totalSafeCells === 0) return 0;
+    return (this.revealedCount / totalSafeCells) * 100;
+  }
+
+  getElapsedTime() {
+    // Elapsed time in milliseconds since the first move
+    if (!this.startTime) return 0;
+    return (this.endTime || Date.now()) - this.startTime;
+  }
+}
@@ -0,0 +1,172 @@
+// Plain-coordinate geometry helpers for GeoJSON cells of any shape, shared by
+// the game, the map and the grid generator
+
+export function getPolygons(geometry) {
+  // Polygons of a Polygon or MultiPolygon, each as a list of rings
+  if (geometry.type === "MultiPolygon") return geometry.coordinates;
+  if (geometry.type === "Polygon") return [geometry.coordinates];
+  throw new Error(`Unsupported geometry type: ${geometry.type}`);
+}
+
+export function getRings(geometry) {
+  return getPolygons(geometry).flat();
+}
+
+export function getGeometryBounds(geometry) {
+  let left = Infinity;
+  let right = -Infinity;
+  let bottom = Infinity;
+  let top = -Infinity;
+
+  getRings(geometry).forEach((ring) => {
+    ring.forEach(([x, y]) => {
+      left = Math.min(left, x);
+      right = Math.max(right, x);
+      bottom = Math.min(bottom, y);
+      top = Math.max(top, y);
+    });
+  });
+
+  return { left, right, top, bottom };
+}
+
+function getRingArea(ring) {
+  // Shoelace formula, unsigned
+  let area = 0;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    area += (ring[j][0] - ring[i][0]) * (ring[j][1] + ring[i][1]);
+  }
+  return Math.abs(area) / 2;
+}
+
+export function getGeometryArea(geometry) {
+  // Area in square degrees of latitude, with longitudes shrunk to match at
+  // the shape's latitude. Only meant for comparing areas within a city.
+  const { top, bottom } = getGeometryBounds(geometry);
+  const scale = Math.cos((((top + bottom) / 2) * Math.PI) / 180);
+  return getPolygons(geometry).reduce(
+    (total, [exterior, ...holes]) =>
+      total +
+      scale *
+        (getRingArea(exterior) -
+          holes.reduce((sum, hole) => sum + getRingArea(hole), 0)),
+    0,
+  );
+}
+
+export function getOutlineArea(geojson) {
+  // Area of an outline given as a FeatureCollection, Feature or geometry,
+  // in the units of getGeometryArea
+  const features =
+    geojson.type === "FeatureCollection" ? geojson.features : [geojson];
+  return features.reduce(
+    (total, feature) => total + getGeometryArea(feature.geometry || feature),
+    0,
+  );
+}
+
+export function pointInRing(x, y, ring) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+      inside = !inside;
+    }
+  }
+  return inside;
+}
+
+export function pointInGeometry(x, y, geometry) {
+  // Inside a polygon's exterior ring and outside its holes
+  return getPolygons(geometry).some(
+    ([exterior, ...holes]) =>
+      pointInRing(x, y, exterior) &&
+      !holes.some((hole) => pointInRing(x, y, hole)),
+  );
+}
+
+export function distanceToSegment([x, y], [ax, ay], [bx, by]) {
+  // Closest approach of the point to the segment, clamped to its ends
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSquared = dx * dx + dy * dy;
+  const along =
+    lengthSquared === 0
+      ? 0
+      : Math.max(
+          0,
+          Math.min(1, ((x - ax) * dx + (y - ay) * dy) / lengthSquared),
+        );
+  return Math.hypot(x - (ax + along * dx), y - (ay + along * dy));
+}
+
+export function segmentsIntersect([ax, ay], [bx, by], [cx, cy], [dx, dy]) {
+  const cross = (px, py, qx, qy, rx, ry) =>
+    (qx - px) * (ry - py) - (qy - py) * (rx - px);
+  const onSegment = (px, py, qx, qy, rx, ry) =>
+    Math.min(px, qx) <= rx &&
+    rx <= Math.max(px, qx) &&
+    Math.min(py, qy) <= ry &&
+    ry <= Math.max(py, qy);
+
+  const d1 = cross(cx, cy, dx, dy, ax, ay);
+  const d2 = cross(cx, cy, dx, dy, bx, by);
+  const d3 = cross(ax, ay, bx, by, cx, cy);
+  const d4 = cross(ax, ay, bx, by, dx, dy);
+
+  if (
+    ((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) &&
+    ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))
+  ) {
+    return true;
+  }
+  return (
+    (d1 === 0 && onSegment(cx, cy, dx, dy, ax, ay)) ||
+    (d2 === 0 && onSegment(cx, cy, dx, dy, bx, by)) ||
+    (d3 === 0 && onSegment(ax, ay, bx, by, cx, cy)) ||
+    (d4 === 0 && onSegment(ax, ay, bx, by, dx, dy))
+  );
+}
+
+export function getInteriorPoint(geometry, scanLines = 9) {
+  // A point guaranteed to be inside the shape, for labels: the middle of the
+  // widest horizontal span across a few scan lines, trying the middle line
+  // first so regular cells get their centre. The bounding box centre can
+  // fall outside concave shapes such as neighbourhoods.
+  const rings = getRings(geometry);
+  const { left, right, top, bottom } = getGeometryBounds(geometry);
+  const offsets = [0];
+  for (let step = 1; offsets.length < scanLines; step++) {
+    offsets.push(step, -step);
+  }
+
+  let best = [(left + right) / 2, (bottom + top) / 2];
+  let bestWidth = -Infinity;
+
+  offsets.slice(0, scanLines).forEach((offset) => {
+    const y = (bottom + top) / 2 + (offset * (top - bottom)) / (scanLines + 1);
+    const crossings = [];
+    rings.forEach((ring) => {
+      for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if (yi > y !== yj > y) {
+          crossings.push(((xj - xi) * (y - yi)) / (yj - yi) + xi);
+        }
+      }
+    });
+    crossings.sort((a, b) => a - b);
+
+    // Crossings pair up into spans that are inside the shape
+    for (let i = 0; i + 1 < crossings.length; i += 2) {
+      const width = crossings[i + 1] - crossings[i];
+      if (width > bestWidth) {
+        best = [(crossings[i] + crossings[i + 1]) / 2, y];
+        bestWidth = width;
+      }
+    }
+  });
+
+  return best;
+}
@@ -0,0 +1,417 @@
+// Port of generate_grid.rb: builds the game's grid GeoJSON from a city
+// outline and an Inside Airbnb listings.csv, in Node or the browser
+
+import { pointInRing, segmentsIntersect } from "./geometry.js";
+import { t } from "./i18n.js";
+
+// For Lisbon area, approximate degrees per meter
+const LATITUDE = 38.7;
+const METERS_PER_DEGREE_LAT = 111000.0;
+const METERS_PER_DEGREE_LON = 111000.0 * Math.cos((LATITUDE * Math.PI) / 180.0);
+
+export function parseCSV(text) {
+  // RFC 4180 rows: quoted fields may hold commas, newlines and "" escapes
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const character = text[i];
+
+    if (quoted) {
+      if (character === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (character === '"') {
+        quoted = false;
+      } else {
+        field += character;
+      }
+    } else if (character === '"') {
+      quoted = true;
+    } else if (character === ",") {
+      row.push(field);
+      field = "";
+    } else if (character === "\n" || character === "\r") {
+      if (character === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += character;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [headers = [], ...records] = rows;
+  return records.map((values) =>
+    Object.fromEntries(headers.map((header, i) => [header, values[i] ?? ""])),
+  );
+}
+
+function round(value, digits) {
+  // Shift through the decimal string so halves like 79.725 round up as they
+  // do in Ruby, instead of falling short in binary
+  return Number(`${Math.round(Number(`${value}e${digits}`))}e-${digits}`);
+}
+
+function toNumber(text) {
+  // Like Ruby's to_f/to_i: anything unparseable counts as zero
+  return parseFloat(text) || 0;
+}
+
+export function loadListings(csvText) {
+  // Listings with a price and location, as the generators aggregate them
+  const listings = [];
+
+  parseCSV(csvText).forEach((row) => {
+    const price = toNumber((row.price || "").replace(/[$,]/g, ""));
+    const lat = toNumber(row.latitude);
+    const lon = toNumber(row.longitude);
+
+    // Skip invalid data
+    if (price <= 0 || lat === 0 || lon === 0) return;
+
+    listings.push({
+      row: listings.length, // Position in the city's listing table
+      id: row.id,
+      name: row.name || "",
+      roomType: row.room_type || "",
+      reviews: Math.trunc(toNumber(row.number_of_reviews)),
+      license: (row.license || "").trim(),
+      price: price,
+      lat: lat,
+      lon: lon,
+      entireHome: row.room_type === "Entire home/apt",
+      licensed: (row.license || "").trim() !== "",
+      hostListings: Math.trunc(toNumber(row.calculated_host_listings_count)),
+      availability: Math.trunc(toNumber(row.availability_365)),
+      reviewsLtm: Math.trunc(toNumber(row.number_of_reviews_ltm)),
+    });
+  });
+
+  return listings;
+}
+
+export function calculateListingStats(listings) {
+  // Properties every board cell carries, from the listings inside it
+  const count = listings.length;
+  const prices = listings.map((listing) => listing.price);
+  const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+  return {
+    price_min: round(Math.min(...prices), 2),
+    price_max: round(Math.max(...prices), 2),
+    price_mean: round(sum(prices) / count, 2),
+    listings_count: count,
+    entire_home_pct: round(
+      (listings.filter((l) => l.entireHome).length * 100.0) / count,
+      1,
+    ),
+    unlicensed_count: listings.filter((l) => !l.licensed).length,
+    multi_host_count: listings.filter((l) => l.hostListings > 1).length,
+    availability_mean: round(
+      sum(listings.map((l) => l.availability)) / count,
+      1,
+    ),
+    reviews_ltm: sum(listings.map((l) => l.reviewsLtm)),
+  };
+}
+
+function ringsIntersect(outline, cellRing) {
+  // Cell corner inside the outline, outline vertex inside the cell, or
+  // crossing (or touching) edges
+  if (cellRing.some(([x, y]) => pointInRing(x, y, outline))) return true;
+  if (outline.some(([x, y]) => pointInRing(x, y, cellRing))) return true;
+
+  for (let i = 0; i < outline.length - 1; i++) {
+    for (let j = 0; j < cellRing.length - 1; j++) {
+      if (
+        segmentsIntersect(
+          outline[i],
+          outline[i + 1],
+          cellRing[j],
+          cellRing[j + 1],
+        )
+      ) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+export const SHAPES = ["square", "hex"];
+
+export class GridGenerator {
+  constructor(city, cellSize = 200.0, shape = "square") {
+    this.city = city;
+    this.cellSize = Number(cellSize);
+    this.shape = shape;
+    this.lattice = null; // Centre of cell (0, 0) and row/column spacing
+    this.listings = []; // Valid listings from the last generate()
+    this.listingsByCell = new Map(); // Cell id -> listings inside it
+
+    if (!(this.cellSize > 0)) {
+      throw new Error(t("error.cellSize"));
+    }
+    if (!SHAPES.includes(shape)) {
+      throw new Error(
+        `Unsupported cell shape: ${shape}. Must be one of ${SHAPES.join(", ")}.`,
+      );
+    }
+  }
+
+  metersToDegreesLat(meters) {
+    return meters / METERS_PER_DEGREE_LAT;
+  }
+
+  metersToDegreesLon(meters) {
+    return meters / METERS_PER_DEGREE_LON;
+  }
+
+  loadCityOutline(geojson) {
+    // Exterior ring of the outline, taking the first (largest) polygon of a
+    // MultiPolygon
+    let geometry = geojson;
+    if (geojson.type === "FeatureCollection") {
+      geometry = geojson.features[0].geometry;
+    } else if (geojson.geometry) {
+      geometry = geojson.geometry;
+    }
+
+    if (geometry.type === "MultiPolygon") {
+      return geometry.coordinates[0][0];
+    }
+    if (geometry.type === "Polygon") {
+      return geometry.coordinates[0];
+    }
+    throw new Error(`Unsupported geometry type: ${geometry.type}`);
+  }
+
+  loadAirbnbData(csvText) {
+    return loadListings(csvText);
+  }
+
+  createGrid(outline) {
+    const xs = outline.map(([x]) => x);
+    const ys = outline.map(([, y]) => y);
+    const bounds = {
+      minLon: Math.min(...xs),
+      minLat: Math.min(...ys),
+      maxLon: Math.max(...xs),
+      maxLat: Math.max(...ys),
+    };
+
+    const cells =
+      this.shape === "hex"
+        ? this.createHexGrid(bounds)
+        : this.createSquareGrid(bounds);
+    return cells.filter((cell) => ringsIntersect(outline, cell.coordinates));
+  }
+
+  createSquareGrid({ minLon, minLat, maxLon, maxLat }) {
+    // Convert cell size from meters to degrees
+    const cellSizeLat = this.metersToDegreesLat(this.cellSize);
+    const cellSizeLon = this.metersToDegreesLon(this.cellSize);
+
+    const cols = Math.ceil((maxLon - minLon) / cellSizeLon);
+    const rows = Math.ceil((maxLat - minLat) / cellSizeLat);
+    this.lattice = {
+      originLon: minLon + cellSizeLon / 2,
+      originLat: minLat + cellSizeLat / 2,
+      colSpacing: cellSizeLon,
+      rowSpacing: cellSizeLat,
+    };
+
+    const gridCells = [];
+    let cellId = 1;
+
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        const left = minLon + col * cellSizeLon;
+        const bottom = minLat + row * cellSizeLat;
+        const right = left + cellSizeLon;
+        const top = bottom + cellSizeLat;
+
+        gridCells.push({
+          id: cellId,
+          left: left,
+          top: top,
+          right: right,
+          bottom: bottom,
+          row: row,
+          col: col,
+          coordinates: [
+            [left, top],
+            [right, top],
+            [right, bottom],
+            [left, bottom],
+            [left, top],
+          ],
+        });
+
+        cellId++;
+      }
+    }
+
+    return gridCells;
+  }
+
+  createHexGrid({ minLon, minLat, maxLon, maxLat }) {
+    // Pointy-top hexagons, cell size apart, with odd rows shifted half a
+    // cell east. Vertices sit on a lattice of half-widths by quarter-heights
+    // so neighbouring cells share exactly the same corner coordinates.
+    const radius = this.cellSize / Math.sqrt(3);
+    const stepLon = this.metersToDegreesLon(this.cellSize) / 2;
+    const stepLat = this.metersToDegreesLat(radius) / 2;
+    const point = (x, y) => [minLon + x * stepLon, minLat + y * stepLat];
+
+    const cols = Math.ceil((maxLon - minLon) / (2 * stepLon)) + 1;
+    const rows = Math.ceil((maxLat - minLat) / (3 * stepLat)) + 1;
+    this.lattice = {
+      originLon: minLon,
+      originLat: minLat,
+      colSpacing: 2 * stepLon,
+      rowSpacing: 3 * stepLat,
+    };
+
+    const gridCells = [];
+    let cellId = 1;
+
+    for (let row = 0; row < rows; row++) {
+      for (let col = 0; col < cols; col++) {
+        const x = 2 * col + (row % 2);
+        const y = 3 * row;
+        const [left, bottom] = point(x - 1, y - 2);
+        const [right, top] = point(x + 1, y + 2);
+
+        gridCells.push({
+          id: cellId,
+          left: left,
+          top: top,
+          right: right,
+          bottom: bottom,
+          row: row,
+          col: col,
+          coordinates: [
+            point(x, y + 2),
+            point(x + 1, y + 1),
+            point(x + 1, y - 1),
+            point(x, y - 2),
+            point(x - 1, y - 1),
+            point(x - 1, y + 1),
+            point(x, y + 2),
+          ],
+        });
+
+        cellId++;
+      }
+    }
+
+    return gridCells;
+  }
+
+  cellContains(cell, listing) {
+    // Listings on a cell's edge belong to neither side, as with rgeo
+    if (this.shape === "hex") {
+      return pointInRing(listing.lon, listing.lat, cell.coordinates);
+    }
+    return (
+      listing.lon > cell.left &&
+      listing.lon < cell.right &&
+      listing.lat > cell.bottom &&
+      listing.lat < cell.top
+    );
+  }
+
+  processGrid(gridCells, listings) {
+    // Bucket listings by their nearest lattice position so each cell only
+    // checks its surroundings; membership still uses the cell's exact shape
+    const { originLon, originLat, colSpacing, rowSpacing } = this.lattice;
+    const buckets = new Map();
+
+    listings.forEach((listing) => {
+      const row = Math.round((listing.lat - originLat) / rowSpacing);
+      const col = Math.round((listing.lon - originLon) / colSpacing);
+      const key = `${row}:${col}`;
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(listing);
+    });
+
+    const features = [];
+    this.listingsByCell = new Map();
+
+    gridCells.forEach((cell) => {
+      const listingsInCell = [];
+      for (let row = cell.row - 1; row <= cell.row + 1; row++) {
+        for (let col = cell.col - 1; col <= cell.col + 1; col++) {
+          (buckets.get(`${row}:${col}`) || []).forEach((listing) => {
+            if (this.cellContains(cell, listing)) {
+              listingsInCell.push(listing);
+            }
+          });
+        }
+      }
+
+      // Only include cells with data
+      if (listingsInCell.length === 0) return;
+      this.listingsByCell.set(cell.id, listingsInCell);
+
+      // Hex rows interlock, so keep their lattice position for the game
+      const position =
+        this.shape === "hex" ? { row: cell.row, col: cell.col } : {};
+
+      features.push({
+        type: "Feature",
+        properties: {
+          id: cell.id,
+          left: cell.left,
+          top: cell.top,
+          right: cell.right,
+          bottom: cell.bottom,
+          ...calculateListingStats(listingsInCell),
+          ...position,
+        },
+        geometry: {
+          type: "Polygon",
+          coordinates: [cell.coordinates],
+        },
+      });
+    });
+
+    return features;
+  }
+
+  generate(outlineGeoJSON, listingsCSV) {
+    const outline = this.loadCityOutline(outlineGeoJSON);
+    const listings = this.loadAirbnbData(listingsCSV);
+    const features = this.processGrid(this.createGrid(outline), listings);
+    this.listings = listings;
+
+    if (features.length === 0) {
+      throw new Error(t("error.noOutlineListings"));
+    }
+
+    return {
+      type: "FeatureCollection",
+      name: [
+        this.city,
+        Math.trunc(this.cellSize),
+        ...(this.shape === "hex" ? ["hex"] : []),
+      ].join("_"),
+      crs: {
+        type: "name",
+        properties: {
+          name: "urn:ogc:def:crs:EPSG::4326",
+        },
+      },
+      features: features,
+    };
+  }
+}
@@ -0,0 +1,125 @@
+// Post-game data view: a choropleth of the rule's metric with a quantile
+// scale, the thresholds that made cells mines, and what the mines add up to
+import { getGeometryArea } from "./geometry.js";
+import { parseRule } from "./rules.js";
+
+// Sequential yellow-orange-red ramp, light for low values
+export const HEATMAP_COLOURS = [
+  "#ffffb2",
+  "#fecc5c",
+  "#fd8d3c",
+  "#f03b20",
+  "#bd0026",
+];
+export const NO_DATA_COLOUR = "#dddddd";
+
+export function computeQuantileBreaks(
+  values,
+  classes = HEATMAP_COLOURS.length,
+) {
+  // Upper bounds of each class but the last, so every class holds about
+  // the same number of cells. Repeated values can merge classes.
+  const sorted = values
+    .filter((value) => typeof value === "number")
+    .sort((a, b) => a - b);
+  if (sorted.length === 0) return [];
+
+  const breaks = [];
+  for (let i = 1; i < classes; i++) {
+    const value = sorted[Math.floor((i * sorted.length) / classes)];
+    const previous = breaks.length > 0 ? breaks[breaks.length - 1] : sorted[0];
+    if (value > previous) {
+      breaks.push(value);
+    }
+  }
+  return breaks;
+}
+
+export function createHeatmapScale(features, metric) {
+  const values = features
+    .map((feature) => feature.properties[metric])
+    .filter((value) => typeof value === "number");
+  const breaks = computeQuantileBreaks(values);
+  // Spread the classes we got over the whole ramp
+  const classes = breaks.length + 1;
+  const last = HEATMAP_COLOURS.length - 1;
+  const colours = Array.from(
+    { length: classes },
+    (_, index) =>
+      HEATMAP_COLOURS[
+        classes === 1 ? last : Math.round((index * last) / (classes - 1))
+      ],
+  );
+
+  return {
+    metric: metric,
+    min: Math.min(...values),
+    max: Math.max(...values),
+    breaks: breaks,
+    colours: colours,
+    getClass(value) {
+      const index = breaks.findIndex((limit) => value < limit);
+      return index === -1 ? breaks.length : index;
+    },
+    getColour(value) {
+      if (typeof value !== "number") return NO_DATA_COLOUR;
+      return colours[this.getClass(value)];
+    },
+    getPosition(value) {
+      // Where a value sits along a legend of equally wide classes, 0 to 1
+      const edges = [this.min, ...breaks, this.max];
+      const index = this.getClass(value);
+      const low = edges[index];
+      const high = edges[index + 1];
+      const within = high > low ? (value - low) / (high - low) : 0;
+      return (index + Math.min(Math.max(within, 0), 1)) / colours.length;
+    },
+  };
+}
+
+export function getRuleThresholds(ruleText, metric) {
+  // The comparisons on the metric in a rule, e.g. [{operator: ">=",
+  // value: 3}] for "listings_count>=3 AND price_mean<80"
+  const thresholds = [];
+  const walk = (node) => {
+    if (node.type === "comparison") {
+      if (node.metric === metric) {
+        thresholds.push({ operator: node.operator, value: node.value });
+      }
+    } else {
+      walk(node.left);
+      walk(node.right);
+    }
+  };
+  walk(parseRule(ruleText));
+  return thresholds;
+}
+
+export function summariseBoard(game, cityArea = null) {
+  // Totals for the end of the game: listings, mines, and the mines' share
+  // of the city's area (its outline's, as boards leave out the cells
+  // without listings) and of its listings. The area share is null without
+  // the city's area.
+  const cells = game.getCells();
+  let listings = 0;
+  let mineListings = 0;
+  let mineArea = 0;
+
+  cells.forEach((cell) => {
+    const count = cell.feature.properties.listings_count || 0;
+    listings += count;
+    if (cell.isMine) {
+      mineListings += count;
+      mineArea += getGeometryArea(cell.feature.geometry);
+    }
+  });
+
+  return {
+    listings: listings,
+    mines: game.getMineCount(),
+    cells: cells.length,
+    // Grid cells on the edge reach past the outline
+    mineAreaShare: cityArea ? Math.min(1, mineArea / cityArea) : null,
+    mineListingsShare: listings > 0 ? mineListings / listings : 0,
+  };
+}
@@ -0,0 +1,277 @@
+// Heads-up display with mine counter, timer, progress, game over banner and
+// replay controls
+import { summariseBoard } from "./heatmap.js";
+import { formatPercent, getLanguage, t } from "./i18n.js";
+
+export function formatTime(milliseconds) {
+  const totalSeconds = Math.floor(milliseconds / 1000);
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  return `${minutes}:${String(seconds).padStart(2, "0")}`;
+}
+
+function describeSummary({
+  listings,
+  mines,
+  cells,
+  mineAreaShare,
+  mineListingsShare,
+}) {
+  return [
+    t("gameOver.listings", { count: listings }),
+    mineAreaShare === null
+      ? t("gameOver.minesListings", {
+          mines: mines,
+          cells: cells,
+          listingsShare: formatPercent(mineListingsShare),
+        })
+      : t("gameOver.mines", {
+          mines: mines,
+          cells: cells,
+          areaShare: formatPercent(mineAreaShare),
+          listingsShare: formatPercent(mineListingsShare),
+        }),
+  ].join(" · ");
+}
+
+export class GameHUD {
+  constructor() {
+    this.timerInterval = null;
+    this.actions = {};
+    this.cityArea = null; // For the mines' share of the city at the end
+  }
+
+  initialize(game, actions) {
+    // actions maps each button's data-action attribute to a handler
+    this.actions = actions;
+    game.on("stateChanged", () => this.update(game));
+
+    document.querySelectorAll("[data-action]").forEach((button) => {
+      button.addEventListener("click", () => {
+        const action = this.actions[button.dataset.action];
+        if (action) action();
+      });
+    });
+
+    const fileInput = document.getElementById("replay-file");
+    fileInput.addEventListener("change", () => {
+      if (fileInput.files.length > 0 && this.actions.loadReplayFile) {
+        this.actions.loadReplayFile(fileInput.files[0]);
+      }
+      fileInput.value = "";
+    });
+
+    document.getElementById("hud").classList.remove("hidden");
+  }
+
+  setCityArea(area) {
+    this.cityArea = area;
+  }
+
+  showRule(config) {
+    // Show the mine rule, including any threshold picked by a difficulty preset
+    const difficulty = config.getDifficultyDisplayName();
+    const rule = config.getRuleDisplayName();
+    const label = document.getElementById("hud-rule");
+    label.textContent = difficulty ? `${difficulty}: ${rule}` : rule;
+    label.title = t("hud.rule", { rule: rule });
+  }
+
+  showVerification({ deducible, revealed, safeCells }) {
+    // Whether the board can be won from its opening without guessing
+    const label = document.getElementById("hud-deducible");
+    label.textContent = deducible ? "🧠" : "🎲";
+    label.title = deducible
+      ? t("hud.deducible")
+      : t("hud.guessing", { revealed: revealed, safeCells: safeCells });
+  }
+
+  showMessage(text) {
+    // Short notice in the HUD, also read out by screen readers
+    const message = document.getElementById("hud-message");
+    message.textContent = text;
+    message.classList.remove("hidden");
+    clearTimeout(this.messageTimeout);
+    this.messageTimeout = setTimeout(
+      () => message.classList.add("hidden"),
+      3000,
+    );
+  }
+
+  chooseReplayFile() {
+    document.getElementById("replay-file").click();
+  }
+
+  update(game) {
+    document.getElementById("hud-mines").textContent = game.getRemainingMines();
+    document.getElementById("hud-flags").textContent = game.getFlagCount();
+    document.getElementById("hud-revealed").textContent = formatPercent(
+      Math.floor(game.getRevealedPercentage()) / 100,
+    );
+    this.updateTimer(game);
+
+    const canUndo = game.canUndo();
+    document.getElementById("hud-undo").disabled = !canUndo;
+    document
+      .getElementById("game-over-undo")
+      .classList.toggle("hidden", !canUndo);
+
+    const state = game.getGameState();
+    if (state === "playing") {
+      this.startTimer(game);
+    } else {
+      this.stopTimer();
+    }
+
+    if (state === "won" || state === "lost") {
+      this.showGameOver(
+        state === "won",
+        game.getElapsedTime(),
+        game.getHintCount(),
+        summariseBoard(game, this.cityArea),
+      );
+    } else {
+      this.hideGameOver();
+    }
+  }
+
+  startTimer(game) {
+    if (this.timerInterval) return;
+
+    this.timerInterval = setInterval(() => {
+      this.updateTimer(game);
+    }, 1000);
+  }
+
+  stopTimer() {
+    clearInterval(this.timerInterval);
+    this.timerInterval = null;
+  }
+
+  updateTimer(game) {
+    document.getElementById("hud-timer").textContent = formatTime(
+      game.getElapsedTime(),
+    );
+  }
+
+  showGameOver(won, elapsedTime, hintCount = 0, summary = null) {
+    const overlay = document.getElementById("game-over");
+    overlay.classList.toggle("game-over-won", won);
+    overlay.classList.toggle("game-over-lost", !won);
+
+    document.getElementById("game-over-title").textContent = t(
+      won ? "gameOver.won" : "gameOver.lost",
+    );
+    const hints =
+      hintCount > 0 ? ` · ${t("gameOver.hints", { count: hintCount })}` : "";
+    document.getElementById("game-over-time").textContent =
+      t("gameOver.time", { time: formatTime(elapsedTime) }) + hints;
+
+    // What the mines stood for, e.g. "12 345 anúncios · 45 de 295 áreas
+    // são minas: 18% da área com 62% dos anúncios"
+    const stats = document.getElementById("game-over-stats");
+    stats.textContent = summary ? describeSummary(summary) : "";
+
+    overlay.classList.remove("hidden");
+  }
+
+  showResumePrompt(savedRecord) {
+    // Resolves true if the player wants to continue the saved game
+    const prompt = document.getElementById("resume-prompt");
+    const savedAt = new Date(savedRecord.savedAt).toLocaleString(getLanguage());
+    document.getElementById("resume-details").textContent = t(
+      "resume.details",
+      {
+        date: savedAt,
+        time: formatTime(savedRecord.state.elapsedTime),
+      },
+    );
+    prompt.classList.remove("hidden");
+
+    return new Promise((resolve) => {
+      const answer = (resume) => {
+        prompt.classList.add("hidden");
+        resumeButton.removeEventListener("click", onResume);
+        discardButton.removeEventListener("click", onDiscard);
+        resolve(resume);
+      };
+      const onResume = () => answer(true);
+      const onDiscard = () => answer(false);
+
+      const resumeButton = document.getElementById("resume-continue");
+      const discardButton = document.getElementById("resume-discard");
+      resumeButton.addEventListener("click", onResume);
+      discardButton.addEventListener("click", onDiscard);
+    });
+  }
+
+  showGeneratorPrompt(config) {
+    // Resolves with the uploaded files and grid options, or null if cancelled
+    const form = document.getElementById("generator-prompt");
+    const cityInput = document.getElementById("generator-city");
+    const cellSizeInput = document.getElementById("generator-cell-size");
+    const shapeInput = document.getElementById("generator-shape");
+    cityInput.value = config.getCity();
+    cellSizeInput.value = config.getGridSize();
+    shapeInput.value = config.getShape();
+    form.classList.remove("hidden");
+
+    return new Promise((resolve) => {
+      const answer = (request) => {
+        form.classList.add("hidden");
+        form.removeEventListener("submit", onSubmit);
+        cancelButton.removeEventListener("click", onCancel);
+        resolve(request);
+      };
+      const onSubmit = (event) => {
+        event.preventDefault();
+        answer({
+          listingsFile: document.getElementById("generator-listings").files[0],
+          outlineFile: document.getElementById("generator-outline").files[0],
+          city: cityInput.value,
+          cellSize: cellSizeInput.value,
+          shape: shapeInput.value,
+        });
+      };
+      const onCancel = () => answer(null);
+
+      const cancelButton = document.getElementById("generator-cancel");
+      form.addEventListener("submit", onSubmit);
+      cancelButton.addEventListener("click", onCancel);
+    });
+  }
+
+  showReplayBar() {
+    this.hideGameOver();
+    document.getElementById("replay-bar").classList.remove("hidden");
+  }
+
+  updateReplay(position, total, playing) {
+    document.getElementById("replay-progress").textContent =
+      `${position} / ${total}`;
+    const toggle = document.getElementById("replay-toggle");
+    toggle.textContent = playing ? "⏸" : "▶";
+    toggle.title = t(playing ? "replay.pause" : "replay.play");
+  }
+
+  hideReplayBar() {
+    document.getElementById("replay-bar").classList.add("hidden");
+  }
+
+  hideGameOver() {
+    document.getElementById("game-over").classList.add("hidden");
+    this.setHeatmapVisible(false);
+  }
+
+  setHeatmapVisible(visible) {
+    const button = document.getElementById("game-over-heatmap");
+    button.setAttribute("aria-pressed", String(visible));
+    button.textContent = t(visible ? "gameOver.hideData" : "gameOver.showData");
+  }
+
+  setFlagMode(on) {
+    document
+      .getElementById("hud-flag-mode")
+      .setAttribute("aria-pressed", String(on));
+  }
+}
@@ -0,0 +1,91 @@
+// Player-facing text in the player's language. The language comes from the
+// lang URL param or the browser, and messages from js/messages.js.
+import { MESSAGES } from "./messages.js";
+
+export const DEFAULT_LANGUAGE = "pt-PT";
+export const LANGUAGES = Object.keys(MESSAGES);
+
+let language = DEFAULT_LANGUAGE;
+
+export function resolveLanguage(requested, preferred = []) {
+  // The first supported language, matching "pt-BR" to "pt-PT" and "en-GB"
+  // to "en" when there's no exact match
+  const candidates = [requested, ...preferred].filter(Boolean);
+  for (const candidate of candidates) {
+    const exact = LANGUAGES.find(
+      (supported) => supported.toLowerCase() === candidate.toLowerCase(),
+    );
+    if (exact) return exact;
+
+    const base = candidate.split("-")[0].toLowerCase();
+    const related = LANGUAGES.find(
+      (supported) => supported.split("-")[0].toLowerCase() === base,
+    );
+    if (related) return related;
+  }
+  return DEFAULT_LANGUAGE;
+}
+
+export function setLanguage(code) {
+  if (!LANGUAGES.includes(code)) {
+    throw new Error(
+      `Unsupported language ${code}. Must be one of ${LANGUAGES.join(", ")}.`,
+    );
+  }
+  language = code;
+}
+
+export function getLanguage() {
+  return language;
+}
+
+export function formatNumber(value, options = {}) {
+  return new Intl.NumberFormat(language, options).format(value);
+}
+
+export function formatCurrency(value, currency = "EUR") {
+  // Whole amounts, e.g. "1235 €" or "€1,235"
+  return formatNumber(value, {
+    style: "currency",
+    currency: currency,
+    minimumFractionDigits: 0,
+    maximumFractionDigits: 0,
+  });
+}
+
+export function formatPercent(share) {
+  return formatNumber(share, { style: "percent", maximumFractionDigits: 0 });
+}
+
+export function t(key, params = {}) {
+  // Falls back to the default language, then to the key itself. Numbers
+  // are formatted for the language, so pass ids as strings.
+  let message = MESSAGES[language][key] ?? MESSAGES[DEFAULT_LANGUAGE][key];
+  if (message === undefined) return key;
+
+  if (typeof message === "object") {
+    const form = new Intl.PluralRules(language).select(params.count);
+    message = message[form] ?? message.other;
+  }
+
+  return message.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (!(name in params)) return placeholder;
+    const value = params[name];
+    return typeof value === "number" ? formatNumber(value) : String(value);
+  });
+}
+
+export function translatePage(root = document) {
+  // Static text marked up with data-i18n (text), data-i18n-title and
+  // data-i18n-aria-label
+  document.documentElement.lang = language;
+  root.querySelectorAll("[data-i18n]").forEach((element) => {
+    element.textContent = t(element.dataset.i18n);
+  });
+  root.querySelectorAll("[data-i18n-title]").forEach((element) => {
+    element.title = t(element.dataset.i18nTitle);
+  });
+  root.querySelectorAll("[data-i18n-aria-label]").forEach((element) => {
+    element.setAttribute("aria-label", t(element.dataset.i18nAriaLabel));
+  });
+}
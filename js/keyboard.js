@@ -0,0 +1,184 @@
+// Keyboard play: a cursor moved between neighbouring cells with the arrow
+// keys, plus spoken descriptions of cells for screen readers
+import { t } from "./i18n.js";
+import { canInspectCell } from "./listings.js";
+import { formatMetricValue, getMetricName } from "./rules.js";
+
+// Arrow keys as [east, north] unit vectors
+const DIRECTIONS = {
+  ArrowRight: [1, 0],
+  ArrowLeft: [-1, 0],
+  ArrowUp: [0, 1],
+  ArrowDown: [0, -1],
+};
+
+function getCellCentre(game, cell) {
+  // Centre in roughly metric units, so angles match what's on screen
+  const { left, right, top, bottom } = game.getCellBounds(cell);
+  const lat = (top + bottom) / 2;
+  return [((left + right) / 2) * Math.cos((lat * Math.PI) / 180), lat];
+}
+
+export function findNeighbourInDirection(game, cell, [dx, dy]) {
+  // The neighbour closest in angle to the direction, within 90°; on square
+  // boards that's the cell straight ahead rather than a diagonal
+  const [x, y] = getCellCentre(game, cell);
+  let best = null;
+  let bestScore = 0;
+
+  game.getNeighbours(cell).forEach((neighbour) => {
+    const [nx, ny] = getCellCentre(game, neighbour);
+    const length = Math.hypot(nx - x, ny - y);
+    const score = length > 0 ? ((nx - x) * dx + (ny - y) * dy) / length : 0;
+    if (
+      score > bestScore + 1e-9 ||
+      (best && Math.abs(score - bestScore) <= 1e-9 && neighbour.id < best.id)
+    ) {
+      best = neighbour;
+      bestScore = score;
+    }
+  });
+
+  return best;
+}
+
+function countMines(count) {
+  if (count === 0) return t("cell.noAdjacentMines");
+  return t("cell.adjacentMines", { count: count });
+}
+
+export function describePlace(game, cell) {
+  // The neighbourhood's name, or e.g. "Linha 3, coluna 5". Rows count up
+  // from the south, but are read out from the top.
+  const topRow = Math.max(...game.getCells().map((other) => other.row));
+  return (
+    cell.feature.properties.name ||
+    t("cell.place", { row: topRow - cell.row + 1, col: cell.col + 1 })
+  );
+}
+
+export function describeCell(game, cell) {
+  // What a screen reader says for a cell, e.g. "Linha 3, coluna 5:
+  // 3 minas adjacentes, Contagem de Anúncios: 5"
+  const props = cell.feature.properties;
+  const place = describePlace(game, cell);
+
+  let state;
+  if (cell.isWrongFlag) {
+    state = t("cell.stateWrongFlag");
+  } else if (cell.isFlagged) {
+    state = t("cell.stateFlagged");
+  } else if (!cell.isRevealed) {
+    state = t("cell.stateHidden");
+  } else {
+    state = cell.isMine ? t("cell.stateMine") : countMines(cell.adjacentMines);
+    const metrics = game
+      .getRule()
+      .metrics.map(
+        (metric) =>
+          `${getMetricName(metric)}: ${formatMetricValue(props[metric])}`,
+      );
+    state = [state, ...metrics].join(", ");
+  }
+
+  return `${place}: ${state}`;
+}
+
+export class KeyboardControls {
+  constructor(
+    game,
+    { onFocus = () => {}, announce = () => {}, onInspect = () => {} } = {},
+  ) {
+    this.game = game;
+    this.onFocus = onFocus; // (cell, previousCell) when the cursor moves
+    this.announce = announce; // Text for the live region
+    this.onInspect = onInspect; // (cell) to show the listings inside it
+    this.focusedId = null;
+
+    game.on("gameOver", ({ won }) =>
+      this.announce(t(won ? "keyboard.won" : "keyboard.lost")),
+    );
+  }
+
+  getFocusedCell() {
+    // By id, since restarting the game replaces the cell objects
+    return this.focusedId === null
+      ? null
+      : this.game.getCellById(this.focusedId) || null;
+  }
+
+  getStartCell() {
+    // The safe start opening, or else the top left (north west) cell
+    const cells = this.game.getCells();
+    if (cells.length === 0) return null;
+    return (
+      this.game.getOpeningCell() ||
+      cells.reduce((first, cell) =>
+        cell.row > first.row || (cell.row === first.row && cell.col < first.col)
+          ? cell
+          : first,
+      )
+    );
+  }
+
+  focus(cell) {
+    if (!cell) return;
+    const previous = this.getFocusedCell();
+    this.focusedId = cell.id;
+    this.onFocus(cell, previous);
+    this.announce(describeCell(this.game, cell));
+  }
+
+  handleKey(key) {
+    // Returns whether the key was used, so the page can stop its default
+    // action (scrolling on arrows and space)
+    const cell = this.getFocusedCell();
+    if (!cell) {
+      if (!(key in DIRECTIONS) && ![" ", "Enter"].includes(key)) return false;
+      this.focus(this.getStartCell());
+      return true;
+    }
+
+    if (key in DIRECTIONS) {
+      const next = findNeighbourInDirection(this.game, cell, DIRECTIONS[key]);
+      if (next) {
+        this.focus(next);
+      } else {
+        this.announce(t("keyboard.edge"));
+      }
+      return true;
+    }
+    if (this.game.isReplaying()) return false;
+
+    switch (key.toLowerCase()) {
+      case " ":
+      case "enter":
+        this.game.handleCellClick(cell);
+        break;
+      case "f":
+        this.game.handleCellRightClick(cell);
+        break;
+      case "c":
+        if (!this.game.canChord(cell)) {
+          this.announce(t("keyboard.cannotChord"));
+          return true;
+        }
+        this.game.handleCellChord(cell);
+        break;
+      case "l":
+        if (canInspectCell(this.game, cell)) {
+          this.onInspect(cell);
+        } else {
+          this.announce(t("keyboard.revealToInspect"));
+        }
+        return true;
+      default:
+        return false;
+    }
+
+    if (this.game.getGameState() === "playing") {
+      this.announce(describeCell(this.game, cell));
+    }
+    return true;
+  }
+}
@@ -0,0 +1,171 @@
+// The individual listings behind each cell. Every city gets one table of
+// its listings (data/<city>_listings.json), shared by its boards, and every
+// board an index of which table rows fall in each cell
+// (data/<board>.listings.json). Both are only fetched when a player
+// inspects a cell, so the board files stay small.
+import { formatCurrency, t } from "./i18n.js";
+import { hashString } from "./storage.js";
+
+export const LISTING_DATA_VERSION = 1;
+
+// Columns of the listing table, in order
+export const LISTING_FIELDS = [
+  "id",
+  "name",
+  "room_type",
+  "price",
+  "reviews",
+  "license",
+];
+
+// Inside Airbnb's room types, named in the catalogue as room.<type>
+export const ROOM_TYPES = [
+  "Entire home/apt",
+  "Private room",
+  "Shared room",
+  "Hotel room",
+];
+
+export function getListingTableName(city) {
+  return `${city}_listings.json`;
+}
+
+export function getListingIndexName(boardName) {
+  return `${boardName}.listings.json`;
+}
+
+export function createListingTable(city, listings) {
+  // listings as loaded by loadListings, in the same order, so a listing's
+  // row is its position
+  const rows = listings.map((listing) => [
+    listing.id,
+    listing.name,
+    listing.roomType,
+    listing.price,
+    listing.reviews,
+    listing.license,
+  ]);
+  return {
+    version: LISTING_DATA_VERSION,
+    city: city,
+    fields: LISTING_FIELDS,
+    hash: hashString(JSON.stringify(rows)),
+    rows: rows,
+  };
+}
+
+export function createListingIndex(boardName, table, listingsByCell) {
+  // listingsByCell maps cell ids to the listings inside each cell
+  const cells = {};
+  listingsByCell.forEach((listings, cellId) => {
+    cells[cellId] = listings.map((listing) => listing.row);
+  });
+  return {
+    version: LISTING_DATA_VERSION,
+    board: boardName,
+    table: getListingTableName(table.city),
+    hash: table.hash,
+    cells: cells,
+  };
+}
+
+export function getCellListings(table, index, cellId) {
+  // The cell's listings as objects keyed by LISTING_FIELDS
+  if (table.hash !== index.hash) {
+    throw new Error(
+      t("error.listingIndex", { board: index.board, table: index.table }),
+    );
+  }
+  return (index.cells[cellId] || []).map((row) =>
+    Object.fromEntries(
+      table.fields.map((field, column) => [field, table.rows[row][column]]),
+    ),
+  );
+}
+
+function getNiceStep(span) {
+  // The smallest of 1, 2 or 5 times a power of ten that covers the span
+  const magnitude = 10 ** Math.floor(Math.log10(span));
+  return [1, 2, 5, 10]
+    .map((multiple) => multiple * magnitude)
+    .find((step) => step >= span);
+}
+
+export function createPriceHistogram(prices, maxBins = 8) {
+  // Bins of a round width, e.g. €0-50, €50-100, covering every price with
+  // about maxBins bins: [{from, to, count}]
+  if (prices.length === 0) return [];
+
+  const min = Math.min(...prices);
+  const max = Math.max(...prices);
+  const width = getNiceStep(Math.max((max - min) / maxBins, 1));
+  const start = Math.floor(min / width) * width;
+  const bins = Array.from(
+    { length: Math.floor((max - start) / width) + 1 },
+    (_, index) => ({
+      from: start + index * width,
+      to: start + (index + 1) * width,
+      count: 0,
+    }),
+  );
+
+  prices.forEach((price) => {
+    bins[Math.floor((price - start) / width)].count++;
+  });
+  return bins;
+}
+
+export function formatPrice(price) {
+  return formatCurrency(price, "EUR");
+}
+
+export function describeRoomType(roomType) {
+  return ROOM_TYPES.includes(roomType) ? t(`room.${roomType}`) : roomType;
+}
+
+export function describeLicence(license) {
+  if (!license) return t("listings.noLicence");
+  return license === "Exempt"
+    ? t("listings.exempt")
+    : t("listings.licence", { licence: license });
+}
+
+export function canInspectCell(game, cell) {
+  // Listings are shown for revealed cells, and for any cell once the game
+  // is over
+  return cell.isRevealed || ["won", "lost"].includes(game.getGameState());
+}
+
+async function fetchJSON(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(t("error.status", { status: response.status }));
+  }
+  return response.json();
+}
+
+export class ListingData {
+  constructor(fetchData = fetchJSON) {
+    this.fetchData = fetchData;
+    this.requests = new Map(); // URL -> promise of its JSON, loaded once
+  }
+
+  load(url) {
+    if (!this.requests.has(url)) {
+      const request = this.fetchData(url).catch((error) => {
+        // Let a later inspection try again, e.g. once back online
+        this.requests.delete(url);
+        throw new Error(t("error.loadListings", { message: error.message }));
+      });
+      this.requests.set(url, request);
+    }
+    return this.requests.get(url);
+  }
+
+  async getCellListings(indexURL, cellId) {
+    // The table sits next to the board's index
+    const index = await this.load(indexURL);
+    const table = await this.load(indexURL.replace(/[^/]*$/, "") + index.table);
+    return getCellListings(table, index, cellId);
+  }
+}
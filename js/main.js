@@ -1,7 +1,66 @@
 // Main application controller
+import { GameConfig } from "./config.js";
+import { MinesweeperGame } from "./game.js";
+import { GameMap } from "./map.js";
+import { GameHUD } from "./hud.js";
+import { GameBridge } from "./bridge.js";
+import { GameStorage } from "./storage.js";
+import { GridGenerator } from "./grid-generator.js";
+import { resolveLanguage, setLanguage, t, translatePage } from "./i18n.js";
+import { addBoard, createBoardEntry, loadManifest } from "./manifest.js";
+import { findHint, verifyBoard } from "./solver.js";
+import {
+  GameReplay,
+  createReplayRecord,
+  decodeReplay,
+  encodeReplay,
+  parseReplayRecord,
+} from "./replay.js";
+import {
+  createChallengeURL,
+  createResultSummary,
+  decodeChallenge,
+  encodeChallenge,
+} from "./share.js";
+
 class App {
   constructor() {
     this.initialized = false;
+    this.config = null;
+    this.game = new MinesweeperGame();
+    this.gameMap = new GameMap();
+    this.hud = new GameHUD();
+    this.bridge = new GameBridge();
+    this.storage = new GameStorage();
+    this.replay = new GameReplay(this.game, this.gameMap);
+    this.pendingReplay = null; // Replay from the URL fragment, played after init
+    this.pendingChallenge = null; // Challenge link progress, restored after init
+
+    // Connect renderers and integrations to game events
+    this.gameMap.attachGame(this.game);
+    this.bridge.attach(this.game);
+    this.game.on("stateChanged", () => this.saveProgress());
+    window.addEventListener("pagehide", () => this.saveProgress());
+    this.replay.onProgress = (position, total) =>
+      this.hud.updateReplay(position, total, this.replay.isPlaying());
+  }
+
+  configure(search, hash = "", manifest = null) {
+    this.config = new GameConfig(search, manifest);
+
+    // A challenge link replaces the plain URL params with its own options
+    const challenge = new URLSearchParams(search).get("challenge");
+    if (challenge) {
+      this.pendingChallenge = decodeChallenge(challenge);
+      this.config.setParams(this.pendingChallenge.params);
+    }
+
+    // A shared replay link carries its own config in the fragment
+    const match = hash.match(/^#replay=(.+)$/);
+    if (match) {
+      this.pendingReplay = decodeReplay(match[1]);
+      this.config.setParams(this.pendingReplay.config);
+    }
   }
 
   async init() {
@@ -12,11 +71,51 @@ class App {
       this.updateConfigUI();
 
       // Initialize map and game
-      const success = await window.gameMap.initializeMap();
+      const success = await this.gameMap.initializeMap(this.config);
 
       if (success) {
         this.initialized = true;
-        window.gameMap.hideLoading();
+        this.hud.initialize(this.game, {
+          restart: () => this.restartGame(),
+          undo: () => this.game.undo(),
+          startReplay: () => this.startReplay(this.game.getMoveLog()),
+          rewindReplay: () => this.replay.start(),
+          toggleReplay: () => this.toggleReplay(),
+          stepReplay: () => this.replay.step(),
+          closeReplay: () => this.closeReplay(),
+          copyReplayLink: () => this.copyReplayLink(),
+          downloadReplay: () => this.downloadReplay(),
+          openReplay: () => this.hud.chooseReplayFile(),
+          loadReplayFile: (file) => this.loadReplayFile(file),
+          shareResult: () => this.shareResult(),
+          shareProgress: () => this.shareProgress(),
+          generateBoard: () => this.generateBoard(),
+          hint: () => this.showHint(),
+          toggleHeatmap: () =>
+            this.hud.setHeatmapVisible(this.gameMap.toggleHeatmap()),
+          toggleFlagMode: () =>
+            this.hud.setFlagMode(this.gameMap.toggleFlagMode()),
+        });
+        this.hud.setCityArea(this.config.getCityArea());
+        this.hud.update(this.game);
+        this.hud.showRule(this.config);
+        this.verifyBoard();
+        this.bridge.initialize(this.config, {
+          newGame: () => this.restartGame(),
+          setConfig: (payload) => this.applyConfig(payload.params || payload),
+          reveal: (payload) => this.revealCell(payload.cellId),
+        });
+        this.gameMap.hideLoading();
+        if (this.pendingReplay) {
+          this.playReplayRecord(this.pendingReplay);
+          this.pendingReplay = null;
+        } else if (this.pendingChallenge && this.pendingChallenge.snapshot) {
+          this.restoreChallenge(this.pendingChallenge);
+          this.pendingChallenge = null;
+        } else {
+          await this.offerResume();
+        }
+        this.bridge.postReady(this.game);
         console.log("Game ready to play!");
       }
     } catch (error) {
@@ -26,37 +125,307 @@ class App {
   }
 
   updateConfigUI() {
-    const config = window.gameConfig;
+    const config = this.config;
 
     // Update title to include city
     document.title = `Airbnb Minesweeper - ${config.getCity()}`;
   }
 
+  saveProgress() {
+    // Keep a save only while there is a game in progress to come back to
+    if (!this.initialized || this.game.isReplaying()) return;
+
+    const state = this.game.getGameState();
+    if (state === "playing") {
+      this.storage.save(this.config, this.gameMap.getDataHash(), this.game);
+    } else if (state === "won" || state === "lost") {
+      this.storage.clear(this.config);
+    }
+  }
+
+  async offerResume() {
+    const saved = this.storage.load(this.config, this.gameMap.getDataHash());
+    if (!saved) return;
+
+    const resume = await this.hud.showResumePrompt(saved);
+    if (!resume) {
+      this.storage.clear(this.config);
+      return;
+    }
+
+    try {
+      this.game.restoreSnapshot(saved.state);
+    } catch (error) {
+      console.warn("Unable to resume saved game:", error.message);
+      this.storage.clear(this.config);
+      this.gameMap.restartGame();
+    }
+  }
+
+  startReplay(moves) {
+    this.replay.load(moves);
+    this.hud.showReplayBar();
+    this.replay.start();
+  }
+
+  toggleReplay() {
+    if (this.replay.isPlaying()) {
+      this.replay.pause();
+    } else {
+      this.replay.play();
+    }
+  }
+
+  closeReplay() {
+    this.replay.stop();
+    this.hud.hideReplayBar();
+    this.hud.update(this.game);
+  }
+
+  playReplayRecord(record) {
+    if (record.dataHash !== this.gameMap.getDataHash()) {
+      throw new Error(t("error.replayData"));
+    }
+    this.startReplay(record.moves);
+  }
+
+  async loadReplayFile(file) {
+    try {
+      const record = parseReplayRecord(JSON.parse(await file.text()));
+      this.closeReplay();
+      await this.applyConfig(record.config, { offerResume: false });
+      this.playReplayRecord(record);
+    } catch (error) {
+      console.error("Failed to load replay:", error);
+      this.showError(t("error.replay", { message: error.message }));
+    }
+  }
+
+  getReplayRecord() {
+    return createReplayRecord(
+      this.config,
+      this.gameMap.getDataHash(),
+      this.game,
+    );
+  }
+
+  copyReplayLink() {
+    const url = new URL(window.location.href);
+    url.hash = `replay=${encodeReplay(this.getReplayRecord())}`;
+    return this.copyText(url.toString(), t("replay.linkPrompt"));
+  }
+
+  async copyText(text, label) {
+    try {
+      await navigator.clipboard.writeText(text);
+    } catch (error) {
+      // Clipboard access can be blocked (e.g. inside an iframe), so let the
+      // player copy the text by hand
+      window.prompt(label, text);
+    }
+  }
+
+  restoreChallenge(challenge) {
+    if (challenge.dataHash !== this.gameMap.getDataHash()) {
+      throw new Error(t("error.challengeData"));
+    }
+    this.game.restoreSnapshot(challenge.snapshot);
+  }
+
+  getChallengeParams() {
+    // Pin the opening so whoever follows the link starts from the same cell
+    const params = this.config.getParams();
+    const openingCell = this.game.getOpeningCell();
+    if (openingCell) {
+      params.start = openingCell.id;
+    }
+    return params;
+  }
+
+  async shareResult() {
+    const link = createChallengeURL(
+      window.location.href,
+      encodeChallenge({ params: this.getChallengeParams() }),
+    );
+    const summary = createResultSummary(this.game, this.config, link);
+
+    if (navigator.share) {
+      try {
+        await navigator.share({ title: "Airbnb Minesweeper", text: summary });
+        return;
+      } catch (error) {
+        if (error.name === "AbortError") return;
+      }
+    }
+    await this.copyText(summary, t("share.resultPrompt"));
+  }
+
+  shareProgress() {
+    const challenge = encodeChallenge({
+      params: this.getChallengeParams(),
+      dataHash: this.gameMap.getDataHash(),
+      snapshot:
+        this.game.getGameState() === "playing" ? this.game.getSnapshot() : null,
+    });
+    return this.copyText(
+      createChallengeURL(window.location.href, challenge),
+      t("share.challengePrompt"),
+    );
+  }
+
+  downloadReplay() {
+    const params = this.config.getParams();
+    const blob = new Blob([JSON.stringify(this.getReplayRecord())], {
+      type: "application/json",
+    });
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(blob);
+    link.download = `minesweeper-${params.city}-${params.gridSize}-replay.json`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  }
+
+  async generateBoard() {
+    // Build a board from uploaded Inside Airbnb files and play it in place of
+    // the city's data file
+    const request = await this.hud.showGeneratorPrompt(this.config);
+    if (!request) return;
+
+    try {
+      const [outlineText, listingsCSV] = await Promise.all([
+        request.outlineFile.text(),
+        request.listingsFile.text(),
+      ]);
+      const { city, cellSize, shape } = request;
+      const geojson = new GridGenerator(city, cellSize, shape).generate(
+        JSON.parse(outlineText),
+        listingsCSV,
+      );
+
+      // List the board so the config accepts its city and size
+      if (this.config.manifest) {
+        addBoard(
+          this.config.manifest,
+          city,
+          createBoardEntry(geojson, { gridSize: cellSize, shape: shape }),
+        );
+      }
+      this.gameMap.setLocalData(geojson);
+      await this.applyConfig({ city: city, gridSize: cellSize, shape: shape });
+    } catch (error) {
+      console.error("Failed to generate board:", error);
+      this.showError(t("error.generator", { message: error.message }));
+    }
+  }
+
+  verifyBoard() {
+    // Check the board can be won by logic alone from the safe start opening,
+    // or from the opening the game would pick when there's no safe start
+    const startCell = this.game.getOpeningCell() || this.game.findOpeningCell();
+    const result = verifyBoard(this.game, startCell);
+    console.log(
+      result.deducible
+        ? "Board can be solved without guessing"
+        : `Board needs guessing: logic reveals ${result.revealed} of ${result.safeCells} safe cells`,
+    );
+    this.hud.showVerification(result);
+  }
+
+  showHint() {
+    if (this.game.getGameState() !== "playing" || this.game.isReplaying()) {
+      this.hud.showMessage(t("hud.noHintYet"));
+      return;
+    }
+
+    const hint = findHint(this.game);
+    if (!hint) {
+      this.hud.showMessage(t("hud.noSafeMove"));
+      return;
+    }
+    this.game.useHint();
+    this.gameMap.showHint(hint);
+  }
+
+  restartGame() {
+    // Start a fresh round on the already loaded data without reloading the page
+    this.closeReplay();
+    this.storage.clear(this.config);
+    this.hud.hideGameOver();
+    this.gameMap.restartGame();
+    this.bridge.postReady(this.game);
+  }
+
+  async applyConfig(params, { offerResume = true } = {}) {
+    this.saveProgress();
+    const previousParams = this.config.getParams();
+    this.config.setParams(params);
+    this.gameMap.hideError();
+
+    try {
+      await this.gameMap.reloadGame();
+    } catch (error) {
+      // The previous board is still on the map, so keep playing it
+      this.config.restoreParams(previousParams);
+      this.hud.showMessage(error.message);
+      throw error;
+    }
+    this.updateConfigUI();
+    this.hud.hideGameOver();
+
+    this.hud.showRule(this.config);
+    this.hud.setCityArea(this.config.getCityArea());
+    this.verifyBoard();
+
+    if (offerResume) {
+      await this.offerResume();
+    }
+    this.bridge.postReady(this.game);
+  }
+
+  revealCell(cellId) {
+    const cell = this.game.getCellById(cellId);
+    if (!cell) {
+      throw new Error(`No cell with id ${cellId}`);
+    }
+    this.game.handleCellClick(cell);
+  }
+
   showError(message) {
-    window.gameMap.hideLoading();
-    window.gameMap.showError(message);
+    this.gameMap.hideLoading();
+    this.gameMap.showError(message);
   }
 }
 
-// Override the game's updateCellDisplay to use map rendering
-window.minesweeperGame.updateCellDisplay = function (cell) {
-  window.gameMap.updateCellDisplay(cell);
-};
-
 // Start the application when DOM is loaded
-document.addEventListener("DOMContentLoaded", () => {
+document.addEventListener("DOMContentLoaded", async () => {
+  // The lang param, or else the browser's languages, picks the catalogue
+  // (see js/messages.js) before any text is shown
+  setLanguage(
+    resolveLanguage(
+      new URLSearchParams(window.location.search).get("lang"),
+      navigator.languages,
+    ),
+  );
+  translatePage(document);
+
   const app = new App();
 
   // Handle configuration errors
   try {
-    app.init();
+    const manifest = await loadManifest();
+    app.configure(window.location.search, window.location.hash, manifest);
   } catch (error) {
     console.error("Configuration error:", error);
-    app.showError(`Configuration Error: ${error.message}`);
+    app.showError(t("error.configuration", { message: error.message }));
+    return;
   }
-});
 
-// Prevent context menu on the entire page
-document.addEventListener("contextmenu", (e) => {
-  e.preventDefault();
+  app.init();
 });
+
+// Keep the game and its boards available offline, see sw.js
+if ("serviceWorker" in navigator) {
+  navigator.serviceWorker.register("sw.js").catch((error) => {
+    console.warn("Offline play unavailable:", error.message);
+  });
+}
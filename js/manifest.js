@@ -0,0 +1,230 @@
+// Catalogue of the boards in data/, so the game and the picker only offer
+// (and accept) cities, grids and modes that exist
+import { DIFFICULTIES, computeThreshold } from "./difficulty.js";
+import { SHAPES as GRID_SHAPES } from "./grid-generator.js";
+import { t } from "./i18n.js";
+import { METRICS } from "./rules.js";
+
+export const MANIFEST_URL = "data/manifest.json";
+export const MANIFEST_VERSION = 1;
+
+// Regular grids, or one cell per neighbourhood (gridSize doesn't apply)
+export const BOARD_SHAPES = [...GRID_SHAPES, "neighbourhood"];
+
+function fail(message) {
+  throw new Error(`Invalid manifest: ${message}`);
+}
+
+export function validateManifest(manifest) {
+  if (!manifest || manifest.version !== MANIFEST_VERSION) {
+    fail(`expected version ${MANIFEST_VERSION}`);
+  }
+  if (!Array.isArray(manifest.cities) || manifest.cities.length === 0) {
+    fail("no cities");
+  }
+
+  manifest.cities.forEach((city) => {
+    if (!/^[a-zA-Z0-9_-]+$/.test(city.id || "")) {
+      fail(`bad city id "${city.id}"`);
+    }
+    if (typeof city.name !== "string") {
+      fail(`city ${city.id} has no name`);
+    }
+    if (!Array.isArray(city.boards) || city.boards.length === 0) {
+      fail(`city ${city.id} has no boards`);
+    }
+    if (
+      city.area !== undefined &&
+      !(typeof city.area === "number" && city.area > 0)
+    ) {
+      fail(`city ${city.id} has a bad area`);
+    }
+
+    city.boards.forEach((board) => {
+      const label = `${city.id} board ${describeBoard(board)}`;
+      if (!BOARD_SHAPES.includes(board.shape)) {
+        fail(`${label} has unknown shape "${board.shape}"`);
+      }
+      if (board.shape !== "neighbourhood" && !/^\d+$/.test(board.gridSize)) {
+        fail(`${label} has no grid size`);
+      }
+      if (!/^[\w-]+\.geojson$/.test(board.file || "")) {
+        fail(`${label} has a bad file name "${board.file}"`);
+      }
+      if (
+        board.listings !== undefined &&
+        !/^[\w-]+\.listings\.json$/.test(board.listings)
+      ) {
+        fail(`${label} has a bad listing index name "${board.listings}"`);
+      }
+      if (
+        !Array.isArray(board.metrics) ||
+        board.metrics.some((metric) => !METRICS.includes(metric))
+      ) {
+        fail(`${label} lists unknown metrics`);
+      }
+    });
+  });
+
+  return manifest;
+}
+
+export async function loadManifest(url = MANIFEST_URL) {
+  let manifest;
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(t("error.status", { status: response.status }));
+    }
+    manifest = await response.json();
+  } catch (error) {
+    throw new Error(t("error.loadCatalogue", { message: error.message }));
+  }
+  return validateManifest(manifest);
+}
+
+export function describeBoard(board) {
+  if (board.shape === "neighbourhood") return t("board.neighbourhoods");
+  return t(board.shape === "hex" ? "board.hex" : "board.square", {
+    gridSize: board.gridSize,
+  });
+}
+
+export function findCity(manifest, cityId) {
+  return manifest.cities.find((city) => city.id === cityId) || null;
+}
+
+export function findBoard(manifest, { city, gridSize, shape }) {
+  const entry = findCity(manifest, city);
+  if (!entry) return null;
+
+  return (
+    entry.boards.find(
+      (board) =>
+        board.shape === shape &&
+        (shape === "neighbourhood" || board.gridSize === gridSize),
+    ) || null
+  );
+}
+
+export function checkParams(manifest, params, metrics) {
+  // Throws an error listing the valid options when the params name a board
+  // or metric the catalogue doesn't have
+  const city = findCity(manifest, params.city);
+  if (!city) {
+    const cities = manifest.cities.map((entry) => entry.id).join(", ");
+    throw new Error(
+      t("error.unknownCity", { city: params.city, options: cities }),
+    );
+  }
+
+  const board = findBoard(manifest, params);
+  if (!board) {
+    const boards = city.boards.map(describeBoard).join(", ");
+    throw new Error(
+      t("error.unknownBoard", {
+        board: describeBoard(params),
+        city: city.name,
+        options: boards,
+      }),
+    );
+  }
+
+  const missing = metrics.filter((metric) => !board.metrics.includes(metric));
+  if (missing.length > 0) {
+    throw new Error(
+      t("error.missingMetrics", {
+        board: describeBoard(board),
+        city: city.name,
+        metrics: missing.join(", "),
+        options: board.metrics.join(", "),
+      }),
+    );
+  }
+
+  return board;
+}
+
+export function createBoardEntry(geojson, { gridSize, shape, listings }) {
+  // Catalogue entry for a generated board: which metrics every cell has, a
+  // suggested (medium difficulty) threshold for each, its bounds, and its
+  // listing index file if it has one
+  const features = geojson.features;
+  const metrics = METRICS.filter((metric) =>
+    features.every((feature) => typeof feature.properties[metric] === "number"),
+  );
+
+  const suggestedValues = {};
+  metrics.forEach((metric) => {
+    suggestedValues[metric] = computeThreshold(
+      features,
+      metric,
+      DIFFICULTIES.medium.mineRatio,
+    );
+  });
+
+  const props = features.map((feature) => feature.properties);
+  return {
+    gridSize: shape === "neighbourhood" ? null : String(gridSize),
+    shape: shape,
+    file: `${geojson.name}.geojson`,
+    ...(listings ? { listings: listings } : {}),
+    cells: features.length,
+    bounds: [
+      [
+        Math.min(...props.map((p) => p.bottom)),
+        Math.min(...props.map((p) => p.left)),
+      ],
+      [
+        Math.max(...props.map((p) => p.top)),
+        Math.max(...props.map((p) => p.right)),
+      ],
+    ],
+    metrics: metrics,
+    suggestedValues: suggestedValues,
+  };
+}
+
+export function addBoard(manifest, cityId, board) {
+  // Add or replace a board, creating the city if needed. Boards are kept
+  // in a stable order: by shape, then grid size.
+  let city = findCity(manifest, cityId);
+  if (!city) {
+    city = {
+      id: cityId,
+      name: cityId.charAt(0).toUpperCase() + cityId.slice(1),
+      bounds: null,
+      boards: [],
+    };
+    manifest.cities.push(city);
+  }
+
+  city.boards = city.boards.filter(
+    (existing) =>
+      !(existing.shape === board.shape && existing.gridSize === board.gridSize),
+  );
+  city.boards.push(board);
+  city.boards.sort(
+    (a, b) =>
+      BOARD_SHAPES.indexOf(a.shape) - BOARD_SHAPES.indexOf(b.shape) ||
+      Number(a.gridSize) - Number(b.gridSize),
+  );
+
+  const corners = city.boards.flatMap((entry) => entry.bounds);
+  city.bounds = [
+    [
+      Math.min(...corners.map(([lat]) => lat)),
+      Math.min(...corners.map(([, lng]) => lng)),
+    ],
+    [
+      Math.max(...corners.map(([lat]) => lat)),
+      Math.max(...corners.map(([, lng]) => lng)),
+    ],
+  ];
+
+  return manifest;
+}
+
+export function createManifest() {
+  return { version: MANIFEST_VERSION, cities: [] };
+}
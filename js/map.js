@@ -1,13 +1,85 @@
 // Map rendering and GeoJSON handling with Leaflet
-class GameMap {
+import { BasemapMonitor, NO_TILES } from "./basemap.js";
+import { CanvasCellLabels } from "./canvas-renderer.js";
+import { MinesweeperGame } from "./game.js";
+import { getGeometryBounds, getInteriorPoint } from "./geometry.js";
+import { createHeatmapScale, getRuleThresholds } from "./heatmap.js";
+import { formatNumber, t } from "./i18n.js";
+import { KeyboardControls, describePlace } from "./keyboard.js";
+import {
+  ListingData,
+  canInspectCell,
+  createPriceHistogram,
+  describeLicence,
+  describeRoomType,
+  formatPrice,
+} from "./listings.js";
+import { getCellLabel, getCellStyle } from "./palettes.js";
+import { describeRule, formatMetricValue, getMetricName } from "./rules.js";
+import { hashString } from "./storage.js";
+import {
+  TouchTracker,
+  chooseCellAction,
+  findCellAt,
+  findNearestCell,
+  vibrate,
+} from "./touch.js";
+
+function escapeHTML(text) {
+  const replacements = {
+    "&": "&amp;",
+    "<": "&lt;",
+    ">": "&gt;",
+    '"': "&quot;",
+    "'": "&#39;",
+  };
+  return String(text).replace(
+    /[&<>"']/g,
+    (character) => replacements[character],
+  );
+}
+
+export class GameMap {
   constructor() {
+    this.config = null;
     this.map = null;
     this.geojsonLayer = null;
     this.geojsonData = null;
+    this.dataHash = null;
+    this.localData = new Map(); // Boards generated in the browser, by name
     this.cellElements = new Map();
+    this.cellAnchors = new Map(); // Cell id -> interior point for markers
+    this.game = null;
+    this.keyboard = null;
+    this.heatmap = null; // Scale of the data overlay while it's shown
+    this.heatmapLegend = null;
+    this.listingData = new ListingData(); // Fetched on the first inspection
+    this.cellRenderer = null; // Shared L.canvas in canvas mode, else SVG
+    this.cellLabels = null; // Numbers and mines drawn in canvas mode
+    this.flagMode = false; // Whether a tap or click flags instead of reveals
+    this.touch = null; // Taps and long presses, see js/touch.js
+    this.mapMoving = false; // Panning or zooming, when taps are ignored
   }
 
-  async initializeMap() {
+  attachGame(game) {
+    this.game = game;
+    game.on("cellChanged", (cell) => this.updateCellDisplay(cell));
+    // The data overlay is for finished games, e.g. not after an undo
+    game.on("stateChanged", () => {
+      if (this.heatmap && !["won", "lost"].includes(game.getGameState())) {
+        this.hideHeatmap();
+      }
+    });
+    this.keyboard = new KeyboardControls(game, {
+      onFocus: (cell, previous) => this.focusCell(cell, previous),
+      announce: (text) => this.announce(text),
+      onInspect: (cell) => this.inspectCell(cell),
+    });
+  }
+
+  async initializeMap(config) {
+    this.config = config;
+
     try {
       // Load GeoJSON data
       await this.loadGeoJSONData();
@@ -33,15 +105,8 @@ class GameMap {
       const paddedBounds = this.calculatePaddedBounds(bounds);
       this.map.setMaxBounds(paddedBounds);
 
-      // Add Stamen Toner tile layer (background map)
-      L.tileLayer(
-        "https://tiles.stadiamaps.com/tiles/stamen_toner/{z}/{x}/{y}.png",
-        {
-          attribution:
-            "© Stadia Maps © Stamen Design © OpenStreetMap contributors",
-          maxZoom: 18,
-        },
-      ).addTo(this.map);
+      // Add the background map, or a plain one when tiles are unreachable
+      this.addBasemap();
 
       // Fit map to data bounds with tighter padding for mobile
       // Set initial zoom to allow for one level up/down
@@ -49,20 +114,20 @@ class GameMap {
       this.map.fitBounds(bounds, { padding: [1, 1], maxZoom: initialZoom });
 
       // Create game cells from GeoJSON
+      this.createPanes();
       this.createGameCells();
 
       // Initialize the game with the loaded data
-      window.minesweeperGame.initializeGame(this.geojsonData);
+      this.game.initializeGame(this.geojsonData, this.config.getParams());
 
       // After game initialization, set up click handlers
       this.setupClickHandlers();
+      this.setupKeyboard();
+      this.setupTouch();
 
       console.log("Map initialized successfully");
       console.log("Total map layers:", this.map._layers);
-      console.log(
-        "Game cells count:",
-        window.minesweeperGame.getCells().length,
-      );
+      console.log("Game cells count:", this.game.getCells().length);
       return true;
     } catch (error) {
       console.error("Failed to initialize map:", error);
@@ -71,34 +136,87 @@ class GameMap {
     }
   }
 
-  async loadGeoJSONData() {
-    const config = window.gameConfig;
-    const dataURL = config.getDataURL();
-
-    try {
-      const response = await fetch(dataURL);
+  addBasemap() {
+    const { url, attribution } = this.config.getTiles();
+    // Offline, sw.js still serves the tiles it has seen, so the monitor
+    // decides from what loads rather than navigator.onLine (which is also
+    // true on a kiosk's LAN without internet)
+    if (url === NO_TILES) {
+      this.showPlainBasemap();
+      return;
+    }
 
-      if (!response.ok) {
-        throw new Error(
-          `Failed to load data file: ${dataURL}. Status: ${response.status}`,
-        );
+    const monitor = new BasemapMonitor();
+    const tileLayer = L.tileLayer(url, {
+      attribution: attribution,
+      maxZoom: 18,
+    });
+    tileLayer.on("tileload", () => monitor.recordLoad());
+    tileLayer.on("tileerror", () => {
+      if (monitor.recordError()) {
+        console.warn(`Map tiles unreachable (${url}), using plain basemap`);
+        this.map.removeLayer(tileLayer);
+        this.showPlainBasemap();
       }
+    });
+    tileLayer.addTo(this.map);
+  }
 
-      this.geojsonData = await response.json();
+  showPlainBasemap() {
+    // The cells outline the city well enough to play without a basemap
+    this.map.getContainer().classList.add("plain-basemap");
+  }
 
-      if (
-        !this.geojsonData.features ||
-        this.geojsonData.features.length === 0
-      ) {
-        throw new Error("No grid cells found in data file");
+  async loadGeoJSONData() {
+    const { geojsonData, dataHash } = await this.readGeoJSONData();
+    this.geojsonData = geojsonData;
+    this.dataHash = dataHash;
+  }
+
+  async readGeoJSONData() {
+    // The configured board's data, without replacing the current board's
+    const dataURL = this.config.getDataURL();
+
+    try {
+      const name = this.config.getDataName();
+      const text = this.localData.has(name)
+        ? this.localData.get(name)
+        : await this.fetchData(dataURL);
+      const geojsonData = JSON.parse(text);
+
+      if (!geojsonData.features || geojsonData.features.length === 0) {
+        throw new Error(t("error.noCells"));
       }
 
+      this.config.resolveDifficulty(geojsonData.features);
+
       console.log(
-        `Loaded ${this.geojsonData.features.length} grid cells from ${dataURL}`,
+        `Loaded ${geojsonData.features.length} grid cells from ${dataURL}`,
       );
+      return { geojsonData: geojsonData, dataHash: hashString(text) };
     } catch (error) {
-      throw new Error(`Unable to load game data: ${error.message}`);
+      throw new Error(t("error.loadData", { message: error.message }));
+    }
+  }
+
+  async fetchData(dataURL) {
+    const response = await fetch(dataURL);
+
+    if (!response.ok) {
+      throw new Error(
+        t("error.fetchData", {
+          url: dataURL,
+          status: String(response.status),
+        }),
+      );
     }
+
+    return response.text();
+  }
+
+  setLocalData(geojson) {
+    // Serve a generated board in place of the data file with the same name
+    this.localData.set(geojson.name, JSON.stringify(geojson));
   }
 
   calculateBounds() {
@@ -108,14 +226,11 @@ class GameMap {
       maxLng = -Infinity;
 
     this.geojsonData.features.forEach((feature) => {
-      const coords = feature.geometry.coordinates[0];
-      coords.forEach((coord) => {
-        const [lng, lat] = coord;
-        minLat = Math.min(minLat, lat);
-        maxLat = Math.max(maxLat, lat);
-        minLng = Math.min(minLng, lng);
-        maxLng = Math.max(maxLng, lng);
-      });
+      const bounds = getGeometryBounds(feature.geometry);
+      minLat = Math.min(minLat, bounds.bottom);
+      maxLat = Math.max(maxLat, bounds.top);
+      minLng = Math.min(minLng, bounds.left);
+      maxLng = Math.max(maxLng, bounds.right);
     });
 
     return [
@@ -136,7 +251,7 @@ class GameMap {
     ];
   }
 
-  createGameCells() {
+  createPanes() {
     // Create custom pane for game cells to ensure they're on top
     this.map.createPane("gameCells");
     this.map.getPane("gameCells").style.zIndex = 1000;
@@ -147,10 +262,21 @@ class GameMap {
     this.map.getPane("numberMarkers").style.zIndex = 1500;
     this.map.getPane("numberMarkers").style.pointerEvents = "none";
 
+    // Canvas mode draws all cells into one canvas and all numbers into
+    // another, see js/canvas-renderer.js
+    if (this.config.getRenderer() === "canvas") {
+      this.cellRenderer = L.canvas({ pane: "gameCells" });
+      this.cellLabels = new CanvasCellLabels(this.map, "numberMarkers");
+    }
+
     this.map.createPane("tooltips");
     this.map.getPane("tooltips").style.zIndex = 2000;
     this.map.getPane("tooltips").style.pointerEvents = "none";
 
+    // Listing popups sit above everything and can be scrolled and clicked
+    this.map.createPane("listings");
+    this.map.getPane("listings").style.zIndex = 2100;
+
     // Add CSS for number markers
     if (!document.getElementById("cell-marker-styles")) {
       const style = document.createElement("style");
@@ -167,25 +293,29 @@ class GameMap {
       `;
       document.head.appendChild(style);
     }
+  }
 
-    // Create rectangles directly from GeoJSON data
+  createGameCells() {
+    // Create polygons directly from GeoJSON data
     this.geojsonData.features.forEach((feature) => {
-      this.createCellRectangle(feature);
+      this.createCellPolygon(feature);
     });
   }
 
-  createCellRectangle(feature) {
+  createCellPolygon(feature) {
     const cellId = feature.properties.id;
-    const props = feature.properties;
 
-    // Create bounds from properties
-    const bounds = [
-      [props.bottom, props.left],
-      [props.top, props.right],
-    ];
-
-    // Create rectangle
-    const rectangle = L.rectangle(bounds, {
+    // Draw the cell's own outline (square, hexagon or neighbourhood) from
+    // its geometry
+    const { type, coordinates } = feature.geometry;
+    const latLngs = L.GeoJSON.coordsToLatLngs(
+      coordinates,
+      type === "MultiPolygon" ? 2 : 1,
+    );
+    const [lng, lat] = getInteriorPoint(feature.geometry);
+    this.cellAnchors.set(cellId, L.latLng(lat, lng));
+
+    const polygon = L.polygon(latLngs, {
       pane: "gameCells",
       interactive: true,
       fillColor: "#ccc",
@@ -194,165 +324,176 @@ class GameMap {
       color: "#666",
       fillOpacity: 0.8,
       zIndexOffset: 1000,
+      ...(this.cellRenderer ? { renderer: this.cellRenderer } : {}),
     }).addTo(this.map);
 
     // Store references
-    rectangle.featureId = cellId;
-    rectangle.featureData = feature;
-    this.cellElements.set(cellId, rectangle);
+    polygon.featureId = cellId;
+    polygon.featureData = feature;
+    this.cellElements.set(cellId, polygon);
 
     // Add immediate click handler for testing
-    rectangle.on("click", (e) => {
-      console.log("DIRECT CLICK on rectangle for cell ID:", cellId);
+    polygon.on("click", (e) => {
+      console.log("DIRECT CLICK on polygon for cell ID:", cellId);
       this.handleDirectCellClick(cellId, e);
     });
 
-    rectangle.on("contextmenu", (e) => {
-      console.log("DIRECT RIGHT CLICK on rectangle for cell ID:", cellId);
+    polygon.on("contextmenu", (e) => {
+      console.log("DIRECT RIGHT CLICK on polygon for cell ID:", cellId);
       this.handleDirectCellRightClick(cellId, e);
     });
 
-    return rectangle;
+    // Double-click and middle-click chord a revealed number
+    polygon.on("dblclick", (e) => {
+      L.DomEvent.stop(e);
+      this.handleDirectCellChord(cellId, e);
+    });
+
+    polygon.on("mousedown", (e) => {
+      if (e.originalEvent && e.originalEvent.button === 1) {
+        this.handleDirectCellChord(cellId, e);
+      }
+    });
+
+    return polygon;
   }
 
   handleDirectCellClick(cellId, event) {
     if (event.originalEvent) event.originalEvent.preventDefault();
+    if (this.game.isReplaying()) return;
 
-    const gameCell = window.minesweeperGame
-      .getCells()
-      .find((cell) => cell.feature.properties.id === cellId);
+    const gameCell = this.game.getCellById(cellId);
 
     if (gameCell) {
-      console.log("Found game cell, calling handleCellClick");
-      window.minesweeperGame.handleCellClick(gameCell);
+      this.actOnCell(
+        gameCell,
+        chooseCellAction({ flagMode: this.flagMode, longPress: false }),
+      );
     } else {
       console.error("No game cell found for ID:", cellId);
     }
   }
 
+  actOnCell(gameCell, action) {
+    // Flagging only applies to hidden cells during the game; otherwise it
+    // chords or inspects like a reveal, so flag mode can still clear around
+    // numbers
+    if (action === "flag" && !canInspectCell(this.game, gameCell)) {
+      console.log("Found game cell, calling handleCellRightClick");
+      this.game.handleCellRightClick(gameCell);
+      return action;
+    }
+
+    // Clicking a revealed cell with nothing to chord, or any cell after the
+    // game, shows the listings inside it
+    if (canInspectCell(this.game, gameCell) && !this.game.canChord(gameCell)) {
+      this.inspectCell(gameCell);
+    } else {
+      console.log("Found game cell, calling handleCellClick");
+      this.game.handleCellClick(gameCell);
+    }
+    return "reveal";
+  }
+
   handleDirectCellRightClick(cellId, event) {
     if (event.originalEvent) event.originalEvent.preventDefault();
+    if (this.game.isReplaying()) return;
+    // Android's menu for a long press that already flagged the cell
+    if (this.touch && this.touch.consumeContextMenu()) return;
 
-    const gameCell = window.minesweeperGame
-      .getCells()
-      .find((cell) => cell.feature.properties.id === cellId);
+    const gameCell = this.game.getCellById(cellId);
 
     if (gameCell) {
       console.log("Found game cell, calling handleCellRightClick");
-      window.minesweeperGame.handleCellRightClick(gameCell);
+      this.game.handleCellRightClick(gameCell);
     } else {
       console.error("No game cell found for ID:", cellId);
     }
   }
 
-  updateCellDisplay(cell) {
-    if (!cell.mapOverlay) return;
+  handleDirectCellChord(cellId, event) {
+    if (event.originalEvent) event.originalEvent.preventDefault();
+    if (this.game.isReplaying()) return;
 
-    const overlay = cell.mapOverlay;
-    let fillColor = "#ccc";
-    let color = "#666";
-    let fillOpacity = 1;
+    const gameCell = this.game.getCellById(cellId);
 
-    // Remove existing number marker if any
-    if (cell.numberMarker) {
-      this.map.removeLayer(cell.numberMarker);
-      cell.numberMarker = null;
+    if (gameCell) {
+      this.game.handleCellChord(gameCell);
+    } else {
+      console.error("No game cell found for ID:", cellId);
     }
+  }
 
-    if (cell.isFlagged) {
-      fillColor = "#ff6b6b";
-      color = "#cc5555";
-    } else if (cell.isRevealed) {
-      if (cell.isMine) {
-        fillColor = "#ff4444";
-        color = "#cc3333";
-        // Add mine marker - different emoji for clicked mine vs other mines
-        const bounds = overlay.getBounds();
-        const center = bounds.getCenter();
-        const isClickedMine = window.minesweeperGame.clickedMine === cell;
-        const mineEmoji = isClickedMine ? "💥" : "💣";
-
-        cell.numberMarker = L.marker(center, {
-          icon: L.divIcon({
-            html: mineEmoji,
-            className: "cell-number-marker",
-            iconSize: [20, 20],
-            iconAnchor: [10, 10],
-          }),
-          pane: "numberMarkers",
-        }).addTo(this.map);
-      } else {
-        fillColor = "#fff";
-        color = "#999";
-        fillOpacity = 0.2; // Make safe cells transparent to show map underneath
-        if (cell.adjacentMines > 0) {
-          // Color based on number of adjacent mines
-          const colors = {
-            1: "#e6f3ff",
-            2: "#ccf0ff",
-            3: "#ffe6e6",
-            4: "#e6e6ff",
-            5: "#ffe6f0",
-            6: "#e6ffff",
-            7: "#f0f0f0",
-            8: "#f5f5f5",
-          };
-          fillColor = colors[cell.adjacentMines] || "#fff";
-          fillOpacity = 0.8; // More visible for numbered cells
-
-          // Add number marker
-          const bounds = overlay.getBounds();
-          const center = bounds.getCenter();
-          const numberColors = {
-            1: "#0000ff",
-            2: "#008000",
-            3: "#ff0000",
-            4: "#000080",
-            5: "#800000",
-            6: "#008080",
-            7: "#000000",
-            8: "#808080",
-          };
-          cell.numberMarker = L.marker(center, {
-            icon: L.divIcon({
-              html: `<span style="color: ${numberColors[cell.adjacentMines] || "#000"}; font-weight: bold; font-size: 14px;">${cell.adjacentMines}</span>`,
-              className: "cell-number-marker",
-              iconSize: [20, 20],
-              iconAnchor: [10, 10],
-            }),
-            pane: "numberMarkers",
-          }).addTo(this.map);
-        }
-      }
-    }
+  updateCellDisplay(cell) {
+    if (!cell.mapOverlay) return;
 
-    overlay.setStyle({
-      fillColor: fillColor,
-      color: color,
-      fillOpacity: fillOpacity,
+    const overlay = cell.mapOverlay;
+    const palette = this.config.getPalette();
+
+    this.setCellLabel(
+      cell,
+      getCellLabel(palette, cell, {
+        isClickedMine: this.game.getClickedMine() === cell,
+      }),
+    );
+
+    // Outline the cell the game opened for the player in safe start mode,
+    // and the keyboard cursor
+    const style = getCellStyle(palette, cell, {
+      isOpening: cell === this.game.getOpeningCell(),
+      isFocused: cell === this.keyboard.getFocusedCell(),
     });
+    if (this.heatmap) {
+      // Colour by the data instead, outlining the mines
+      style.fillColor = this.heatmap.getColour(
+        cell.feature.properties[this.heatmap.metric],
+      );
+      style.fillOpacity = 0.85;
+      style.color = cell.isMine ? "#000" : "#999";
+      style.weight = cell.isMine ? 3 : 1;
+    }
+    overlay.setStyle(style);
 
-    // Add tooltip for revealed cells
+    // Add tooltip for revealed cells, and the area's name on boards of
+    // named neighbourhoods
     let tooltipContent = "";
     if (cell.isRevealed) {
       if (cell.isMine) {
-        tooltipContent = "💣 Mina!";
+        tooltipContent = t("cell.mine");
       } else if (cell.adjacentMines > 0) {
-        tooltipContent = `${cell.adjacentMines} minas adjacentes`;
+        tooltipContent = t("cell.adjacentMines", {
+          count: cell.adjacentMines,
+        });
       } else {
-        tooltipContent = "Seguro";
+        tooltipContent = t("cell.safe");
       }
 
-      const config = window.gameConfig;
-      const mode = config.getMode();
-      const value = cell.value;
-      const modeDisplayName =
-        mode === "listings_count" ? "Contagem de Anúncios" : "Preço Médio (€)";
-      tooltipContent += `<br/>${modeDisplayName}: ${value}`;
+      // Show every metric the mine rule looks at
+      const props = cell.feature.properties;
+      this.game.getRule().metrics.forEach((metric) => {
+        tooltipContent += `<br/>${getMetricName(metric)}: ${formatMetricValue(props[metric])}`;
+      });
+      if (cell.isMine) {
+        tooltipContent += `<br/><small>${this.config.getRuleDisplayName()}</small>`;
+      }
+    } else if (cell.isWrongFlag) {
+      tooltipContent = t("cell.wrongFlag");
     } else if (cell.isFlagged) {
-      tooltipContent = "🚩 Marcado";
+      tooltipContent = t("cell.flagged");
+    }
+
+    const name = cell.feature.properties.name;
+    if (name) {
+      const label = `<strong>${escapeHTML(name)}</strong>`;
+      tooltipContent = tooltipContent
+        ? `${label}<br/>${tooltipContent}`
+        : label;
     }
 
+    // Rebinding is slow on big boards, so only do it when the text changes
+    if (tooltipContent === overlay.tooltipContent) return;
+    overlay.tooltipContent = tooltipContent;
+
     if (tooltipContent) {
       overlay.bindTooltip(tooltipContent, {
         permanent: false,
@@ -365,6 +506,341 @@ class GameMap {
     }
   }
 
+  setCellLabel(cell, label) {
+    // The number or emoji on top of a cell, from getCellLabel
+    if (this.cellLabels) {
+      this.cellLabels.set(cell.id, this.getCellAnchor(cell), label);
+      return;
+    }
+
+    // Remove existing number marker if any
+    if (cell.numberMarker) {
+      this.map.removeLayer(cell.numberMarker);
+      cell.numberMarker = null;
+    }
+    if (!label) return;
+
+    const html = label.bold
+      ? `<span style="color: ${label.colour}; font-weight: bold; font-size: 14px;">${label.text}</span>`
+      : label.text;
+    cell.numberMarker = L.marker(this.getCellAnchor(cell), {
+      icon: L.divIcon({
+        html: html,
+        className: "cell-number-marker",
+        iconSize: [20, 20],
+        iconAnchor: [10, 10],
+      }),
+      pane: "numberMarkers",
+      interactive: false,
+      keyboard: false,
+    }).addTo(this.map);
+  }
+
+  clearCellLabels() {
+    // Clear labels left by the previous round before the game rebuilds its
+    // cells
+    this.game.getCells().forEach((gameCell) => {
+      if (gameCell.numberMarker) {
+        this.map.removeLayer(gameCell.numberMarker);
+        gameCell.numberMarker = null;
+      }
+    });
+    if (this.cellLabels) this.cellLabels.clear();
+  }
+
+  setupKeyboard() {
+    // The map takes focus like a single control; arrow keys then move a
+    // cursor between cells (see js/keyboard.js) and the live region reads
+    // out what's under it
+    const container = this.map.getContainer();
+    container.setAttribute("tabindex", "0");
+    container.setAttribute("role", "application");
+    container.setAttribute("aria-label", t("keyboard.label"));
+    container.addEventListener("keydown", (e) => {
+      if (e.altKey || e.ctrlKey || e.metaKey) return;
+      if (this.keyboard.handleKey(e.key)) {
+        e.preventDefault();
+      }
+    });
+  }
+
+  focusCell(cell, previous) {
+    if (previous) this.updateCellDisplay(previous);
+    this.updateCellDisplay(cell);
+    if (cell.mapOverlay) {
+      cell.mapOverlay.bringToFront();
+      this.map.panInside(this.getCellAnchor(cell), { padding: [40, 40] });
+    }
+  }
+
+  setupTouch() {
+    // Leaflet's tap handling is off (tap: false), so touches on cells are
+    // read here; the browser's click after a handled touch is cancelled so
+    // each touch acts once
+    this.touch = new TouchTracker({
+      onTap: (point) => this.handleCellTouch(point, false),
+      onLongPress: (point) => this.handleCellTouch(point, true),
+    });
+
+    // Including a flick still gliding after the finger lifts
+    this.map.on("movestart zoomstart", () => {
+      this.mapMoving = true;
+      this.touch.cancel();
+    });
+    this.map.on("moveend zoomend", () => {
+      this.mapMoving = false;
+    });
+
+    // Touches between cells count too, for the large touch target, but not
+    // those on the map's controls and popups
+    const container = this.map.getContainer();
+    const onBoard = (e) =>
+      this.map.getPane("mapPane").contains(e.target) &&
+      !this.map.getPane("popupPane").contains(e.target);
+    const passive = { passive: true };
+    container.addEventListener(
+      "touchstart",
+      (e) => {
+        if (onBoard(e)) this.touch.start(e.touches);
+      },
+      passive,
+    );
+    container.addEventListener(
+      "touchmove",
+      (e) => this.touch.move(e.touches),
+      passive,
+    );
+    container.addEventListener("touchend", (e) => {
+      if (this.touch.end()) e.preventDefault();
+    });
+    container.addEventListener("touchcancel", () => this.touch.cancel());
+    // Android's menu for a long press off the cells themselves; those on
+    // cells reach handleDirectCellRightClick
+    container.addEventListener("contextmenu", (e) => {
+      if (onBoard(e) && this.touch.consumeContextMenu()) e.preventDefault();
+    });
+  }
+
+  handleCellTouch({ x, y }, longPress) {
+    // Returns false for a tap off the board, so its click goes to the map
+    if (this.mapMoving || this.game.isReplaying()) return true;
+
+    const point = this.map.mouseEventToContainerPoint({
+      clientX: x,
+      clientY: y,
+    });
+    const { lat, lng } = this.map.containerPointToLatLng(point);
+    // With the large touch target, a touch beside a cell too small to hit
+    // takes the nearest one
+    const gameCell =
+      findCellAt(this.game, [lng, lat]) ||
+      (this.config.getTouchTarget() === "large"
+        ? findNearestCell(this.game, point, ([cellLng, cellLat]) =>
+            this.map.latLngToContainerPoint([cellLat, cellLng]),
+          )
+        : undefined);
+    if (!gameCell) return false;
+
+    const action = this.actOnCell(
+      gameCell,
+      chooseCellAction({ flagMode: this.flagMode, longPress: longPress }),
+    );
+    if (longPress && action === "flag") vibrate(50);
+    return true;
+  }
+
+  toggleFlagMode() {
+    this.flagMode = !this.flagMode;
+    return this.flagMode;
+  }
+
+  toggleHeatmap() {
+    if (this.heatmap) {
+      this.hideHeatmap();
+    } else {
+      this.showHeatmap();
+    }
+    return this.heatmap !== null;
+  }
+
+  showHeatmap() {
+    // Choropleth of the rule's (first) metric over the whole board
+    const metric = this.game.getRule().metrics[0];
+    this.heatmap = createHeatmapScale(this.geojsonData.features, metric);
+    this.game.getCells().forEach((cell) => this.updateCellDisplay(cell));
+
+    this.heatmapLegend = L.control({ position: "bottomright" });
+    this.heatmapLegend.onAdd = () => this.createHeatmapLegend();
+    this.heatmapLegend.addTo(this.map);
+  }
+
+  hideHeatmap() {
+    if (!this.heatmap) return;
+    this.heatmap = null;
+    this.heatmapLegend.remove();
+    this.heatmapLegend = null;
+    this.game.getCells().forEach((cell) => this.updateCellDisplay(cell));
+  }
+
+  createHeatmapLegend() {
+    // Colour bar of equally wide quantile classes with their limits below,
+    // and a line for each threshold of the mine rule
+    const scale = this.heatmap;
+    const legend = L.DomUtil.create("div", "heatmap-legend");
+    const format = (value) =>
+      escapeHTML(formatNumber(value, { maximumFractionDigits: 1 }));
+    const edges = [scale.min, ...scale.breaks, scale.max];
+
+    const segments = scale.colours
+      .map((colour) => `<span style="background: ${colour}"></span>`)
+      .join("");
+    const labels = edges
+      .map(
+        (value, index) =>
+          `<span style="left: ${(index / scale.colours.length) * 100}%">${format(value)}</span>`,
+      )
+      .join("");
+    const thresholds = getRuleThresholds(this.config.getRule(), scale.metric)
+      .map(({ operator, value }) => {
+        const label = escapeHTML(
+          describeRule(`${scale.metric}${operator}${value}`),
+        );
+        return `<span class="heatmap-threshold" style="left: ${scale.getPosition(value) * 100}%" title="${label}"></span>`;
+      })
+      .join("");
+
+    legend.innerHTML = `
+      <div class="heatmap-title">${escapeHTML(getMetricName(scale.metric))}</div>
+      <div class="heatmap-bar">${segments}${thresholds}</div>
+      <div class="heatmap-labels">${labels}</div>
+      <div class="heatmap-rule">${escapeHTML(t("hud.rule", { rule: this.config.getRuleDisplayName() }))}</div>
+    `;
+    return legend;
+  }
+
+  showHint({ cell, isMine }) {
+    // Outline the hinted cell for a few seconds, then restore its style
+    const palette = this.config.getPalette();
+    clearTimeout(this.hintTimeout);
+    cell.mapOverlay.setStyle({
+      color: isMine ? palette.hint.mine : palette.hint.safe,
+      weight: 6,
+    });
+    cell.mapOverlay.bringToFront();
+    this.map.panInside(this.getCellAnchor(cell), { padding: [40, 40] });
+    this.hintTimeout = setTimeout(() => this.updateCellDisplay(cell), 3000);
+
+    this.announce(
+      t(isMine ? "keyboard.hintMine" : "keyboard.hintSafe", {
+        place: describePlace(this.game, cell),
+      }),
+    );
+  }
+
+  async inspectCell(cell) {
+    // Popup listing the cell's Airbnb listings, with a price histogram
+    const place = `<strong>${escapeHTML(describePlace(this.game, cell))}</strong>`;
+    const popup = L.popup({
+      pane: "listings",
+      className: "listings-popup",
+      maxWidth: 320,
+      maxHeight: 360,
+      autoPanPadding: [20, 20],
+    })
+      .setLatLng(this.getCellAnchor(cell))
+      .setContent(`${place}<p>${t("listings.loading")}</p>`)
+      .openOn(this.map);
+
+    const url = this.config.getListingsURL();
+    if (!url) {
+      popup.setContent(`${place}<p>${t("listings.unavailable")}</p>`);
+      return;
+    }
+
+    try {
+      const listings = await this.listingData.getCellListings(url, cell.id);
+      popup.setContent(this.createListingsContent(place, listings));
+      this.announce(
+        `${describePlace(this.game, cell)}: ${t("listings.count", { count: listings.length })}`,
+      );
+    } catch (error) {
+      console.error("Failed to load listings:", error);
+      popup.setContent(`${place}<p>${escapeHTML(error.message)}</p>`);
+    }
+  }
+
+  createListingsContent(place, listings) {
+    if (listings.length === 0) {
+      return `${place}<p>${t("listings.none")}</p>`;
+    }
+
+    const shown = 50; // Busy cells hold hundreds, the rest is summarised
+    const sorted = [...listings].sort((a, b) => a.price - b.price);
+    const bins = createPriceHistogram(sorted.map((listing) => listing.price));
+    const tallest = Math.max(...bins.map((bin) => bin.count));
+
+    const bars = bins
+      .map((bin) => {
+        const label = `${formatPrice(bin.from)}–${formatPrice(bin.to)}: ${formatNumber(bin.count)}`;
+        return `<span style="height: ${(bin.count / tallest) * 100}%" title="${label}"></span>`;
+      })
+      .join("");
+    const items = sorted
+      .slice(0, shown)
+      .map(
+        (listing) => `
+          <li>
+            <a href="https://www.airbnb.com/rooms/${encodeURIComponent(listing.id)}" target="_blank" rel="noopener">${escapeHTML(listing.name || `#${listing.id}`)}</a>
+            <small>${[
+              describeRoomType(listing.room_type),
+              formatPrice(listing.price),
+              t("listings.reviews", { count: listing.reviews }),
+              describeLicence(listing.license),
+            ]
+              .map(escapeHTML)
+              .join(" · ")}</small>
+          </li>`,
+      )
+      .join("");
+    const more =
+      sorted.length > shown
+        ? `<p>${t("listings.more", { count: sorted.length - shown })}</p>`
+        : "";
+
+    return `
+      ${place}
+      <div class="listings-summary">${escapeHTML(
+        t("listings.summary", {
+          count: sorted.length,
+          min: formatPrice(sorted[0].price),
+          max: formatPrice(sorted[sorted.length - 1].price),
+        }),
+      )}</div>
+      <div class="listings-histogram" aria-hidden="true">${bars}</div>
+      <div class="listings-axis" aria-hidden="true">
+        <span>${formatPrice(bins[0].from)}</span>
+        <span>${formatPrice(bins[bins.length - 1].to)}</span>
+      </div>
+      <ul class="listings-list">${items}</ul>
+      ${more}
+    `;
+  }
+
+  announce(text) {
+    // Clear first so repeating the same text is read out again
+    const region = document.getElementById("announcer");
+    region.textContent = "";
+    requestAnimationFrame(() => {
+      region.textContent = text;
+    });
+  }
+
+  getCellAnchor(cell) {
+    // Interior point of the cell's polygon, which unlike the bounding box
+    // centre stays inside concave neighbourhoods
+    return this.cellAnchors.get(cell.id);
+  }
+
   showError(message) {
     const errorElement = document.getElementById("error-message");
     errorElement.textContent = message;
@@ -384,29 +860,65 @@ class GameMap {
   setupClickHandlers() {
     console.log("Setting up click handlers...");
 
-    // Connect map rectangles to game cells
+    // Connect map polygons to game cells
     let handlerCount = 0;
-    window.minesweeperGame.getCells().forEach((gameCell) => {
-      const rectangle = this.cellElements.get(gameCell.feature.properties.id);
-      if (rectangle) {
-        gameCell.mapOverlay = rectangle;
+    this.game.getCells().forEach((gameCell) => {
+      const polygon = this.cellElements.get(gameCell.feature.properties.id);
+      if (polygon) {
+        gameCell.mapOverlay = polygon;
         this.updateCellDisplay(gameCell);
         handlerCount++;
       } else {
         console.warn(
-          "No rectangle found for game cell:",
+          "No polygon found for game cell:",
           gameCell.feature.properties.id,
         );
       }
     });
 
-    console.log("Connected", handlerCount, "game cells to map rectangles");
+    console.log("Connected", handlerCount, "game cells to map polygons");
+  }
+
+  restartGame() {
+    this.hideHeatmap();
+    this.map.closePopup();
+    this.clearCellLabels();
+
+    this.game.initializeGame(this.geojsonData, this.config.getParams());
+    this.setupClickHandlers();
+  }
+
+  async reloadGame() {
+    // Swap in a new data file after the config changed, keeping the same
+    // map. The current board stays in place until the new data has loaded
+    // and a game starts on it: the params can still be wrong for the new
+    // board, e.g. a start cell that's a mine there, so try them on the side.
+    const { geojsonData, dataHash } = await this.readGeoJSONData();
+    new MinesweeperGame().initializeGame(geojsonData, this.config.getParams());
+    this.geojsonData = geojsonData;
+    this.dataHash = dataHash;
+
+    this.hideHeatmap();
+    this.map.closePopup();
+    this.clearCellLabels();
+    this.cellElements.forEach((polygon) => this.map.removeLayer(polygon));
+    this.cellElements.clear();
+    this.cellAnchors.clear();
+
+    const bounds = this.calculateBounds();
+    this.map.setMaxBounds(this.calculatePaddedBounds(bounds));
+    this.map.fitBounds(bounds, { padding: [1, 1], maxZoom: 13 });
+
+    this.createGameCells();
+    this.game.initializeGame(this.geojsonData, this.config.getParams());
+    this.setupClickHandlers();
+  }
+
+  getDataHash() {
+    return this.dataHash;
   }
 
   getCellElement(cellId) {
     return this.cellElements.get(cellId);
   }
 }
-
-// Global map instance
-window.gameMap = new GameMap();
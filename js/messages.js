@@ -0,0 +1,528 @@
+// Message catalogue for js/i18n.js. Placeholders like {count} are filled in
+// by t(); messages given as {one, other} pick a plural form by {count}.
+// Portuguese is the game's own language, so keep every key in both.
+export const MESSAGES = {
+  "pt-PT": {
+    "page.loading": "A carregar o jogo…",
+    "page.howToPlay": "Como Jogar",
+    "page.newGame": "Novo Jogo",
+    "page.by": "Por",
+    "page.inspiredBy": "inspirado por",
+    "page.won": "🎉 Ganhou em {time}!",
+    "page.lost": {
+      one: "💥 Perdeu após {time} — {count} área revelada",
+      other: "💥 Perdeu após {time} — {count} áreas reveladas",
+    },
+
+    "picker.city": "Cidade",
+    "picker.board": "Tabuleiro",
+    "picker.mode": "Modo",
+    "picker.difficulty": "Dificuldade",
+    "picker.custom": "Personalizada",
+    "picker.value": "Valor mínimo de uma mina",
+    "picker.restart": "Recomeçar",
+    "picker.cancel": "Cancelar",
+    "picker.play": "Jogar",
+    "picker.catalogueError": "Não foi possível carregar o catálogo de cidades.",
+
+    "instructions.title": "Como Jogar o Airbnb Minesweeper",
+    "instructions.objective": "🎯 Objetivo:",
+    "instructions.findSafe":
+      'Encontre todas as áreas seguras em <strong>{city}</strong> sem atingir uma "mina".',
+    "instructions.findSafeRule":
+      'Encontre todas as áreas seguras em <strong>{city}</strong> sem atingir uma "mina", ou seja {cells} onde <strong>{rule}</strong>.',
+    "instructions.squares": "as áreas de <strong>{size}m</strong>",
+    "instructions.hexagons": "os hexágonos de <strong>{size}m</strong>",
+    "instructions.neighbourhoods": "os bairros",
+    "instructions.howToPlay": "🔍 Como Jogar:",
+    "instructions.reveal": "Clique esquerdo para revelar uma célula",
+    "instructions.flag": "Clique direito para marcar minas suspeitas",
+    "instructions.touch":
+      "No telemóvel, mantenha o dedo numa célula para a marcar, ou use 🚩 para tocar e marcar",
+    "instructions.chord":
+      "Clique (ou clique do meio) num número já revelado para abrir as células vizinhas quando as marcações coincidem",
+    "instructions.numbers": "Números mostram quantas minas estão adjacentes",
+    "instructions.listings":
+      "Clique numa área já revelada (ou em qualquer uma no fim do jogo) para ver os anúncios que lá estão",
+    "instructions.keyboard":
+      "Sem rato: clique no mapa ou use Tab, depois as setas para mover, Espaço ou Enter para revelar, F para marcar, C para abrir as vizinhas e L para ver os anúncios",
+    "instructions.tips": "💡 Dicas:",
+    "instructions.deduce": "Use os números para deduzir áreas seguras",
+    "instructions.flagMines": "Marque minas suspeitas para evitar erros",
+    "instructions.patterns":
+      "Cada cidade tem padrões diferentes para descobrir!",
+
+    "hud.mines": "Minas por marcar",
+    "hud.flags": "Marcações",
+    "hud.time": "Tempo",
+    "hud.revealed": "Área revelada",
+    "hud.hint": "Dica",
+    "hud.undo": "Desfazer marcação",
+    "hud.restart": "Recomeçar",
+    "hud.shareProgress": "Partilhar desafio",
+    "hud.openReplay": "Abrir replay",
+    "hud.generateBoard": "Gerar tabuleiro a partir de dados",
+    "hud.flagMode": "Tocar para marcar em vez de revelar",
+    "hud.rule": "Minas: {rule}",
+    "hud.deducible": "Pode ser resolvido sem adivinhar a partir da abertura",
+    "hud.guessing":
+      "Pode ser preciso adivinhar: a lógica só revela {revealed} de {safeCells} áreas seguras",
+    "hud.noHintYet": "Revele uma área para pedir uma dica",
+    "hud.noSafeMove": "Não há jogadas seguras: é preciso arriscar",
+
+    "gameOver.won": "🎉 Ganhou!",
+    "gameOver.lost": "💥 Perdeu!",
+    "gameOver.time": "Tempo: {time}",
+    "gameOver.hints": { one: "{count} dica", other: "{count} dicas" },
+    "gameOver.listings": { one: "{count} anúncio", other: "{count} anúncios" },
+    "gameOver.mines":
+      "{mines} de {cells} áreas são minas: {areaShare} da área da cidade com {listingsShare} dos anúncios",
+    "gameOver.minesListings":
+      "{mines} de {cells} áreas são minas, com {listingsShare} dos anúncios",
+    "gameOver.playAgain": "Jogar novamente",
+    "gameOver.undo": "Desfazer",
+    "gameOver.showData": "🌡 Ver dados",
+    "gameOver.hideData": "🌡 Esconder dados",
+    "gameOver.shareResult": "📤 Partilhar resultado",
+    "gameOver.watchReplay": "▶ Rever jogo",
+    "gameOver.copyReplayLink": "Copiar link do replay",
+    "gameOver.downloadReplay": "Guardar replay",
+
+    "replay.rewind": "Voltar ao início",
+    "replay.play": "Reproduzir",
+    "replay.pause": "Pausa",
+    "replay.step": "Jogada seguinte",
+    "replay.close": "Fechar replay",
+    "replay.linkPrompt": "Link do replay:",
+
+    "resume.question": "Continuar o jogo anterior?",
+    "resume.details": "Jogo guardado em {date}, {time} jogados",
+    "resume.continue": "Continuar",
+    "resume.discard": "Novo jogo",
+
+    "generator.title": "Gerar tabuleiro",
+    "generator.listings": "Anúncios (listings.csv)",
+    "generator.outline": "Contorno (outline.geojson)",
+    "generator.city": "Cidade",
+    "generator.cellSize": "Tamanho da célula (m)",
+    "generator.shape": "Forma",
+    "generator.squares": "Quadrados",
+    "generator.hexagons": "Hexágonos",
+    "generator.submit": "Gerar",
+    "generator.cancel": "Cancelar",
+
+    "share.won": "🎉 Ganhou em {time}",
+    "share.lost": "💥 Perdeu após {time}",
+    "share.revealed": "{percent} revelado",
+    "share.hints": { one: "💡 {count} dica", other: "💡 {count} dicas" },
+    "share.resultPrompt": "Resultado:",
+    "share.challengePrompt": "Link do desafio:",
+
+    "cell.mine": "💣 Mina!",
+    "cell.safe": "Seguro",
+    "cell.wrongFlag": "❌ Marcação errada",
+    "cell.flagged": "🚩 Marcado",
+    "cell.adjacentMines": {
+      one: "{count} mina adjacente",
+      other: "{count} minas adjacentes",
+    },
+    "cell.noAdjacentMines": "Sem minas adjacentes",
+    "cell.place": "Linha {row}, coluna {col}",
+    "cell.stateWrongFlag": "marcação errada",
+    "cell.stateFlagged": "marcado",
+    "cell.stateHidden": "por revelar",
+    "cell.stateMine": "mina",
+
+    "keyboard.label":
+      "Tabuleiro. Setas para mover entre áreas, Espaço ou Enter para revelar, F para marcar, C para abrir as vizinhas, L para ver os anúncios.",
+    "keyboard.won": "Ganhou! Todas as áreas seguras reveladas.",
+    "keyboard.lost": "Mina! Perdeu.",
+    "keyboard.edge": "Limite do tabuleiro",
+    "keyboard.cannotChord": "Não é possível abrir as vizinhas",
+    "keyboard.revealToInspect": "Revele a área para ver os anúncios",
+    "keyboard.hintMine": "Dica: {place} é uma mina",
+    "keyboard.hintSafe": "Dica: {place} é segura",
+
+    "listings.loading": "A carregar anúncios…",
+    "listings.unavailable": "Este tabuleiro não tem a lista de anúncios.",
+    "listings.none": "Sem anúncios nesta área.",
+    "listings.count": { one: "{count} anúncio", other: "{count} anúncios" },
+    "listings.summary": {
+      one: "{count} anúncio, de {min} por noite",
+      other: "{count} anúncios, de {min} a {max} por noite",
+    },
+    "listings.reviews": {
+      one: "{count} avaliação",
+      other: "{count} avaliações",
+    },
+    "listings.more": {
+      one: "… e mais {count} anúncio",
+      other: "… e mais {count} anúncios",
+    },
+    "listings.noLicence": "Sem licença",
+    "listings.exempt": "Isento",
+    "listings.licence": "Licença {licence}",
+    "room.Entire home/apt": "Casa inteira",
+    "room.Private room": "Quarto privado",
+    "room.Shared room": "Quarto partilhado",
+    "room.Hotel room": "Quarto de hotel",
+
+    "metric.listings_count": "Contagem de Anúncios",
+    "metric.price_mean": "Preço Médio (€)",
+    "metric.price_min": "Preço Mínimo (€)",
+    "metric.price_max": "Preço Máximo (€)",
+    "metric.entire_home_pct": "Casas Inteiras (%)",
+    "metric.unlicensed_count": "Anúncios sem Licença",
+    "metric.multi_host_count": "Anúncios de Multi-Anfitriões",
+    "metric.availability_mean": "Disponibilidade Média (dias/ano)",
+    "metric.reviews_ltm": "Avaliações (últimos 12 meses)",
+    "rule.and": "E",
+    "rule.or": "OU",
+    "difficulty.easy": "Fácil",
+    "difficulty.medium": "Médio",
+    "difficulty.hard": "Difícil",
+    "difficulty.expert": "Especialista",
+    "board.square": "{gridSize} m",
+    "board.hex": "{gridSize} m hexágonos",
+    "board.neighbourhoods": "bairros",
+
+    "error.configuration": "Erro de configuração: {message}",
+    "error.replay": "Erro no replay: {message}",
+    "error.generator": "Erro ao gerar o tabuleiro: {message}",
+    "error.noCells": "O ficheiro de dados não tem áreas",
+    "error.loadData": "Não foi possível carregar os dados do jogo: {message}",
+    "error.fetchData": "Falha ao carregar {url}. Estado: {status}",
+    "error.status": "Estado: {status}",
+    "error.loadCatalogue":
+      "Não foi possível carregar o catálogo de cidades: {message}",
+    "error.loadListings": "Não foi possível carregar os anúncios: {message}",
+    "error.listingIndex":
+      "O índice de anúncios de {board} não corresponde a {table}; gere o tabuleiro de novo",
+    "error.startCell":
+      "Área inicial {start} inválida: não é uma área segura neste tabuleiro",
+    "error.noMetricValues":
+      'Os dados não têm valores de "{metric}" para definir uma dificuldade',
+    "error.cellSize": "O tamanho da célula tem de ser um número positivo",
+    "error.noOutlineListings":
+      "Nenhum anúncio fica dentro do contorno da cidade",
+    "error.noNeighbourhoods":
+      "O ficheiro de limites não tem polígonos de bairros",
+    "error.noNeighbourhoodListings": "Nenhum anúncio fica dentro dos bairros",
+    "error.city":
+      "Nome de cidade inválido. Só são permitidos letras, algarismos, hífenes e sublinhados.",
+    "error.gridSize":
+      "Tamanho de grelha inválido. Tem de ser um inteiro positivo.",
+    "error.shape": "Forma inválida. Tem de ser uma de {options}.",
+    "error.mode": "Modo de jogo inválido. Tem de ser um de {options}.",
+    "error.difficulty": "Dificuldade inválida. Tem de ser uma de {options}.",
+    "error.difficultyWithRule":
+      "Dificuldade inválida. As dificuldades predefinidas não podem ser combinadas com uma regra própria.",
+    "error.value": "Valor de limiar inválido. Tem de ser um número positivo.",
+    "error.start": "Área inicial inválida. Tem de ser o id de uma área.",
+    "error.unknownOption": "Opção de jogo desconhecida: {options}",
+    "error.palette": "Paleta inválida. Tem de ser uma de {options}.",
+    "error.renderer": "Desenho inválido. Tem de ser um de {options}.",
+    "error.touchTarget": "Alvo de toque inválido. Tem de ser um de {options}.",
+    "error.tilesPlaceholders":
+      'URL de mosaicos inválido. Tem de conter {missing} ou ser "{none}".',
+    "error.tilesProtocol":
+      "URL de mosaicos inválido. Tem de ser um URL http(s) ou relativo.",
+    "error.unknownCity":
+      'Cidade desconhecida "{city}". Cidades disponíveis: {options}.',
+    "error.unknownBoard":
+      "Não há tabuleiro {board} para {city}. Tabuleiros disponíveis: {options}.",
+    "error.missingMetrics":
+      "O tabuleiro {board} de {city} não tem dados de {metrics}. Modos disponíveis: {options}.",
+    "error.ruleEmpty": "Regra inválida: a regra está vazia",
+    "error.ruleCharacter": 'Regra inválida: "{character}" inesperado',
+    "error.ruleParenthesis":
+      'Regra inválida: esperava ")" mas encontrou {found}',
+    "error.ruleMetric":
+      "Regra inválida: esperava uma métrica mas encontrou {found}",
+    "error.ruleUnknownMetric":
+      'Regra inválida: métrica desconhecida "{metric}". Tem de ser uma de {options}.',
+    "error.ruleComparison":
+      'Regra inválida: esperava uma comparação depois de "{metric}" mas encontrou {found}',
+    "error.ruleNumber":
+      'Regra inválida: esperava um número depois de "{condition}" mas encontrou {found}',
+    "error.ruleJoin":
+      "Regra inválida: {found} inesperado, use AND ou OR entre condições",
+    "error.ruleEnd": "o fim da regra",
+    "error.challengeCorrupted":
+      "Link de desafio inválido: o link está danificado.",
+    "error.challengeModified":
+      "Link de desafio inválido: o link foi modificado.",
+    "error.challengeVersion": "Link de desafio inválido: versão não suportada.",
+    "error.challengeOptions":
+      "Link de desafio inválido: faltam as opções do jogo.",
+    "error.challengeSnapshot":
+      "Link de desafio inválido: o progresso guardado está danificado.",
+    "error.challengeData":
+      "Link de desafio inválido: o progresso foi guardado noutra versão dos dados do mapa.",
+    "error.replayRecord": "Replay inválido: não é um registo de replay",
+    "error.replayVersion": "Replay inválido: versão {version} não suportada",
+    "error.replayConfig": "Replay inválido: falta a configuração do jogo",
+    "error.replayMoves": "Replay inválido: faltam as jogadas",
+    "error.replayMove": "Replay inválido: jogada {move} mal formada",
+    "error.replayLink": "Replay inválido: o link está danificado",
+    "error.replayData":
+      "Este replay foi gravado noutra versão dos dados do mapa",
+  },
+
+  en: {
+    "page.loading": "Loading game data…",
+    "page.howToPlay": "How to Play",
+    "page.newGame": "New Game",
+    "page.by": "By",
+    "page.inspiredBy": "inspired by",
+    "page.won": "🎉 Won in {time}!",
+    "page.lost": {
+      one: "💥 Lost after {time} — {count} area revealed",
+      other: "💥 Lost after {time} — {count} areas revealed",
+    },
+
+    "picker.city": "City",
+    "picker.board": "Board",
+    "picker.mode": "Mode",
+    "picker.difficulty": "Difficulty",
+    "picker.custom": "Custom",
+    "picker.value": "Lowest value of a mine",
+    "picker.restart": "Restart",
+    "picker.cancel": "Cancel",
+    "picker.play": "Play",
+    "picker.catalogueError": "Couldn't load the city catalogue.",
+
+    "instructions.title": "How to Play Airbnb Minesweeper",
+    "instructions.objective": "🎯 Goal:",
+    "instructions.findSafe":
+      'Find every safe area in <strong>{city}</strong> without hitting a "mine".',
+    "instructions.findSafeRule":
+      'Find every safe area in <strong>{city}</strong> without hitting a "mine", that is {cells} where <strong>{rule}</strong>.',
+    "instructions.squares": "the <strong>{size}m</strong> squares",
+    "instructions.hexagons": "the <strong>{size}m</strong> hexagons",
+    "instructions.neighbourhoods": "the neighbourhoods",
+    "instructions.howToPlay": "🔍 How to Play:",
+    "instructions.reveal": "Left click to reveal a cell",
+    "instructions.flag": "Right click to flag suspected mines",
+    "instructions.touch":
+      "On a phone, hold a cell to flag it, or use 🚩 to flag with a tap",
+    "instructions.chord":
+      "Click (or middle click) a revealed number to open its neighbours once the flags match",
+    "instructions.numbers": "Numbers show how many mines are next to a cell",
+    "instructions.listings":
+      "Click a revealed area (or any area once the game is over) to see its listings",
+    "instructions.keyboard":
+      "Without a mouse: click the map or use Tab, then the arrows to move, Space or Enter to reveal, F to flag, C to open the neighbours and L to see the listings",
+    "instructions.tips": "💡 Tips:",
+    "instructions.deduce": "Use the numbers to work out safe areas",
+    "instructions.flagMines": "Flag suspected mines to avoid mistakes",
+    "instructions.patterns": "Every city has its own patterns to discover!",
+
+    "hud.mines": "Mines left to flag",
+    "hud.flags": "Flags",
+    "hud.time": "Time",
+    "hud.revealed": "Area revealed",
+    "hud.hint": "Hint",
+    "hud.undo": "Undo flag",
+    "hud.restart": "Restart",
+    "hud.shareProgress": "Share challenge",
+    "hud.openReplay": "Open replay",
+    "hud.generateBoard": "Generate a board from data",
+    "hud.flagMode": "Tap to flag instead of reveal",
+    "hud.rule": "Mines: {rule}",
+    "hud.deducible": "Can be solved from the opening without guessing",
+    "hud.guessing":
+      "May need guessing: logic only reveals {revealed} of {safeCells} safe areas",
+    "hud.noHintYet": "Reveal an area to ask for a hint",
+    "hud.noSafeMove": "There are no safe moves: you'll have to guess",
+
+    "gameOver.won": "🎉 You won!",
+    "gameOver.lost": "💥 You lost!",
+    "gameOver.time": "Time: {time}",
+    "gameOver.hints": { one: "{count} hint", other: "{count} hints" },
+    "gameOver.listings": { one: "{count} listing", other: "{count} listings" },
+    "gameOver.mines":
+      "{mines} of {cells} areas are mines: {areaShare} of the city's area with {listingsShare} of the listings",
+    "gameOver.minesListings":
+      "{mines} of {cells} areas are mines, with {listingsShare} of the listings",
+    "gameOver.playAgain": "Play again",
+    "gameOver.undo": "Undo",
+    "gameOver.showData": "🌡 Show data",
+    "gameOver.hideData": "🌡 Hide data",
+    "gameOver.shareResult": "📤 Share result",
+    "gameOver.watchReplay": "▶ Watch replay",
+    "gameOver.copyReplayLink": "Copy replay link",
+    "gameOver.downloadReplay": "Save replay",
+
+    "replay.rewind": "Back to start",
+    "replay.play": "Play",
+    "replay.pause": "Pause",
+    "replay.step": "Next move",
+    "replay.close": "Close replay",
+    "replay.linkPrompt": "Replay link:",
+
+    "resume.question": "Continue the previous game?",
+    "resume.details": "Game saved on {date}, {time} played",
+    "resume.continue": "Continue",
+    "resume.discard": "New game",
+
+    "generator.title": "Generate a board",
+    "generator.listings": "Listings (listings.csv)",
+    "generator.outline": "Outline (outline.geojson)",
+    "generator.city": "City",
+    "generator.cellSize": "Cell size (m)",
+    "generator.shape": "Shape",
+    "generator.squares": "Squares",
+    "generator.hexagons": "Hexagons",
+    "generator.submit": "Generate",
+    "generator.cancel": "Cancel",
+
+    "share.won": "🎉 Won in {time}",
+    "share.lost": "💥 Lost after {time}",
+    "share.revealed": "{percent} revealed",
+    "share.hints": { one: "💡 {count} hint", other: "💡 {count} hints" },
+    "share.resultPrompt": "Result:",
+    "share.challengePrompt": "Challenge link:",
+
+    "cell.mine": "💣 Mine!",
+    "cell.safe": "Safe",
+    "cell.wrongFlag": "❌ Wrong flag",
+    "cell.flagged": "🚩 Flagged",
+    "cell.adjacentMines": {
+      one: "{count} adjacent mine",
+      other: "{count} adjacent mines",
+    },
+    "cell.noAdjacentMines": "No adjacent mines",
+    "cell.place": "Row {row}, column {col}",
+    "cell.stateWrongFlag": "wrong flag",
+    "cell.stateFlagged": "flagged",
+    "cell.stateHidden": "hidden",
+    "cell.stateMine": "mine",
+
+    "keyboard.label":
+      "Board. Arrows to move between areas, Space or Enter to reveal, F to flag, C to open the neighbours, L to see the listings.",
+    "keyboard.won": "You won! Every safe area revealed.",
+    "keyboard.lost": "Mine! You lost.",
+    "keyboard.edge": "Edge of the board",
+    "keyboard.cannotChord": "Can't open the neighbours",
+    "keyboard.revealToInspect": "Reveal the area to see its listings",
+    "keyboard.hintMine": "Hint: {place} is a mine",
+    "keyboard.hintSafe": "Hint: {place} is safe",
+
+    "listings.loading": "Loading listings…",
+    "listings.unavailable": "This board has no listing details.",
+    "listings.none": "No listings in this area.",
+    "listings.count": { one: "{count} listing", other: "{count} listings" },
+    "listings.summary": {
+      one: "{count} listing, at {min} a night",
+      other: "{count} listings, from {min} to {max} a night",
+    },
+    "listings.reviews": { one: "{count} review", other: "{count} reviews" },
+    "listings.more": {
+      one: "… and {count} more listing",
+      other: "… and {count} more listings",
+    },
+    "listings.noLicence": "No licence",
+    "listings.exempt": "Exempt",
+    "listings.licence": "Licence {licence}",
+    "room.Entire home/apt": "Entire home",
+    "room.Private room": "Private room",
+    "room.Shared room": "Shared room",
+    "room.Hotel room": "Hotel room",
+
+    "metric.listings_count": "Listing Count",
+    "metric.price_mean": "Mean Price (€)",
+    "metric.price_min": "Lowest Price (€)",
+    "metric.price_max": "Highest Price (€)",
+    "metric.entire_home_pct": "Entire Homes (%)",
+    "metric.unlicensed_count": "Unlicensed Listings",
+    "metric.multi_host_count": "Multi-Host Listings",
+    "metric.availability_mean": "Mean Availability (days/year)",
+    "metric.reviews_ltm": "Reviews (last 12 months)",
+    "rule.and": "AND",
+    "rule.or": "OR",
+    "difficulty.easy": "Easy",
+    "difficulty.medium": "Medium",
+    "difficulty.hard": "Hard",
+    "difficulty.expert": "Expert",
+    "board.square": "{gridSize}m",
+    "board.hex": "{gridSize}m hex",
+    "board.neighbourhoods": "neighbourhoods",
+
+    "error.configuration": "Configuration Error: {message}",
+    "error.replay": "Replay Error: {message}",
+    "error.generator": "Generator Error: {message}",
+    "error.noCells": "No grid cells found in data file",
+    "error.loadData": "Unable to load game data: {message}",
+    "error.fetchData": "Failed to load data file: {url}. Status: {status}",
+    "error.status": "Status: {status}",
+    "error.loadCatalogue": "Unable to load city catalogue: {message}",
+    "error.loadListings": "Unable to load listings: {message}",
+    "error.listingIndex":
+      "Listing index for {board} doesn't match {table}; regenerate the board",
+    "error.startCell":
+      "Invalid start cell {start}: not a safe cell on this board",
+    "error.noMetricValues":
+      'No "{metric}" values in the data to set a difficulty',
+    "error.cellSize": "Cell size must be a positive number",
+    "error.noOutlineListings": "No listings fall inside the city outline",
+    "error.noNeighbourhoods":
+      "No neighbourhood polygons found in boundaries file",
+    "error.noNeighbourhoodListings":
+      "No listings fall inside the neighbourhoods",
+    "error.city":
+      "Invalid city name. Only alphanumeric characters, hyphens, and underscores are allowed.",
+    "error.gridSize": "Invalid grid size. Must be a positive integer.",
+    "error.shape": "Invalid shape. Must be one of {options}.",
+    "error.mode": "Invalid game mode. Must be one of {options}.",
+    "error.difficulty": "Invalid difficulty. Must be one of {options}.",
+    "error.difficultyWithRule":
+      "Invalid difficulty. Difficulty presets can't be combined with a custom rule.",
+    "error.value": "Invalid threshold value. Must be a positive number.",
+    "error.start": "Invalid start cell. Must be a cell id.",
+    "error.unknownOption": "Unknown game option: {options}",
+    "error.palette": "Invalid palette. Must be one of {options}.",
+    "error.renderer": "Invalid renderer. Must be one of {options}.",
+    "error.touchTarget": "Invalid touch target. Must be one of {options}.",
+    "error.tilesPlaceholders":
+      'Invalid tile URL. Must contain {missing} or be "{none}".',
+    "error.tilesProtocol":
+      "Invalid tile URL. Must be an http(s) or relative URL.",
+    "error.unknownCity": 'Unknown city "{city}". Available cities: {options}.',
+    "error.unknownBoard":
+      "No {board} board for {city}. Available boards: {options}.",
+    "error.missingMetrics":
+      "The {board} board for {city} has no {metrics} data. Available modes: {options}.",
+    "error.ruleEmpty": "Invalid rule: the rule is empty",
+    "error.ruleCharacter": 'Invalid rule: unexpected "{character}"',
+    "error.ruleParenthesis": 'Invalid rule: expected ")" but found {found}',
+    "error.ruleMetric": "Invalid rule: expected a metric but found {found}",
+    "error.ruleUnknownMetric":
+      'Invalid rule: unknown metric "{metric}". Must be one of {options}.',
+    "error.ruleComparison":
+      'Invalid rule: expected a comparison after "{metric}" but found {found}',
+    "error.ruleNumber":
+      'Invalid rule: expected a number after "{condition}" but found {found}',
+    "error.ruleJoin":
+      "Invalid rule: unexpected {found}, use AND or OR between conditions",
+    "error.ruleEnd": "end of rule",
+    "error.challengeCorrupted":
+      "Invalid challenge link: the link is corrupted.",
+    "error.challengeModified":
+      "Invalid challenge link: the link has been modified.",
+    "error.challengeVersion": "Invalid challenge link: unsupported version.",
+    "error.challengeOptions": "Invalid challenge link: missing game options.",
+    "error.challengeSnapshot":
+      "Invalid challenge link: malformed progress snapshot.",
+    "error.challengeData":
+      "Invalid challenge link: the progress was saved on a different version of the map data.",
+    "error.replayRecord": "Invalid replay: not a replay record",
+    "error.replayVersion": "Invalid replay: unsupported version {version}",
+    "error.replayConfig": "Invalid replay: missing game configuration",
+    "error.replayMoves": "Invalid replay: missing moves",
+    "error.replayMove": "Invalid replay: malformed move {move}",
+    "error.replayLink": "Invalid replay: link is corrupted",
+    "error.replayData":
+      "This replay was recorded on a different version of the map data",
+  },
+};
@@ -0,0 +1,108 @@
+// Builds a board whose cells are administrative areas, e.g. Inside Airbnb's
+// neighbourhoods.geojson, instead of a regular grid
+import { calculateListingStats, loadListings } from "./grid-generator.js";
+import { getGeometryBounds, pointInGeometry } from "./geometry.js";
+import { t } from "./i18n.js";
+
+// Feature properties holding an area's name, in order of preference
+const NAME_PROPERTIES = ["neighbourhood", "name"];
+
+export class NeighbourhoodGenerator {
+  constructor(city) {
+    this.city = city;
+    this.listings = []; // Valid listings from the last generate()
+    this.listingsByCell = new Map(); // Cell id -> listings inside it
+  }
+
+  loadBoundaries(geojson) {
+    const features =
+      geojson.type === "FeatureCollection" ? geojson.features : [geojson];
+
+    const areas = features
+      .filter(
+        (feature) =>
+          feature.geometry &&
+          ["Polygon", "MultiPolygon"].includes(feature.geometry.type),
+      )
+      .map((feature, index) => {
+        const props = feature.properties || {};
+        const name = NAME_PROPERTIES.map((key) => props[key]).find(Boolean);
+        return {
+          id: index + 1,
+          name: name || `#${index + 1}`,
+          group: props.neighbourhood_group || null,
+          geometry: feature.geometry,
+          ...getGeometryBounds(feature.geometry),
+        };
+      });
+
+    if (areas.length === 0) {
+      throw new Error(t("error.noNeighbourhoods"));
+    }
+    return areas;
+  }
+
+  findArea(areas, listing) {
+    // Areas don't overlap, so the first one containing the listing wins
+    return areas.find(
+      (area) =>
+        listing.lon >= area.left &&
+        listing.lon <= area.right &&
+        listing.lat >= area.bottom &&
+        listing.lat <= area.top &&
+        pointInGeometry(listing.lon, listing.lat, area.geometry),
+    );
+  }
+
+  processAreas(areas, listings) {
+    const listingsByArea = new Map(areas.map((area) => [area, []]));
+    listings.forEach((listing) => {
+      const area = this.findArea(areas, listing);
+      if (area) listingsByArea.get(area).push(listing);
+    });
+
+    // Only include areas with data
+    this.listingsByCell = new Map();
+    return areas
+      .filter((area) => listingsByArea.get(area).length > 0)
+      .map((area) => {
+        this.listingsByCell.set(area.id, listingsByArea.get(area));
+        return {
+          type: "Feature",
+          properties: {
+            id: area.id,
+            name: area.name,
+            ...(area.group ? { group: area.group } : {}),
+            left: area.left,
+            top: area.top,
+            right: area.right,
+            bottom: area.bottom,
+            ...calculateListingStats(listingsByArea.get(area)),
+          },
+          geometry: area.geometry,
+        };
+      });
+  }
+
+  generate(boundariesGeoJSON, listingsCSV) {
+    const areas = this.loadBoundaries(boundariesGeoJSON);
+    this.listings = loadListings(listingsCSV);
+    const features = this.processAreas(areas, this.listings);
+
+    if (features.length === 0) {
+      throw new Error(t("error.noNeighbourhoodListings"));
+    }
+
+    return {
+      type: "FeatureCollection",
+      name: `${this.city}_neighbourhoods`,
+      crs: {
+        type: "name",
+        properties: {
+          name: "urn:ogc:def:crs:EPSG::4326",
+        },
+      },
+      features: features,
+    };
+  }
+}
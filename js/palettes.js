@@ -0,0 +1,105 @@
+// Cell colours for the map. "contrast" is a high-contrast palette built on
+// the Okabe-Ito colours, which stay distinct with colour blindness, and
+// doesn't rely on colour to tell numbers apart.
+export const PALETTES = {
+  default: {
+    hidden: { fill: "#ccc", stroke: "#666" },
+    flagged: { fill: "#ff6b6b", stroke: "#cc5555" },
+    wrongFlag: { fill: "#999", stroke: "#cc5555" },
+    mine: { fill: "#ff4444", stroke: "#cc3333" },
+    safe: { fill: "#fff", stroke: "#999", opacity: 0.2 },
+    numberOpacity: 0.8,
+    numberFills: {
+      1: "#e6f3ff",
+      2: "#ccf0ff",
+      3: "#ffe6e6",
+      4: "#e6e6ff",
+      5: "#ffe6f0",
+      6: "#e6ffff",
+      7: "#f0f0f0",
+      8: "#f5f5f5",
+    },
+    numberColors: {
+      1: "#0000ff",
+      2: "#008000",
+      3: "#ff0000",
+      4: "#000080",
+      5: "#800000",
+      6: "#008080",
+      7: "#000000",
+      8: "#808080",
+    },
+    opening: "#00cd8c",
+    focus: { stroke: "#0057d9", weight: 4 },
+    hint: { safe: "#00cd8c", mine: "#d61527" },
+  },
+  contrast: {
+    hidden: { fill: "#bdbdbd", stroke: "#000000" },
+    flagged: { fill: "#0072b2", stroke: "#000000" },
+    wrongFlag: { fill: "#999999", stroke: "#d55e00" },
+    mine: { fill: "#d55e00", stroke: "#000000" },
+    safe: { fill: "#ffffff", stroke: "#000000", opacity: 0.6 },
+    numberOpacity: 0.95,
+    numberFills: {},
+    numberColors: {},
+    opening: "#009e73",
+    focus: { stroke: "#000000", weight: 6 },
+    hint: { safe: "#009e73", mine: "#d55e00" },
+  },
+};
+
+export function getCellStyle(palette, cell, { isOpening, isFocused }) {
+  // Leaflet path style for a cell in the given palette
+  let colours = palette.hidden;
+  let fillOpacity = 1;
+
+  if (cell.isWrongFlag) {
+    colours = palette.wrongFlag;
+  } else if (cell.isFlagged) {
+    colours = palette.flagged;
+  } else if (cell.isRevealed && cell.isMine) {
+    colours = palette.mine;
+  } else if (cell.isRevealed) {
+    colours = palette.safe;
+    fillOpacity = palette.safe.opacity; // Show the map underneath
+    if (cell.adjacentMines > 0) {
+      colours = {
+        ...colours,
+        fill: palette.numberFills[cell.adjacentMines] || palette.safe.fill,
+      };
+      fillOpacity = palette.numberOpacity;
+    }
+  }
+
+  const style = {
+    fillColor: colours.fill,
+    color: isOpening ? palette.opening : colours.stroke,
+    fillOpacity: fillOpacity,
+    weight: 2,
+  };
+  if (isFocused) {
+    style.color = palette.focus.stroke;
+    style.weight = palette.focus.weight;
+  }
+  return style;
+}
+
+export function getNumberColour(palette, count) {
+  return palette.numberColors[count] || "#000";
+}
+
+export function getCellLabel(palette, cell, { isClickedMine }) {
+  // What's drawn on top of a cell: wrong flags, mines (a different emoji
+  // for the clicked mine) and numbers, or null
+  if (cell.isWrongFlag) return { text: "❌", colour: "#000", bold: false };
+  if (cell.isFlagged || !cell.isRevealed) return null;
+  if (cell.isMine) {
+    return { text: isClickedMine ? "💥" : "💣", colour: "#000", bold: false };
+  }
+  if (cell.adjacentMines === 0) return null;
+  return {
+    text: String(cell.adjacentMines),
+    colour: getNumberColour(palette, cell.adjacentMines),
+    bold: true,
+  };
+}
@@ -0,0 +1,166 @@
+// Shareable move logs and step-by-step playback of finished games
+import { t } from "./i18n.js";
+import { fromBase64Url, toBase64Url } from "./share.js";
+
+const REPLAY_VERSION = 1;
+const MOVE_CODES = { reveal: "r", chord: "c", flag: "f", unflag: "u" };
+const MOVE_TYPES = Object.fromEntries(
+  Object.entries(MOVE_CODES).map(([type, code]) => [code, type]),
+);
+
+// Longest pause between two moves during playback, in milliseconds
+const MAX_STEP_DELAY = 1500;
+const MIN_STEP_DELAY = 150;
+
+export function createReplayRecord(config, dataHash, game) {
+  return {
+    version: REPLAY_VERSION,
+    config: config.getParams(),
+    dataHash: dataHash,
+    moves: game
+      .getMoveLog()
+      .map((move) => [MOVE_CODES[move.type], move.cellId, move.time]),
+  };
+}
+
+export function parseReplayRecord(record) {
+  // Validate a record from a file or link, throwing on anything malformed
+  if (!record || typeof record !== "object") {
+    throw new Error(t("error.replayRecord"));
+  }
+  if (record.version !== REPLAY_VERSION) {
+    throw new Error(
+      t("error.replayVersion", { version: String(record.version) }),
+    );
+  }
+  if (!record.config || typeof record.config !== "object") {
+    throw new Error(t("error.replayConfig"));
+  }
+  if (!Array.isArray(record.moves)) {
+    throw new Error(t("error.replayMoves"));
+  }
+
+  const moves = record.moves.map((move, index) => {
+    if (
+      !Array.isArray(move) ||
+      !MOVE_TYPES[move[0]] ||
+      move[1] === undefined ||
+      typeof move[2] !== "number"
+    ) {
+      throw new Error(t("error.replayMove", { move: index + 1 }));
+    }
+    return { type: MOVE_TYPES[move[0]], cellId: move[1], time: move[2] };
+  });
+
+  return {
+    config: record.config,
+    dataHash: record.dataHash,
+    moves: moves,
+  };
+}
+
+export function encodeReplay(record) {
+  // URL-safe base64 so the record fits in a link fragment
+  return toBase64Url(JSON.stringify(record));
+}
+
+export function decodeReplay(encoded) {
+  let json;
+  try {
+    json = fromBase64Url(encoded);
+  } catch (error) {
+    throw new Error(t("error.replayLink"));
+  }
+
+  try {
+    return parseReplayRecord(JSON.parse(json));
+  } catch (error) {
+    if (error instanceof SyntaxError) {
+      throw new Error(t("error.replayLink"));
+    }
+    throw error;
+  }
+}
+
+export class GameReplay {
+  constructor(game, gameMap) {
+    this.game = game;
+    this.gameMap = gameMap;
+    this.moves = [];
+    this.position = 0;
+    this.timer = null;
+    this.onProgress = null;
+  }
+
+  load(moves) {
+    this.stop();
+    this.moves = moves;
+    this.position = 0;
+  }
+
+  start() {
+    // Rewind to a fresh board; moves are applied to the live game so the
+    // map redraws each cell through GameMap.updateCellDisplay
+    this.pause();
+    this.game.setReplaying(true);
+    this.gameMap.restartGame();
+    this.position = 0;
+    this.notifyProgress();
+  }
+
+  step() {
+    if (this.position >= this.moves.length) {
+      this.pause();
+      return false;
+    }
+
+    this.game.applyMove(this.moves[this.position]);
+    this.position++;
+    this.notifyProgress();
+    return true;
+  }
+
+  play() {
+    if (this.timer || this.position >= this.moves.length) return;
+
+    const scheduleNext = () => {
+      const previous = this.moves[this.position - 1];
+      const next = this.moves[this.position];
+      if (!next) {
+        this.pause();
+        return;
+      }
+
+      const gap = previous ? next.time - previous.time : 0;
+      const delay = Math.min(Math.max(gap, MIN_STEP_DELAY), MAX_STEP_DELAY);
+      this.timer = setTimeout(() => {
+        this.step();
+        if (this.timer) scheduleNext();
+      }, delay);
+    };
+
+    scheduleNext();
+    this.notifyProgress();
+  }
+
+  pause() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.notifyProgress();
+  }
+
+  isPlaying() {
+    return this.timer !== null;
+  }
+
+  stop() {
+    this.pause();
+    this.game.setReplaying(false);
+  }
+
+  notifyProgress() {
+    if (this.onProgress) {
+      this.onProgress(this.position, this.moves.length);
+    }
+  }
+}
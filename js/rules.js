@@ -0,0 +1,222 @@
+// Small rule language deciding which cells are mines, e.g.
+//   listings_count>=5 AND price_mean<80
+//   price_max>300 OR (listings_count>10 AND price_min<40)
+// AND binds tighter than OR; keywords are case-insensitive.
+import { formatNumber, t } from "./i18n.js";
+
+// Cell properties a rule can compare, named in the catalogue as metric.<id>
+export const METRICS = [
+  "listings_count",
+  "price_mean",
+  "price_min",
+  "price_max",
+  "entire_home_pct",
+  "unlicensed_count",
+  "multi_host_count",
+  "availability_mean",
+  "reviews_ltm",
+];
+
+export function getMetricName(metric) {
+  return METRICS.includes(metric) ? t(`metric.${metric}`) : metric;
+}
+
+export function formatMetricValue(value) {
+  // Cells from other data may lack a metric
+  return value === null || value === undefined ? "—" : formatNumber(value);
+}
+
+const OPERATORS = {
+  ">=": { symbol: "≥", test: (a, b) => a >= b },
+  "<=": { symbol: "≤", test: (a, b) => a <= b },
+  "!=": { symbol: "≠", test: (a, b) => a !== b },
+  "==": { symbol: "=", test: (a, b) => a === b },
+  "=": { symbol: "=", test: (a, b) => a === b },
+  ">": { symbol: ">", test: (a, b) => a > b },
+  "<": { symbol: "<", test: (a, b) => a < b },
+};
+
+const TOKEN_PATTERN =
+  /\s*(?:(>=|<=|!=|==|=|>|<)|(\()|(\))|(-?\d+(?:\.\d+)?)|([A-Za-z_][A-Za-z0-9_]*))/y;
+
+function tokenize(text) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+
+  while (TOKEN_PATTERN.lastIndex < text.length) {
+    if (/^\s*$/.test(text.slice(TOKEN_PATTERN.lastIndex))) break;
+
+    const position = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(text);
+    if (!match) {
+      const character = text.slice(position).trim()[0];
+      throw new Error(t("error.ruleCharacter", { character: character }));
+    }
+
+    const [, operator, open, close, number, word] = match;
+    if (operator) tokens.push({ type: "operator", value: operator });
+    else if (open) tokens.push({ type: "(" });
+    else if (close) tokens.push({ type: ")" });
+    else if (number) tokens.push({ type: "number", value: parseFloat(number) });
+    else if (/^(and|or)$/i.test(word)) {
+      tokens.push({ type: word.toUpperCase() });
+    } else {
+      tokens.push({ type: "metric", value: word });
+    }
+  }
+
+  return tokens;
+}
+
+export function parseRule(text) {
+  if (typeof text !== "string" || text.trim() === "") {
+    throw new Error(t("error.ruleEmpty"));
+  }
+
+  const tokens = tokenize(text);
+  let index = 0;
+
+  const peek = () => tokens[index];
+  const describeToken = (token) =>
+    token ? `"${token.value ?? token.type}"` : t("error.ruleEnd");
+
+  function parseOr() {
+    let node = parseAnd();
+    while (peek() && peek().type === "OR") {
+      index++;
+      node = { type: "or", left: node, right: parseAnd() };
+    }
+    return node;
+  }
+
+  function parseAnd() {
+    let node = parseFactor();
+    while (peek() && peek().type === "AND") {
+      index++;
+      node = { type: "and", left: node, right: parseFactor() };
+    }
+    return node;
+  }
+
+  function parseFactor() {
+    const token = peek();
+    if (token && token.type === "(") {
+      index++;
+      const node = parseOr();
+      if (!peek() || peek().type !== ")") {
+        throw new Error(
+          t("error.ruleParenthesis", { found: describeToken(peek()) }),
+        );
+      }
+      index++;
+      return node;
+    }
+    return parseComparison();
+  }
+
+  function parseComparison() {
+    const metric = tokens[index++];
+    if (!metric || metric.type !== "metric") {
+      throw new Error(t("error.ruleMetric", { found: describeToken(metric) }));
+    }
+    if (!METRICS.includes(metric.value)) {
+      throw new Error(
+        t("error.ruleUnknownMetric", {
+          metric: metric.value,
+          options: METRICS.join(", "),
+        }),
+      );
+    }
+
+    const operator = tokens[index++];
+    if (!operator || operator.type !== "operator") {
+      throw new Error(
+        t("error.ruleComparison", {
+          metric: metric.value,
+          found: describeToken(operator),
+        }),
+      );
+    }
+
+    const value = tokens[index++];
+    if (!value || value.type !== "number") {
+      throw new Error(
+        t("error.ruleNumber", {
+          condition: `${metric.value}${operator.value}`,
+          found: describeToken(value),
+        }),
+      );
+    }
+
+    return {
+      type: "comparison",
+      metric: metric.value,
+      operator: operator.value,
+      value: value.value,
+    };
+  }
+
+  const rule = parseOr();
+  if (index < tokens.length) {
+    throw new Error(
+      t("error.ruleJoin", { found: describeToken(tokens[index]) }),
+    );
+  }
+  return rule;
+}
+
+function evaluate(node, properties) {
+  switch (node.type) {
+    case "and":
+      return (
+        evaluate(node.left, properties) && evaluate(node.right, properties)
+      );
+    case "or":
+      return (
+        evaluate(node.left, properties) || evaluate(node.right, properties)
+      );
+    default: {
+      const value = properties[node.metric];
+      if (value === null || value === undefined) return false;
+      return OPERATORS[node.operator].test(value, node.value);
+    }
+  }
+}
+
+function collectMetrics(node, metrics = []) {
+  if (node.type === "comparison") {
+    if (!metrics.includes(node.metric)) metrics.push(node.metric);
+  } else {
+    collectMetrics(node.left, metrics);
+    collectMetrics(node.right, metrics);
+  }
+  return metrics;
+}
+
+function describeNode(node, parentType = null) {
+  if (node.type === "comparison") {
+    return `${getMetricName(node.metric)} ${OPERATORS[node.operator].symbol} ${formatNumber(node.value)}`;
+  }
+
+  const joiner = ` ${t(node.type === "and" ? "rule.and" : "rule.or")} `;
+  const text =
+    describeNode(node.left, node.type) +
+    joiner +
+    describeNode(node.right, node.type);
+  // Only OR inside AND needs brackets to keep its meaning
+  return parentType === "and" && node.type === "or" ? `(${text})` : text;
+}
+
+export function compileRule(text) {
+  const ast = parseRule(text);
+  return {
+    text: text.trim(),
+    metrics: collectMetrics(ast),
+    test: (properties) => evaluate(ast, properties),
+    describe: () => describeNode(ast),
+  };
+}
+
+export function describeRule(text) {
+  return describeNode(parseRule(text));
+}
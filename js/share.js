@@ -0,0 +1,172 @@
+// Challenge links and shareable result summaries
+import { formatTime } from "./hud.js";
+import { formatPercent, t } from "./i18n.js";
+import { describeBoard } from "./manifest.js";
+import { hashString } from "./storage.js";
+
+const CHALLENGE_VERSION = 1;
+
+// Widest emoji grid in a result summary; bigger boards are downsampled
+const MAX_SUMMARY_COLUMNS = 16;
+
+export function toBase64Url(text) {
+  return btoa(text).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+export function fromBase64Url(encoded) {
+  return atob(encoded.replace(/-/g, "+").replace(/_/g, "/"));
+}
+
+export function encodeChallenge({ params, dataHash = null, snapshot = null }) {
+  // Compact payload plus a checksum so edited links are caught early
+  const record = { v: CHALLENGE_VERSION, p: params };
+  if (snapshot) {
+    record.h = dataHash;
+    record.s = {
+      g: snapshot.gameState,
+      r: snapshot.revealed,
+      f: snapshot.flagged,
+      o: snapshot.openingCell,
+      t: snapshot.elapsedTime,
+    };
+  }
+
+  const json = JSON.stringify(record);
+  return `${toBase64Url(json)}.${hashString(json)}`;
+}
+
+export function decodeChallenge(encoded) {
+  const [body, checksum] = String(encoded).split(".");
+  let json;
+  try {
+    json = fromBase64Url(body);
+  } catch (error) {
+    throw new Error(t("error.challengeCorrupted"));
+  }
+
+  if (hashString(json) !== checksum) {
+    throw new Error(t("error.challengeModified"));
+  }
+
+  let record;
+  try {
+    record = JSON.parse(json);
+  } catch (error) {
+    throw new Error(t("error.challengeCorrupted"));
+  }
+
+  if (!record || record.v !== CHALLENGE_VERSION) {
+    throw new Error(t("error.challengeVersion"));
+  }
+  if (!record.p || typeof record.p !== "object" || Array.isArray(record.p)) {
+    throw new Error(t("error.challengeOptions"));
+  }
+
+  return {
+    params: record.p,
+    dataHash: record.h || null,
+    snapshot: record.s ? parseChallengeSnapshot(record.s) : null,
+  };
+}
+
+function parseChallengeSnapshot(snapshot) {
+  const isIdList = (list) =>
+    Array.isArray(list) && list.every((id) => Number.isInteger(id));
+
+  if (
+    snapshot.g !== "playing" ||
+    !isIdList(snapshot.r) ||
+    !isIdList(snapshot.f) ||
+    !(snapshot.o === null || Number.isInteger(snapshot.o)) ||
+    typeof snapshot.t !== "number"
+  ) {
+    throw new Error(t("error.challengeSnapshot"));
+  }
+
+  return {
+    gameState: snapshot.g,
+    revealed: snapshot.r,
+    flagged: snapshot.f,
+    clickedMine: null,
+    openingCell: snapshot.o,
+    elapsedTime: snapshot.t,
+  };
+}
+
+export function createChallengeURL(baseURL, encodedChallenge) {
+  const url = new URL(baseURL);
+  url.search = new URLSearchParams({ challenge: encodedChallenge }).toString();
+  url.hash = "";
+  return url.toString();
+}
+
+function getCellEmoji(game, cell) {
+  if (cell === game.getClickedMine()) return "💥";
+  if (cell.isWrongFlag) return "❌";
+  if (cell.isFlagged) return "🚩";
+  if (cell.isRevealed) return cell.isMine ? "💣" : "🟩";
+  return "⬜";
+}
+
+// Most telling symbol wins when several cells share one emoji in the grid
+const EMOJI_PRIORITY = ["💥", "❌", "💣", "🚩", "⬜", "🟩"];
+
+export function buildResultGrid(game, maxColumns = MAX_SUMMARY_COLUMNS) {
+  const cells = game.getCells();
+  if (cells.length === 0) return "";
+
+  const maxRow = Math.max(...cells.map((cell) => cell.row));
+  const maxCol = Math.max(...cells.map((cell) => cell.col));
+  const scale = Math.ceil((maxCol + 1) / maxColumns);
+  const rows = Math.floor(maxRow / scale) + 1;
+  const columns = Math.floor(maxCol / scale) + 1;
+
+  const blocks = Array.from({ length: rows }, () =>
+    new Array(columns).fill(null),
+  );
+  cells.forEach((cell) => {
+    const row = Math.floor(cell.row / scale);
+    const col = Math.floor(cell.col / scale);
+    const emoji = getCellEmoji(game, cell);
+    const current = blocks[row][col];
+    if (
+      !current ||
+      EMOJI_PRIORITY.indexOf(emoji) < EMOJI_PRIORITY.indexOf(current)
+    ) {
+      blocks[row][col] = emoji;
+    }
+  });
+
+  // Rows count up from the south, so print the northernmost first
+  return blocks
+    .reverse()
+    .map((row) => row.map((emoji) => emoji || "⬛").join(""))
+    .join("\n");
+}
+
+export function createResultSummary(game, config, link) {
+  const params = config.getParams();
+  const city = params.city.charAt(0).toUpperCase() + params.city.slice(1);
+  const time = formatTime(game.getElapsedTime());
+  const board =
+    params.shape === "hex" ? `${params.gridSize}m ⬢` : describeBoard(params);
+  const outcome = t(
+    game.getGameState() === "won" ? "share.won" : "share.lost",
+    { time: time },
+  );
+
+  const hints = game.getHintCount();
+  const revealed = Math.floor(game.getRevealedPercentage()) / 100;
+  const details = [
+    outcome,
+    t("share.revealed", { percent: formatPercent(revealed) }),
+    ...(hints > 0 ? [t("share.hints", { count: hints })] : []),
+  ];
+
+  return [
+    `Airbnb Minesweeper · ${city} ${board}`,
+    details.join(" · "),
+    buildResultGrid(game),
+    link,
+  ].join("\n");
+}
@@ -0,0 +1,154 @@
+// Logical solver: deduces safe cells and mines from the revealed numbers,
+// for hints and to check whether a board can be won without guessing.
+// It reasons about one number at a time, pairs of numbers where one's
+// hidden neighbours are a subset of the other's, and the total mine count.
+// Boards needing deeper reasoning are reported as needing a guess.
+
+function getConstraints(game, revealed, mines) {
+  // For each revealed number, how many of its unknown neighbours are mines
+  const constraints = [];
+  revealed.forEach((cell) => {
+    const unknown = new Set();
+    let knownMines = 0;
+    game.getNeighbours(cell).forEach((neighbour) => {
+      if (mines.has(neighbour)) {
+        knownMines++;
+      } else if (!revealed.has(neighbour)) {
+        unknown.add(neighbour);
+      }
+    });
+
+    if (unknown.size > 0) {
+      constraints.push({
+        cells: unknown,
+        mines: cell.adjacentMines - knownMines,
+      });
+    }
+  });
+  return constraints;
+}
+
+function settle(constraint, safe, mines) {
+  // A constraint with no mines left, or as many mines as cells, decides
+  // all of its cells
+  if (constraint.cells.size === 0) return;
+  if (constraint.mines === 0) {
+    constraint.cells.forEach((cell) => safe.add(cell));
+  } else if (constraint.mines === constraint.cells.size) {
+    constraint.cells.forEach((cell) => mines.add(cell));
+  }
+}
+
+export function findDeductions(game, revealed, mines) {
+  // New certain safe cells and mines, given the revealed (safe) cells and
+  // the mines already known
+  const safe = new Set();
+  const found = new Set();
+  const result = () => ({ safe: [...safe], mines: [...found] });
+  const constraints = getConstraints(game, revealed, mines);
+
+  constraints.forEach((constraint) => settle(constraint, safe, found));
+  if (safe.size > 0 || found.size > 0) return result();
+
+  // When A's cells are all among B's, B's other cells hold the difference
+  const constraintsByCell = new Map();
+  constraints.forEach((constraint) => {
+    constraint.cells.forEach((cell) => {
+      if (!constraintsByCell.has(cell)) constraintsByCell.set(cell, []);
+      constraintsByCell.get(cell).push(constraint);
+    });
+  });
+  constraints.forEach((a) => {
+    const [firstCell] = a.cells;
+    constraintsByCell.get(firstCell).forEach((b) => {
+      if (b.cells.size <= a.cells.size) return;
+      if (![...a.cells].every((cell) => b.cells.has(cell))) return;
+      settle(
+        {
+          cells: new Set([...b.cells].filter((cell) => !a.cells.has(cell))),
+          mines: b.mines - a.mines,
+        },
+        safe,
+        found,
+      );
+    });
+  });
+  if (safe.size > 0 || found.size > 0) return result();
+
+  // Every mine left is accounted for, or every unknown cell is a mine
+  const unknown = game
+    .getCells()
+    .filter((cell) => !revealed.has(cell) && !mines.has(cell));
+  settle(
+    { cells: new Set(unknown), mines: game.getMineCount() - mines.size },
+    safe,
+    found,
+  );
+  return result();
+}
+
+export function findHint(game) {
+  // A provably safe hidden cell, or failing that a certain mine the player
+  // hasn't flagged yet. Player flags may be wrong, so they're not trusted.
+  const revealed = new Set(
+    game.getCells().filter((cell) => cell.isRevealed && !cell.isMine),
+  );
+  const mines = new Set();
+
+  for (;;) {
+    const deductions = findDeductions(game, revealed, mines);
+    if (deductions.safe.length > 0) {
+      return { cell: deductions.safe[0], isMine: false };
+    }
+
+    const unflagged = deductions.mines.find((cell) => !cell.isFlagged);
+    if (unflagged) {
+      return { cell: unflagged, isMine: true };
+    }
+    if (deductions.mines.length === 0) {
+      return null;
+    }
+
+    // Only mines the player already flagged; build on them
+    deductions.mines.forEach((cell) => mines.add(cell));
+  }
+}
+
+export function verifyBoard(game, startCell) {
+  // Play the board from the start cell using deductions only, and report
+  // whether that reveals every safe cell
+  const safeCells = game.getCells().length - game.getMineCount();
+  const revealed = new Set();
+  const mines = new Set();
+
+  const reveal = (cell) => {
+    // Same flood fill as the game: empty cells open their neighbours
+    const pending = [cell];
+    while (pending.length > 0) {
+      const current = pending.pop();
+      if (revealed.has(current)) continue;
+      revealed.add(current);
+      if (current.adjacentMines === 0) {
+        pending.push(...game.getNeighbours(current));
+      }
+    }
+  };
+
+  if (startCell && !startCell.isMine) {
+    reveal(startCell);
+    for (;;) {
+      const deductions = findDeductions(game, revealed, mines);
+      if (deductions.safe.length === 0 && deductions.mines.length === 0) {
+        break;
+      }
+      deductions.mines.forEach((cell) => mines.add(cell));
+      deductions.safe.forEach(reveal);
+    }
+  }
+
+  return {
+    deducible: revealed.size === safeCells,
+    revealed: revealed.size,
+    safeCells: safeCells,
+  };
+}
@@ -0,0 +1,83 @@
+// Persist games in progress to localStorage so they survive a reload
+const STORAGE_PREFIX = "airbnb-minesweeper";
+const STORAGE_VERSION = 1;
+
+// FNV-1a hash of the data file, used to detect boards that changed since a save
+export function hashString(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+export class GameStorage {
+  constructor(storage = globalThis.localStorage) {
+    this.storage = storage;
+  }
+
+  getKey(config) {
+    // Square boards keep the key they had before other shapes existed
+    const params = config.getParams();
+    return [
+      STORAGE_PREFIX,
+      params.city,
+      params.gridSize,
+      ...(params.shape === "square" ? [] : [params.shape]),
+      config.getRule(),
+    ].join(":");
+  }
+
+  save(config, dataHash, game) {
+    const record = {
+      version: STORAGE_VERSION,
+      savedAt: Date.now(),
+      config: config.getParams(),
+      dataHash: dataHash,
+      state: game.getSnapshot(),
+    };
+
+    try {
+      this.storage.setItem(this.getKey(config), JSON.stringify(record));
+    } catch (error) {
+      console.warn("Unable to save game:", error.message);
+    }
+  }
+
+  load(config, dataHash) {
+    // Returns the saved record, or null when there is nothing safe to resume
+    let record;
+    try {
+      const json = this.storage.getItem(this.getKey(config));
+      if (!json) return null;
+      record = JSON.parse(json);
+    } catch (error) {
+      console.warn("Ignoring unreadable saved game:", error.message);
+      this.clear(config);
+      return null;
+    }
+
+    if (!record || record.version !== STORAGE_VERSION || !record.state) {
+      console.warn("Ignoring saved game from an unsupported version");
+      this.clear(config);
+      return null;
+    }
+
+    if (record.dataHash !== dataHash) {
+      console.warn("Data file changed since the game was saved, not resuming");
+      this.clear(config);
+      return null;
+    }
+
+    return record;
+  }
+
+  clear(config) {
+    try {
+      this.storage.removeItem(this.getKey(config));
+    } catch (error) {
+      console.warn("Unable to clear saved game:", error.message);
+    }
+  }
+}
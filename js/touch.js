@@ -0,0 +1,174 @@
+// Touch controls. Phones have no right click, so holding a cell flags it,
+// and the flag mode toggle makes a tap flag instead of reveal. Taps are
+// only taken while one finger stays put, so pinch-zooming and panning the
+// map never reveal a cell.
+import { distanceToSegment, getRings, pointInGeometry } from "./geometry.js";
+
+// Values of the touchTarget param; "large" lets a touch that lands just
+// beside or between cells take the nearest one, for small cells at low zoom
+export const TOUCH_TARGETS = ["normal", "large"];
+
+export const LONG_PRESS_MS = 500;
+// How far a finger can drift, in pixels, and still tap rather than pan
+export const MOVE_TOLERANCE = 10;
+// Lifting the fingers of a pinch one at a time shouldn't tap with the last
+export const PINCH_GUARD_MS = 400;
+// Smallest comfortable target for a finger, in CSS pixels; with the large
+// touch target a touch reaches cells within half of it
+export const MIN_TOUCH_TARGET = 44;
+
+export class TouchTracker {
+  constructor({
+    onTap,
+    onLongPress,
+    setTimer = setTimeout,
+    clearTimer = clearTimeout,
+    now = Date.now,
+  }) {
+    this.onTap = onTap;
+    this.onLongPress = onLongPress;
+    this.setTimer = setTimer;
+    this.clearTimer = clearTimer;
+    this.now = now;
+    // {x, y, timer, longPressed, menuSeen} of the touch in progress
+    this.press = null;
+    this.guardUntil = 0; // End of the pause after a pinch
+    this.longPressAt = null; // Last long press still awaiting its menu
+  }
+
+  start(touches) {
+    // touches as in a TouchEvent: [{clientX, clientY}, ...]
+    this.longPressAt = null;
+    if (touches.length > 1) {
+      this.cancel();
+      this.guardUntil = this.now() + PINCH_GUARD_MS;
+      return;
+    }
+    if (this.now() < this.guardUntil) return;
+
+    const [{ clientX: x, clientY: y }] = touches;
+    this.cancel();
+    this.press = { x, y, longPressed: false, menuSeen: false };
+    this.press.timer = this.setTimer(() => {
+      this.press.longPressed = true;
+      if (!this.press.menuSeen) this.longPressAt = this.now();
+      this.onLongPress({ x, y });
+    }, LONG_PRESS_MS);
+  }
+
+  move(touches) {
+    if (!this.press) return;
+    const [{ clientX, clientY }] = touches;
+    if (
+      touches.length > 1 ||
+      Math.hypot(clientX - this.press.x, clientY - this.press.y) >
+        MOVE_TOLERANCE
+    ) {
+      this.cancel();
+    }
+  }
+
+  end() {
+    // Returns whether the touch was handled, so the caller can stop the
+    // browser's click that follows it. onTap returns false for a tap it
+    // passes on, e.g. one that missed the board.
+    const press = this.press;
+    if (!press) return false;
+    this.cancel();
+    if (press.longPressed) return true;
+    return this.onTap({ x: press.x, y: press.y }) !== false;
+  }
+
+  cancel() {
+    if (!this.press) return;
+    if (!this.press.longPressed) this.clearTimer(this.press.timer);
+    this.press = null;
+  }
+
+  consumeContextMenu() {
+    // Android opens a context menu on a long press too, before or after
+    // ours fires. Returns whether this menu is that one, so only it is
+    // ignored and not a mouse right click on a touch screen laptop.
+    if (this.press) {
+      this.press.menuSeen = true;
+      return true;
+    }
+    const pending =
+      this.longPressAt !== null &&
+      this.now() - this.longPressAt < LONG_PRESS_MS * 2;
+    this.longPressAt = null;
+    return pending;
+  }
+}
+
+export function chooseCellAction({ flagMode, longPress }) {
+  // A long press does the opposite of a tap (or click), so either mode can
+  // still do both
+  return flagMode !== longPress ? "flag" : "reveal";
+}
+
+export function findCellAt(game, [lng, lat]) {
+  // The cell under a touch; Leaflet only hit-tests the browser's clicks
+  return game.getCells().find((cell) => {
+    const { left, right, top, bottom } = game.getCellBounds(cell);
+    return (
+      lng >= left &&
+      lng <= right &&
+      lat >= bottom &&
+      lat <= top &&
+      pointInGeometry(lng, lat, cell.feature.geometry)
+    );
+  });
+}
+
+export function findNearestCell(
+  game,
+  point,
+  toScreen,
+  radius = MIN_TOUCH_TARGET / 2,
+) {
+  // The cell whose outline passes closest to a screen point {x, y}, if any
+  // is within radius pixels. toScreen maps [lng, lat] to {x, y}, so the
+  // reach stays the same on screen at every zoom.
+  let nearest;
+  let nearestDistance = radius;
+  game.getCells().forEach((cell) => {
+    const { left, right, top, bottom } = game.getCellBounds(cell);
+    const topLeft = toScreen([left, top]);
+    const bottomRight = toScreen([right, bottom]);
+    if (
+      point.x < topLeft.x - radius ||
+      point.x > bottomRight.x + radius ||
+      point.y < topLeft.y - radius ||
+      point.y > bottomRight.y + radius
+    ) {
+      return;
+    }
+
+    getRings(cell.feature.geometry).forEach((ring) => {
+      const corners = ring.map((position) => {
+        const { x, y } = toScreen(position);
+        return [x, y];
+      });
+      for (let i = 1; i < corners.length; i++) {
+        const distance = distanceToSegment(
+          [point.x, point.y],
+          corners[i - 1],
+          corners[i],
+        );
+        if (distance <= nearestDistance) {
+          nearest = cell;
+          nearestDistance = distance;
+        }
+      }
+    });
+  });
+  return nearest;
+}
+
+export function vibrate(pattern) {
+  // Haptic feedback where the browser has it (not iOS Safari)
+  if (typeof navigator !== "undefined" && navigator.vibrate) {
+    navigator.vibrate(pattern);
+  }
+}
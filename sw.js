@@ -0,0 +1,140 @@
+// Service worker for offline play: precaches the app shell and the boards
+// listed in data/manifest.json, and keeps the map tiles it has seen. Listing
+// data is cached the first time a player inspects a cell.
+// Bump CACHE_VERSION when the shell changes so old caches are dropped.
+const CACHE_VERSION = 8;
+const SHELL_CACHE = `shell-v${CACHE_VERSION}`;
+const TILE_CACHE = "tiles-v1"; // Kept across shell updates
+const MAX_TILES = 2000;
+
+const APP_SHELL = [
+  "./",
+  "index.html",
+  "game.html",
+  "js/basemap.js",
+  "js/bridge.js",
+  "js/canvas-renderer.js",
+  "js/config.js",
+  "js/difficulty.js",
+  "js/dom-renderer.js",
+  "js/game.js",
+  "js/geometry.js",
+  "js/grid-generator.js",
+  "js/heatmap.js",
+  "js/hud.js",
+  "js/i18n.js",
+  "js/keyboard.js",
+  "js/listings.js",
+  "js/main.js",
+  "js/manifest.js",
+  "js/map.js",
+  "js/messages.js",
+  "js/neighbourhood-generator.js",
+  "js/palettes.js",
+  "js/replay.js",
+  "js/rules.js",
+  "js/share.js",
+  "js/solver.js",
+  "js/storage.js",
+  "js/touch.js",
+  "vendor/leaflet/leaflet.css",
+  "vendor/leaflet/leaflet.js",
+  "vendor/leaflet/images/layers.png",
+  "vendor/leaflet/images/layers-2x.png",
+  "vendor/leaflet/images/marker-icon.png",
+  "vendor/leaflet/images/marker-icon-2x.png",
+  "vendor/leaflet/images/marker-shadow.png",
+  "data/manifest.json",
+];
+
+async function precache() {
+  const cache = await caches.open(SHELL_CACHE);
+  await cache.addAll(APP_SHELL);
+
+  // The catalogue decides which boards are playable offline
+  const manifest = await (await cache.match("data/manifest.json")).json();
+  const boards = manifest.cities.flatMap((city) =>
+    city.boards.map((board) => `data/${board.file}`),
+  );
+  await cache.addAll(boards);
+}
+
+async function trimCache(cache, maxEntries) {
+  const keys = await cache.keys();
+  await Promise.all(
+    keys.slice(0, keys.length - maxEntries).map((key) => cache.delete(key)),
+  );
+}
+
+function storeLater(event, store) {
+  // Keep the worker alive until the cache is written, without holding up
+  // the response; a full cache only costs the copy
+  event.waitUntil(store().catch(() => {}));
+}
+
+async function fromNetworkFirst(event) {
+  // Same-origin files: fresh when online, cached when not
+  const { request } = event;
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      const copy = response.clone();
+      storeLater(event, () => cache.put(request, copy));
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+async function fromCacheFirst(event) {
+  // Tiles don't change, so once seen they are served from the cache
+  const { request } = event;
+  const cache = await caches.open(TILE_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok || response.type === "opaque") {
+    const copy = response.clone();
+    storeLater(event, async () => {
+      await cache.put(request, copy);
+      await trimCache(cache, MAX_TILES);
+    });
+  }
+  return response;
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => ![SHELL_CACHE, TILE_CACHE].includes(key))
+            .map((key) => caches.delete(key)),
+        ),
+      )
+      .then(() => self.clients.claim()),
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+  if (url.origin === self.location.origin) {
+    event.respondWith(fromNetworkFirst(event));
+  } else if (request.destination === "image") {
+    event.respondWith(fromCacheFirst(event));
+  }
+});
@@ -0,0 +1,52 @@
+import { describe, it, afterEach, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { GameBridge } from "../js/bridge.js";
+import { GameConfig } from "../js/config.js";
+import { createGame } from "./helpers.js";
+
+beforeEach(() => {
+  mock.method(console, "log", () => {});
+});
+
+afterEach(() => {
+  delete globalThis.window;
+});
+
+// A bridge inside a fake iframe, recording what it posts to the parent
+function createBridge(game, commandHandlers) {
+  const posted = [];
+  const parent = { postMessage: (message) => posted.push(message) };
+  globalThis.window = { parent: parent, addEventListener: () => {} };
+
+  const bridge = new GameBridge();
+  bridge.attach(game);
+  bridge.initialize(new GameConfig(""), commandHandlers);
+  const send = (type, payload) =>
+    bridge.handleMessage({
+      source: parent,
+      data: { source: "airbnb-minesweeper", version: 1, type, payload },
+    });
+  return { posted, send };
+}
+
+describe("bridge commands", () => {
+  it("refuse to reveal cells during a replay", async () => {
+    const game = createGame("500");
+    const revealed = [];
+    const { posted, send } = createBridge(game, {
+      reveal: ({ cellId }) => revealed.push(cellId),
+    });
+
+    game.setReplaying(true);
+    await send("reveal", { cellId: 1 });
+    assert.deepEqual(revealed, []);
+    assert.deepEqual(posted.at(-1).payload, {
+      command: "reveal",
+      message: "Can't play moves during a replay",
+    });
+
+    game.setReplaying(false);
+    await send("reveal", { cellId: 1 });
+    assert.deepEqual(revealed, [1]);
+  });
+});
@@ -0,0 +1,132 @@
+import { describe, it, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { GameConfig } from "../js/config.js";
+import { DIFFICULTIES, computeThreshold } from "../js/difficulty.js";
+import { createGame, loadGrid } from "./helpers.js";
+
+beforeEach(() => {
+  mock.method(console, "log", () => {});
+});
+
+function mineRatio(features, metric, threshold) {
+  const mines = features.filter((f) => f.properties[metric] >= threshold);
+  return mines.length / features.length;
+}
+
+describe("computeThreshold", () => {
+  it("picks the threshold closest to the target mine ratio", () => {
+    const features = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10].map((value) => ({
+      properties: { listings_count: value },
+    }));
+
+    assert.equal(computeThreshold(features, "listings_count", 0.2), 9);
+    assert.equal(computeThreshold(features, "listings_count", 0.5), 6);
+  });
+
+  for (const gridSize of ["250", "500", "1000"]) {
+    it(`gets every preset near its target on lisboa_${gridSize}`, () => {
+      const { features } = loadGrid(gridSize);
+
+      for (const metric of [
+        "listings_count",
+        "price_mean",
+        "multi_host_count",
+        "availability_mean",
+        "reviews_ltm",
+      ]) {
+        for (const { mineRatio: target } of Object.values(DIFFICULTIES)) {
+          const threshold = computeThreshold(features, metric, target);
+          // Many cells share the same listing count, so allow the gap to the
+          // next distinct value
+          assert.ok(threshold > 0);
+          assert.ok(
+            Math.abs(mineRatio(features, metric, threshold) - target) < 0.05,
+            `${metric} ${target}`,
+          );
+        }
+      }
+    });
+  }
+
+  it("rejects data without the metric", () => {
+    assert.throws(
+      () => computeThreshold([{ properties: {} }], "price_mean", 0.2),
+      /Os dados não têm valores de "price_mean"/,
+    );
+  });
+});
+
+describe("difficulty in GameConfig", () => {
+  it("fills in the value once the data is loaded", () => {
+    const config = new GameConfig("?gridSize=250&difficulty=hard");
+    const { features } = loadGrid("250");
+    config.resolveDifficulty(features);
+
+    assert.equal(
+      config.getValue(),
+      computeThreshold(features, "listings_count", 0.25),
+    );
+    assert.equal(config.getDifficultyDisplayName(), "Difícil");
+
+    const game = createGame("250", config.getParams());
+    assert.equal(
+      game.getMineCount(),
+      features.filter((f) => f.properties.listings_count >= config.getValue())
+        .length,
+    );
+  });
+
+  it("keeps an explicit value", () => {
+    const config = new GameConfig("?difficulty=easy&value=7");
+    config.resolveDifficulty(loadGrid("500").features);
+
+    assert.equal(config.getValue(), 7);
+  });
+
+  it("recomputes when the preset changes", () => {
+    const config = new GameConfig("?value=7");
+    config.setParams({ difficulty: "expert" });
+
+    assert.equal(config.getValue(), null);
+  });
+
+  it("recomputes for a new board, but not for the same one", () => {
+    const config = new GameConfig("?gridSize=250&difficulty=hard");
+    config.resolveDifficulty(loadGrid("250").features);
+    config.setParams({ gridSize: 250, safeStart: true });
+    assert.notEqual(config.getValue(), null);
+
+    config.setParams({ gridSize: 1000 });
+    assert.equal(config.getValue(), null);
+    const { features } = loadGrid("1000");
+    config.resolveDifficulty(features);
+    assert.equal(
+      config.getValue(),
+      computeThreshold(features, "listings_count", 0.25),
+    );
+
+    config.setParams({ shape: "hex" });
+    assert.equal(config.getValue(), null);
+  });
+
+  it("keeps a value set by hand on a new board", () => {
+    const config = new GameConfig("?gridSize=250&difficulty=hard");
+    config.resolveDifficulty(loadGrid("250").features);
+    config.setParams({ value: 2 });
+    assert.equal(config.getDifficulty(), null);
+
+    config.setParams({ gridSize: 1000 });
+    assert.equal(config.getValue(), 2);
+  });
+
+  it("rejects unknown presets and presets with custom rules", () => {
+    assert.throws(
+      () => new GameConfig("?difficulty=insane"),
+      /Dificuldade inválida/,
+    );
+    assert.throws(
+      () => new GameConfig("?difficulty=easy&rule=price_max%3E3"),
+      /não podem ser combinadas/,
+    );
+  });
+});
@@ -0,0 +1,376 @@
+import { describe, it, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { MinesweeperGame } from "../js/game.js";
+import { createGame, bruteForceNeighbours, loadGrid } from "./helpers.js";
+
+beforeEach(() => {
+  mock.method(console, "log", () => {});
+});
+
+describe("adjacency", () => {
+  for (const gridSize of ["250", "500", "1000"]) {
+    it(`neighbour index matches a full scan on lisboa_${gridSize}`, () => {
+      const game = createGame(gridSize);
+
+      game.getCells().forEach((cell) => {
+        const expected = bruteForceNeighbours(game, cell).map((c) => c.id);
+        const actual = game.getNeighbours(cell).map((c) => c.id);
+        assert.deepEqual(actual.sort(), expected.sort(), `cell ${cell.id}`);
+      });
+    });
+  }
+
+  it("is symmetric and never includes the cell itself", () => {
+    const game = createGame("500");
+
+    game.getCells().forEach((cell) => {
+      const neighbours = game.getNeighbours(cell);
+      assert.ok(!neighbours.includes(cell));
+      assert.ok(neighbours.length <= 8);
+      neighbours.forEach((neighbour) => {
+        assert.ok(game.getNeighbours(neighbour).includes(cell));
+      });
+    });
+  });
+
+  it("treats diagonal corners as adjacent but not cells two apart", () => {
+    const game = new MinesweeperGame();
+    const a = { left: 0, right: 1, bottom: 0, top: 1 };
+
+    assert.ok(
+      game.areCellsAdjacent(a, { left: 1, right: 2, bottom: 1, top: 2 }),
+    );
+    assert.ok(
+      game.areCellsAdjacent(a, { left: 1, right: 2, bottom: 0, top: 1 }),
+    );
+    assert.ok(
+      !game.areCellsAdjacent(a, { left: 2, right: 3, bottom: 0, top: 1 }),
+    );
+    assert.ok(!game.areCellsAdjacent(a, a));
+  });
+
+  for (const gridSize of ["250", "500", "1000"]) {
+    it(`gives hex cells their six lattice neighbours on lisboa_${gridSize}_hex`, () => {
+      const game = createGame(`${gridSize}_hex`);
+      const byPosition = new Map(
+        game.getCells().map((cell) => [`${cell.row}:${cell.col}`, cell]),
+      );
+
+      game.getCells().forEach((cell) => {
+        // Odd rows are shifted half a cell east
+        const shift = cell.row % 2;
+        const expected = [
+          [0, -1],
+          [0, 1],
+          [-1, shift - 1],
+          [-1, shift],
+          [1, shift - 1],
+          [1, shift],
+        ]
+          .map(([dRow, dCol]) =>
+            byPosition.get(`${cell.row + dRow}:${cell.col + dCol}`),
+          )
+          .filter(Boolean)
+          .map((c) => c.id);
+        const actual = game.getNeighbours(cell).map((c) => c.id);
+        assert.deepEqual(actual.sort(), expected.sort(), `cell ${cell.id}`);
+      });
+    });
+  }
+
+  it("places polygon cells without a stored position by their centre", () => {
+    const hexagon = (x, y) => ({
+      type: "Feature",
+      properties: {
+        id: x * 10 + y,
+        left: x - 1,
+        right: x + 1,
+        bottom: y - 2,
+        top: y + 2,
+        listings_count: 1,
+      },
+      geometry: {
+        type: "Polygon",
+        coordinates: [
+          [
+            [x, y + 2],
+            [x + 1, y + 1],
+            [x + 1, y - 1],
+            [x, y - 2],
+            [x - 1, y - 1],
+            [x - 1, y + 1],
+            [x, y + 2],
+          ],
+        ],
+      },
+    });
+    const game = new MinesweeperGame();
+    game.initializeGame({
+      features: [hexagon(1, 2), hexagon(3, 2), hexagon(2, 5), hexagon(7, 2)],
+    });
+
+    const [a, b, c, far] = game.getCells();
+    assert.deepEqual(
+      game
+        .getNeighbours(a)
+        .map((cell) => cell.id)
+        .sort(),
+      [b.id, c.id].sort(),
+    );
+    assert.deepEqual(game.getNeighbours(far), []);
+    assert.deepEqual([b.row, b.col], [0, 1]);
+    assert.deepEqual([far.row, far.col], [0, 3]);
+  });
+
+  it("counts adjacent mines from the neighbour list", () => {
+    const game = createGame("250");
+
+    game.getCells().forEach((cell) => {
+      if (cell.isMine) return;
+      const mines = bruteForceNeighbours(game, cell).filter((c) => c.isMine);
+      assert.equal(cell.adjacentMines, mines.length);
+    });
+  });
+});
+
+describe("mine processing", () => {
+  it("marks cells at or above the threshold as mines", () => {
+    const game = createGame("500", { mode: "price_mean", value: 100 });
+
+    game.getCells().forEach((cell) => {
+      assert.equal(cell.isMine, cell.value >= 100);
+    });
+    assert.equal(
+      game.getMineCount(),
+      game.getCells().filter((cell) => cell.isMine).length,
+    );
+  });
+});
+
+describe("flood fill", () => {
+  it("reveals the whole empty region and its numbered border", () => {
+    const game = createGame("250");
+    const start = game
+      .getCells()
+      .find((cell) => !cell.isMine && cell.adjacentMines === 0);
+
+    game.handleCellClick(start);
+
+    // Every revealed empty cell must have all of its neighbours revealed
+    game.getCells().forEach((cell) => {
+      if (cell.isRevealed && cell.adjacentMines === 0) {
+        game.getNeighbours(cell).forEach((neighbour) => {
+          assert.ok(neighbour.isRevealed, `neighbour ${neighbour.id}`);
+        });
+      }
+    });
+    assert.ok(game.getCells().every((c) => !(c.isRevealed && c.isMine)));
+    assert.equal(
+      game.getRevealedCount(),
+      game.getCells().filter((cell) => cell.isRevealed).length,
+    );
+  });
+
+  it("reveals only the clicked cell when it has adjacent mines", () => {
+    const game = createGame("500");
+    const start = game
+      .getCells()
+      .find((cell) => !cell.isMine && cell.adjacentMines > 0);
+
+    game.handleCellClick(start);
+
+    assert.equal(game.getRevealedCount(), 1);
+    assert.equal(game.getGameState(), "playing");
+  });
+});
+
+describe("win and loss", () => {
+  it("loses when a mine is revealed and reveals every mine", () => {
+    const game = createGame("500");
+    const mine = game.getCells().find((cell) => cell.isMine);
+
+    game.handleCellClick(mine);
+
+    assert.equal(game.getGameState(), "lost");
+    assert.equal(game.getClickedMine(), mine);
+    assert.ok(game.getCells().every((c) => !c.isMine || c.isRevealed));
+  });
+
+  it("wins once every safe cell is revealed", () => {
+    const game = createGame("1000");
+    let gameOverEvent = null;
+    game.on("gameOver", (event) => (gameOverEvent = event));
+
+    game.getCells().forEach((cell) => {
+      if (!cell.isMine && !cell.isRevealed) {
+        game.handleCellClick(cell);
+      }
+    });
+
+    assert.equal(game.getGameState(), "won");
+    assert.deepEqual(gameOverEvent, { won: true });
+  });
+
+  it("ignores clicks after the game is over", () => {
+    const game = createGame("500");
+    game.handleCellClick(game.getCells().find((cell) => cell.isMine));
+    const revealed = game.getRevealedCount();
+
+    game.handleCellClick(game.getCells().find((cell) => !cell.isRevealed));
+
+    assert.equal(game.getRevealedCount(), revealed);
+  });
+});
+
+describe("flags", () => {
+  it("keeps the flag count and remaining mines in step", () => {
+    const game = createGame("500");
+    const [first, second] = game.getCells();
+
+    game.handleCellRightClick(first);
+    game.handleCellRightClick(second);
+    assert.equal(game.getFlagCount(), 2);
+    assert.equal(game.getRemainingMines(), game.getMineCount() - 2);
+
+    game.handleCellRightClick(first);
+    assert.equal(game.getFlagCount(), 1);
+    assert.ok(!first.isFlagged);
+  });
+
+  it("does not reveal flagged cells or flag revealed ones", () => {
+    const game = createGame("500");
+    const safe = game.getCells().find((c) => !c.isMine && c.adjacentMines > 0);
+    const other = game.getCells().find((c) => c !== safe);
+
+    game.handleCellRightClick(other);
+    game.handleCellClick(other);
+    assert.ok(!other.isRevealed);
+
+    game.handleCellClick(safe);
+    game.handleCellRightClick(safe);
+    assert.ok(!safe.isFlagged);
+    assert.equal(game.getFlagCount(), 1);
+  });
+});
+
+describe("chording", () => {
+  function findChordable(game) {
+    return game
+      .getCells()
+      .find(
+        (cell) =>
+          !cell.isMine &&
+          cell.adjacentMines > 0 &&
+          game.getNeighbours(cell).some((n) => !n.isMine),
+      );
+  }
+
+  it("reveals the remaining neighbours when flags match", () => {
+    const game = createGame("250");
+    const cell = findChordable(game);
+
+    game.handleCellClick(cell);
+    game
+      .getNeighbours(cell)
+      .filter((n) => n.isMine)
+      .forEach((n) => game.handleCellRightClick(n));
+    game.handleCellClick(cell);
+
+    assert.notEqual(game.getGameState(), "lost");
+    assert.ok(
+      game.getNeighbours(cell).every((n) => n.isRevealed || n.isFlagged),
+    );
+  });
+
+  it("loses and marks wrong flags when a flag was misplaced", () => {
+    const game = createGame("250");
+    const cell = game
+      .getCells()
+      .find(
+        (c) =>
+          !c.isMine &&
+          c.adjacentMines > 0 &&
+          game.getNeighbours(c).filter((n) => !n.isMine).length >=
+            c.adjacentMines,
+      );
+
+    game.handleCellClick(cell);
+    game
+      .getNeighbours(cell)
+      .filter((n) => !n.isMine)
+      .slice(0, cell.adjacentMines)
+      .forEach((n) => game.handleCellRightClick(n));
+    game.handleCellChord(cell);
+
+    assert.equal(game.getGameState(), "lost");
+    assert.ok(game.getCells().some((c) => c.isWrongFlag));
+  });
+});
+
+describe("safe start", () => {
+  it("opens a safe cell before the first move", () => {
+    for (const gridSize of ["250", "500", "1000"]) {
+      const game = createGame(gridSize, { safeStart: true });
+      const opening = game.getOpeningCell();
+
+      assert.ok(opening && !opening.isMine && opening.isRevealed);
+      assert.equal(game.getGameState(), "ready");
+    }
+  });
+
+  it("does not move any mines", () => {
+    const plain = createGame("250");
+    const safe = createGame("250", { safeStart: true });
+
+    assert.deepEqual(
+      safe.getCells().map((cell) => cell.isMine),
+      plain.getCells().map((cell) => cell.isMine),
+    );
+  });
+});
+
+describe("reset", () => {
+  it("rebuilds the board from the same data", () => {
+    const data = loadGrid("500");
+    const game = new MinesweeperGame();
+    game.initializeGame(data, { mode: "listings_count", value: 3 });
+    game.handleCellClick(game.getCells().find((cell) => cell.isMine));
+
+    game.initializeGame(data);
+
+    assert.equal(game.getGameState(), "ready");
+    assert.equal(game.getRevealedCount(), 0);
+    assert.equal(game.getFlagCount(), 0);
+  });
+});
+
+describe("snapshots", () => {
+  it("restores revealed cells, flags and the clock", () => {
+    const game = createGame("250", { safeStart: true });
+    game.handleCellRightClick(game.getCells().find((c) => !c.isRevealed));
+    game.handleCellClick(
+      game.getCells().find((c) => !c.isMine && !c.isRevealed && !c.isFlagged),
+    );
+    const snapshot = JSON.parse(JSON.stringify(game.getSnapshot()));
+
+    const restored = createGame("250");
+    restored.restoreSnapshot(snapshot);
+
+    assert.deepEqual(restored.getSnapshot().revealed, snapshot.revealed);
+    assert.deepEqual(restored.getSnapshot().flagged, snapshot.flagged);
+    assert.equal(restored.getGameState(), "playing");
+    assert.equal(restored.getFlagCount(), 1);
+    assert.equal(restored.getRevealedCount(), snapshot.revealed.length);
+    assert.equal(restored.getOpeningCell().id, snapshot.openingCell);
+    assert.ok(restored.getElapsedTime() >= snapshot.elapsedTime);
+  });
+
+  it("rejects snapshots referring to cells that don't exist", () => {
+    const game = createGame("500");
+    const snapshot = game.getSnapshot();
+    snapshot.revealed = [-1];
+
+    assert.throws(() => game.restoreSnapshot(snapshot), /unknown cell -1/);
+    assert.equal(game.getRevealedCount(), 0);
+  });
+});
@@ -0,0 +1,176 @@
+import { describe, it, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { GameConfig } from "../js/config.js";
+import { GridGenerator, parseCSV } from "../js/grid-generator.js";
+import { loadGrid } from "./helpers.js";
+
+function readSource(file, city = "lisboa") {
+  return readFileSync(
+    new URL(`../data/src/${city}/${file}`, import.meta.url),
+    "utf8",
+  );
+}
+
+const SQUARE_OUTLINE = {
+  type: "Polygon",
+  coordinates: [
+    [
+      [-9.15, 38.7],
+      [-9.13, 38.7],
+      [-9.13, 38.72],
+      [-9.15, 38.72],
+      [-9.15, 38.7],
+    ],
+  ],
+};
+
+beforeEach(() => {
+  mock.method(console, "log", () => {});
+});
+
+describe("parseCSV", () => {
+  it("handles quoted fields, escaped quotes and CRLF line endings", () => {
+    const rows = parseCSV(
+      'id,name,price\r\n1,"Flat, Alfama",80\r\n2,"The ""Blue"" room\nwith view",\r\n',
+    );
+    assert.deepEqual(rows, [
+      { id: "1", name: "Flat, Alfama", price: "80" },
+      { id: "2", name: 'The "Blue" room\nwith view', price: "" },
+    ]);
+  });
+});
+
+describe("GridGenerator", () => {
+  const outline = JSON.parse(readSource("outline.geojson"));
+  const listingsCSV = readSource("listings.csv");
+
+  for (const gridSize of ["500", "1000"]) {
+    it(`reproduces data/lisboa_${gridSize}.geojson`, () => {
+      const generated = new GridGenerator("lisboa", gridSize).generate(
+        outline,
+        listingsCSV,
+      );
+      assert.deepEqual(generated, loadGrid(gridSize));
+    });
+  }
+
+  it("aggregates only valid listings strictly inside a cell", () => {
+    const csv = [
+      "id,latitude,longitude,room_type,price,calculated_host_listings_count,availability_365,number_of_reviews_ltm,license",
+      '1,38.701,-9.149,Entire home/apt,"$1,000.00",3,100,4,1234/AL',
+      "2,38.702,-9.148,Private room,50,1,200,6,",
+      "3,38.702,-9.148,Private room,,1,200,6,",
+      "4,38.7,-9.149,Private room,70,1,200,6,",
+    ].join("\n");
+    const grid = new GridGenerator("test", 500).generate(SQUARE_OUTLINE, csv);
+
+    assert.equal(grid.name, "test_500");
+    assert.equal(grid.features.length, 1);
+    assert.deepEqual(grid.features[0].properties, {
+      ...grid.features[0].properties,
+      id: 1,
+      price_min: 50,
+      price_max: 1000,
+      price_mean: 525,
+      listings_count: 2,
+      entire_home_pct: 50,
+      unlicensed_count: 1,
+      multi_host_count: 1,
+      availability_mean: 150,
+      reviews_ltm: 10,
+    });
+  });
+
+  it("only keeps cells touching the outline", () => {
+    const generator = new GridGenerator("test", 500);
+    const ring = generator.loadCityOutline({
+      type: "Feature",
+      geometry: {
+        type: "Polygon",
+        // Triangle covering the bottom-left half of its bounding box
+        coordinates: [
+          [
+            [-9.15, 38.7],
+            [-9.13, 38.7],
+            [-9.15, 38.72],
+            [-9.15, 38.7],
+          ],
+        ],
+      },
+    });
+    const cells = generator.createGrid(ring);
+    const full = generator.createGrid(SQUARE_OUTLINE.coordinates[0]);
+
+    assert.ok(cells.length < full.length);
+    // Each kept cell's bottom-left corner is on or under the hypotenuse
+    assert.ok(
+      cells.every(
+        (cell) => (cell.left + 9.15) / 0.02 + (cell.bottom - 38.7) / 0.02 <= 1,
+      ),
+    );
+  });
+
+  it("tiles hexagons that share their corners exactly", () => {
+    const generator = new GridGenerator("test", 500, "hex");
+    const cells = generator.createGrid(SQUARE_OUTLINE.coordinates[0]);
+    const corners = new Map();
+    cells.forEach((cell) => {
+      assert.equal(cell.coordinates.length, 7);
+      cell.coordinates.slice(1).forEach(([x, y]) => {
+        const key = `${x},${y}`;
+        corners.set(key, (corners.get(key) || 0) + 1);
+      });
+    });
+
+    // Inner corners meet three hexagons; none is shared by more
+    assert.ok([...corners.values()].includes(3));
+    assert.ok([...corners.values()].every((count) => count <= 3));
+  });
+
+  it("names hex output and records each cell's lattice position", () => {
+    const grid = new GridGenerator("lisboa", 1000, "hex").generate(
+      outline,
+      listingsCSV,
+    );
+    assert.equal(grid.name, "lisboa_1000_hex");
+    assert.deepEqual(grid, loadGrid("1000_hex"));
+    grid.features.forEach(({ properties }) => {
+      assert.ok(Number.isInteger(properties.row));
+      assert.ok(Number.isInteger(properties.col));
+    });
+  });
+
+  it("rejects bad cell sizes, shapes and outlines", () => {
+    assert.throws(() => new GridGenerator("test", 0), /tamanho da célula/);
+    assert.throws(
+      () => new GridGenerator("test", 500, "triangle"),
+      /Unsupported cell shape: triangle/,
+    );
+    assert.throws(
+      () =>
+        new GridGenerator("test", 500).generate(
+          { type: "Point", coordinates: [0, 0] },
+          "",
+        ),
+      /Unsupported geometry type: Point/,
+    );
+    assert.throws(
+      () => new GridGenerator("test", 500).generate(SQUARE_OUTLINE, "id\n"),
+      /Nenhum anúncio/,
+    );
+  });
+});
+
+describe("shape in GameConfig", () => {
+  it("picks the hex data file", () => {
+    const config = new GameConfig("?gridSize=250&shape=hex");
+    assert.equal(config.getShape(), "hex");
+    assert.equal(config.getDataURL(), "data/lisboa_250_hex.geojson");
+    assert.equal(new GameConfig("").getDataURL(), "data/lisboa_500.geojson");
+  });
+
+  it("rejects unknown shapes", () => {
+    assert.throws(() => new GameConfig("?shape=circle"), /Forma inválida/);
+  });
+});
@@ -0,0 +1,143 @@
+import { describe, it, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { GameConfig } from "../js/config.js";
+import { getGeometryArea, getOutlineArea } from "../js/geometry.js";
+import {
+  HEATMAP_COLOURS,
+  NO_DATA_COLOUR,
+  computeQuantileBreaks,
+  createHeatmapScale,
+  getRuleThresholds,
+  summariseBoard,
+} from "../js/heatmap.js";
+import { createGame, loadGrid } from "./helpers.js";
+
+function loadManifest() {
+  const url = new URL("../data/manifest.json", import.meta.url);
+  return JSON.parse(readFileSync(url, "utf8"));
+}
+
+const features = (values) =>
+  values.map((value) => ({ properties: { listings_count: value } }));
+
+beforeEach(() => {
+  mock.method(console, "log", () => {});
+});
+
+describe("heatmap scale", () => {
+  it("splits values into classes of about the same size", () => {
+    const values = Array.from({ length: 100 }, (_, i) => i);
+    assert.deepEqual(computeQuantileBreaks(values), [20, 40, 60, 80]);
+
+    // Skewed data like listing counts merges repeated breaks
+    assert.deepEqual(
+      computeQuantileBreaks([1, 1, 1, 1, 1, 1, 1, 1, 2, 50]),
+      [2],
+    );
+    assert.deepEqual(computeQuantileBreaks([]), []);
+  });
+
+  it("colours each class, keeping the ramp's ends", () => {
+    const scale = createHeatmapScale(
+      features(Array.from({ length: 100 }, (_, i) => i)),
+      "listings_count",
+    );
+    assert.deepEqual(scale.colours, HEATMAP_COLOURS);
+    assert.equal(scale.getColour(0), HEATMAP_COLOURS[0]);
+    assert.equal(scale.getColour(45), HEATMAP_COLOURS[2]);
+    assert.equal(scale.getColour(99), HEATMAP_COLOURS[4]);
+    assert.equal(scale.getColour(null), NO_DATA_COLOUR);
+
+    const skewed = createHeatmapScale(
+      features([1, 1, 1, 1, 1, 1, 1, 1, 2, 50]),
+      "listings_count",
+    );
+    assert.deepEqual(skewed.colours, [HEATMAP_COLOURS[0], HEATMAP_COLOURS[4]]);
+  });
+
+  it("places thresholds along the legend", () => {
+    const scale = createHeatmapScale(
+      features(Array.from({ length: 101 }, (_, i) => i)),
+      "listings_count",
+    );
+    assert.equal(scale.getPosition(0), 0);
+    assert.equal(scale.getPosition(100), 1);
+    assert.equal(scale.getPosition(20), 0.2);
+    assert.ok(Math.abs(scale.getPosition(30) - 0.3) < 1e-9);
+  });
+
+  it("finds the rule's thresholds on a metric", () => {
+    assert.deepEqual(getRuleThresholds("listings_count>=3", "listings_count"), [
+      { operator: ">=", value: 3 },
+    ]);
+    assert.deepEqual(
+      getRuleThresholds(
+        "price_mean<80 AND (listings_count>5 OR listings_count<=1)",
+        "listings_count",
+      ),
+      [
+        { operator: ">", value: 5 },
+        { operator: "<=", value: 1 },
+      ],
+    );
+  });
+});
+
+describe("board summary", () => {
+  it("adds up listings and the mines' share of area and listings", () => {
+    const game = createGame("1000", { value: 10 });
+    const config = new GameConfig("?gridSize=1000", loadManifest());
+    const outline = JSON.parse(
+      readFileSync(
+        new URL("../data/src/lisboa/outline.geojson", import.meta.url),
+        "utf8",
+      ),
+    );
+    assert.equal(config.getCityArea(), getOutlineArea(outline));
+    const summary = summariseBoard(game, config.getCityArea());
+    const cells = game.getCells();
+    const total = cells.reduce(
+      (sum, cell) => sum + cell.feature.properties.listings_count,
+      0,
+    );
+
+    assert.equal(summary.listings, total);
+    assert.equal(summary.mines, game.getMineCount());
+    assert.equal(summary.cells, cells.length);
+    // Cells with many listings are mines, so they hold more than their
+    // share of the area
+    assert.ok(summary.mineListingsShare > summary.mineAreaShare);
+    assert.ok(summary.mineAreaShare > 0 && summary.mineAreaShare < 1);
+
+    // Of the city's outline, not of the board's cells
+    const mineArea = game
+      .getCells()
+      .filter((cell) => cell.isMine)
+      .reduce((sum, cell) => sum + getGeometryArea(cell.feature.geometry), 0);
+    assert.equal(summary.mineAreaShare, mineArea / config.getCityArea());
+    assert.equal(summariseBoard(game).mineAreaShare, null);
+  });
+
+  it("measures cell areas with holes", () => {
+    const square = (size) => [
+      [0, 0],
+      [size, 0],
+      [size, size],
+      [0, size],
+      [0, 0],
+    ];
+    // Near the equator, degrees of longitude and latitude are about the same
+    const area = getGeometryArea({
+      type: "Polygon",
+      coordinates: [square(2), square(1)],
+    });
+    assert.ok(Math.abs(area - 3) < 0.01);
+
+    // Neighbouring cells of a square grid have the same area
+    const [a, b] = loadGrid(1000).features.map((feature) =>
+      getGeometryArea(feature.geometry),
+    );
+    assert.ok(Math.abs(a - b) / a < 0.01);
+  });
+});
@@ -0,0 +1,29 @@
+import { readFileSync } from "node:fs";
+import { MinesweeperGame } from "../js/game.js";
+
+export function loadGrid(gridSize, city = "lisboa") {
+  const url = new URL(`../data/${city}_${gridSize}.geojson`, import.meta.url);
+  return JSON.parse(readFileSync(url, "utf8"));
+}
+
+export function createGame(gridSize, options = {}) {
+  const game = new MinesweeperGame();
+  game.initializeGame(loadGrid(gridSize), {
+    mode: "listings_count",
+    value: 3,
+    ...options,
+  });
+  return game;
+}
+
+// Reference implementation: compare every pair of cells with areCellsAdjacent
+export function bruteForceNeighbours(game, cell) {
+  const bounds = game.getCellBounds(cell);
+  return game
+    .getCells()
+    .filter(
+      (other) =>
+        other !== cell &&
+        game.areCellsAdjacent(bounds, game.getCellBounds(other)),
+    );
+}
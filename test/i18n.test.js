@@ -0,0 +1,203 @@
+import { describe, it, afterEach, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  formatCurrency,
+  formatNumber,
+  formatPercent,
+  getLanguage,
+  resolveLanguage,
+  setLanguage,
+  t,
+} from "../js/i18n.js";
+import { MESSAGES } from "../js/messages.js";
+import { computeThreshold } from "../js/difficulty.js";
+import { GridGenerator } from "../js/grid-generator.js";
+import { describeCell } from "../js/keyboard.js";
+import { ListingData, getCellListings } from "../js/listings.js";
+import { describeBoard, loadManifest } from "../js/manifest.js";
+import { NeighbourhoodGenerator } from "../js/neighbourhood-generator.js";
+import { createGame } from "./helpers.js";
+
+function getPlaceholders(message) {
+  const texts =
+    typeof message === "object" ? Object.values(message) : [message];
+  return [...new Set(texts.join(" ").match(/\{\w+\}/g))].sort();
+}
+
+beforeEach(() => {
+  mock.method(console, "log", () => {});
+});
+
+afterEach(() => {
+  setLanguage(DEFAULT_LANGUAGE);
+});
+
+describe("message catalogue", () => {
+  it("has every message in every language, with the same placeholders", () => {
+    const keys = Object.keys(MESSAGES[DEFAULT_LANGUAGE]);
+    assert.deepEqual(LANGUAGES, ["pt-PT", "en"]);
+
+    LANGUAGES.forEach((language) => {
+      const messages = MESSAGES[language];
+      assert.deepEqual(Object.keys(messages).sort(), [...keys].sort());
+      keys.forEach((key) => {
+        assert.deepEqual(
+          getPlaceholders(messages[key]),
+          getPlaceholders(MESSAGES[DEFAULT_LANGUAGE][key]),
+          `${language} ${key}`,
+        );
+        if (typeof messages[key] === "object") {
+          assert.ok(messages[key].one && messages[key].other, key);
+        }
+      });
+    });
+  });
+
+  it("has the messages the pages ask for", () => {
+    for (const page of ["game.html", "index.html"]) {
+      const html = readFileSync(new URL(`../${page}`, import.meta.url), "utf8");
+      const keys = [...html.matchAll(/data-i18n[\w-]*="([^"]+)"/g)].map(
+        (match) => match[1],
+      );
+      assert.ok(keys.length > 10, page);
+      keys.forEach((key) => assert.ok(key in MESSAGES.en, `${page} ${key}`));
+    }
+  });
+});
+
+describe("language", () => {
+  it("prefers the lang param, then the browser's languages", () => {
+    assert.equal(resolveLanguage("en", ["pt-PT"]), "en");
+    assert.equal(resolveLanguage(null, ["fr-FR", "en-GB"]), "en");
+    assert.equal(resolveLanguage("pt-BR"), "pt-PT");
+    assert.equal(resolveLanguage("EN"), "en");
+    assert.equal(resolveLanguage("fr", ["de"]), DEFAULT_LANGUAGE);
+  });
+
+  it("rejects languages without a catalogue", () => {
+    assert.throws(() => setLanguage("fr"), /Unsupported language fr/);
+    assert.equal(getLanguage(), DEFAULT_LANGUAGE);
+  });
+
+  it("picks plural forms and falls back to the key", () => {
+    assert.equal(t("cell.adjacentMines", { count: 1 }), "1 mina adjacente");
+    assert.equal(t("cell.adjacentMines", { count: 3 }), "3 minas adjacentes");
+    assert.equal(t("no.such.message"), "no.such.message");
+
+    setLanguage("en");
+    assert.equal(t("cell.adjacentMines", { count: 1 }), "1 adjacent mine");
+    assert.equal(t("listings.count", { count: 1500 }), "1,500 listings");
+    assert.equal(t("keyboard.edge"), "Edge of the board");
+  });
+
+  it("formats numbers and euros for the language", () => {
+    assert.equal(formatNumber(3.5), "3,5");
+    assert.match(formatCurrency(1234.6), /^1235\s€$/);
+    assert.equal(formatPercent(0.456), "46%");
+
+    setLanguage("en");
+    assert.equal(formatNumber(12345.5), "12,345.5");
+    assert.equal(formatCurrency(1234.6), "€1,235");
+    assert.equal(formatPercent(0.456), "46%");
+  });
+
+  it("describes cells for screen readers in the chosen language", () => {
+    setLanguage("en");
+    const game = createGame("1000", { safeStart: true });
+    assert.match(
+      describeCell(game, game.getOpeningCell()),
+      /^Row \d+, column \d+: (No adjacent mines|\d+ adjacent mines?), Listing Count: \d+$/,
+    );
+  });
+});
+
+describe("errors", () => {
+  const SQUARE = {
+    type: "Polygon",
+    coordinates: [
+      [
+        [-9.2, 38.7],
+        [-9.1, 38.7],
+        [-9.1, 38.8],
+        [-9.2, 38.8],
+        [-9.2, 38.7],
+      ],
+    ],
+  };
+
+  it("reaches the player in their language", async () => {
+    const mine = createGame("500")
+      .getCells()
+      .find((cell) => cell.isMine);
+    assert.throws(
+      () => createGame("500", { start: mine.id }),
+      new Error(
+        `Área inicial ${mine.id} inválida: não é uma área segura neste tabuleiro`,
+      ),
+    );
+
+    assert.throws(
+      () =>
+        getCellListings(
+          { hash: "abc" },
+          { board: "lisboa_500", table: "lisboa_listings.json", hash: "def" },
+          1,
+        ),
+      new Error(
+        "O índice de anúncios de lisboa_500 não corresponde a lisboa_listings.json; gere o tabuleiro de novo",
+      ),
+    );
+    mock.method(globalThis, "fetch", async () => ({ ok: false, status: 404 }));
+    await assert.rejects(
+      new ListingData().load("data/lisboa_listings.json"),
+      new Error("Não foi possível carregar os anúncios: Estado: 404"),
+    );
+    await assert.rejects(
+      loadManifest(),
+      new Error("Não foi possível carregar o catálogo de cidades: Estado: 404"),
+    );
+
+    assert.throws(
+      () => computeThreshold([], "price_mean"),
+      new Error(
+        'Os dados não têm valores de "price_mean" para definir uma dificuldade',
+      ),
+    );
+    assert.throws(
+      () => new GridGenerator("test", 0),
+      new Error("O tamanho da célula tem de ser um número positivo"),
+    );
+    assert.throws(
+      () => new GridGenerator("test", 500).generate(SQUARE, "id\n"),
+      new Error("Nenhum anúncio fica dentro do contorno da cidade"),
+    );
+    const boundaries = { type: "FeatureCollection", features: [] };
+    assert.throws(
+      () => new NeighbourhoodGenerator("test").generate(boundaries, "id\n"),
+      new Error("O ficheiro de limites não tem polígonos de bairros"),
+    );
+    boundaries.features.push({
+      type: "Feature",
+      properties: { neighbourhood: "Alfama" },
+      geometry: SQUARE,
+    });
+    assert.throws(
+      () => new NeighbourhoodGenerator("test").generate(boundaries, "id\n"),
+      new Error("Nenhum anúncio fica dentro dos bairros"),
+    );
+  });
+
+  it("names boards in the player's language", () => {
+    assert.equal(describeBoard({ shape: "square", gridSize: "500" }), "500 m");
+    assert.equal(
+      describeBoard({ shape: "hex", gridSize: "500" }),
+      "500 m hexágonos",
+    );
+
+    setLanguage("en");
+    assert.equal(describeBoard({ shape: "hex", gridSize: "500" }), "500m hex");
+  });
+});
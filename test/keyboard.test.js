@@ -0,0 +1,178 @@
+import { describe, it, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { GameConfig } from "../js/config.js";
+import {
+  KeyboardControls,
+  describeCell,
+  findNeighbourInDirection,
+} from "../js/keyboard.js";
+import { PALETTES, getCellStyle } from "../js/palettes.js";
+import { createGame } from "./helpers.js";
+
+function findCell(game, row, col) {
+  return game.getCells().find((cell) => cell.row === row && cell.col === col);
+}
+
+function createControls(game) {
+  const spoken = [];
+  const controls = new KeyboardControls(game, {
+    announce: (text) => spoken.push(text),
+  });
+  return { controls, spoken };
+}
+
+beforeEach(() => {
+  mock.method(console, "log", () => {});
+});
+
+describe("keyboard cursor", () => {
+  it("moves straight along rows and columns on square boards", () => {
+    const game = createGame("500");
+    const cell = game
+      .getCells()
+      .find((candidate) => game.getNeighbours(candidate).length === 8);
+    const { row, col } = cell;
+
+    assert.equal(
+      findNeighbourInDirection(game, cell, [1, 0]),
+      findCell(game, row, col + 1),
+    );
+    assert.equal(
+      findNeighbourInDirection(game, cell, [-1, 0]),
+      findCell(game, row, col - 1),
+    );
+    assert.equal(
+      findNeighbourInDirection(game, cell, [0, 1]),
+      findCell(game, row + 1, col),
+    );
+    assert.equal(
+      findNeighbourInDirection(game, cell, [0, -1]),
+      findCell(game, row - 1, col),
+    );
+  });
+
+  it("only moves to neighbours, on hex boards too", () => {
+    const game = createGame("500_hex");
+    game.getCells().forEach((cell) => {
+      [
+        [1, 0],
+        [-1, 0],
+        [0, 1],
+        [0, -1],
+      ].forEach((direction) => {
+        const next = findNeighbourInDirection(game, cell, direction);
+        if (next) assert.ok(game.getNeighbours(cell).includes(next));
+      });
+    });
+
+    // Left and right stay on the same row of hexagons
+    const cell = game
+      .getCells()
+      .find((candidate) => game.getNeighbours(candidate).length === 6);
+    assert.equal(findNeighbourInDirection(game, cell, [1, 0]).row, cell.row);
+  });
+
+  it("starts at the top left cell and stops at the edge", () => {
+    const game = createGame("1000");
+    const { controls, spoken } = createControls(game);
+
+    assert.equal(controls.handleKey("x"), false);
+    assert.equal(controls.handleKey("ArrowDown"), true);
+    const start = controls.getFocusedCell();
+    const topRow = Math.max(...game.getCells().map((cell) => cell.row));
+    assert.equal(start.row, topRow);
+    assert.match(spoken.at(-1), /^Linha 1, coluna \d+: por revelar$/);
+
+    controls.handleKey("ArrowUp");
+    assert.equal(controls.getFocusedCell(), start);
+    assert.equal(spoken.at(-1), "Limite do tabuleiro");
+  });
+
+  it("reveals, flags and chords the cell under the cursor", () => {
+    const game = createGame("1000", { value: 10 });
+    const { controls, spoken } = createControls(game);
+
+    // A safe number with a mine next to it
+    const number = game
+      .getCells()
+      .find((cell) => !cell.isMine && cell.adjacentMines === 1);
+    const mine = game.getNeighbours(number).find((cell) => cell.isMine);
+    controls.focus(number);
+
+    controls.handleKey(" ");
+    assert.ok(number.isRevealed);
+    assert.match(
+      spoken.at(-1),
+      /: 1 mina adjacente, Contagem de Anúncios: \d+$/,
+    );
+
+    controls.handleKey("c");
+    assert.equal(spoken.at(-1), "Não é possível abrir as vizinhas");
+
+    controls.focus(mine);
+    controls.handleKey("F");
+    assert.ok(mine.isFlagged);
+    assert.match(spoken.at(-1), /: marcado$/);
+
+    controls.focus(number);
+    controls.handleKey("c");
+    assert.ok(
+      game
+        .getNeighbours(number)
+        .every((cell) => cell.isRevealed || cell.isFlagged),
+    );
+  });
+
+  it("announces the end of the game", () => {
+    const game = createGame("1000", { value: 10 });
+    const { controls, spoken } = createControls(game);
+
+    controls.focus(game.getCells().find((cell) => cell.isMine));
+    controls.handleKey("Enter");
+    assert.equal(game.getGameState(), "lost");
+    assert.equal(spoken.at(-1), "Mina! Perdeu.");
+  });
+
+  it("reads out neighbourhood names instead of positions", () => {
+    const game = createGame("1000");
+    const cell = game.getCells()[0];
+    cell.feature.properties.name = "Alfama";
+    assert.equal(describeCell(game, cell), "Alfama: por revelar");
+  });
+});
+
+describe("palettes", () => {
+  it("outlines the keyboard cursor over the cell's own style", () => {
+    const cell = { isRevealed: true, isMine: false, adjacentMines: 2 };
+    const style = getCellStyle(PALETTES.default, cell, {
+      isOpening: false,
+      isFocused: false,
+    });
+    assert.deepEqual(style, {
+      fillColor: "#ccf0ff",
+      color: "#999",
+      fillOpacity: 0.8,
+      weight: 2,
+    });
+
+    const focused = getCellStyle(PALETTES.contrast, cell, {
+      isOpening: true,
+      isFocused: true,
+    });
+    assert.equal(focused.color, PALETTES.contrast.focus.stroke);
+    assert.equal(focused.weight, PALETTES.contrast.focus.weight);
+  });
+
+  it("is chosen with the palette param", () => {
+    assert.equal(new GameConfig("").getPalette(), PALETTES.default);
+    assert.equal(
+      new GameConfig("?palette=contrast").getPalette(),
+      PALETTES.contrast,
+    );
+    assert.equal(
+      new GameConfig("?palette=contrast").getParams().palette,
+      undefined,
+    );
+    assert.throws(() => new GameConfig("?palette=neon"), /Paleta inválida/);
+  });
+});
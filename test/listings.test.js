@@ -0,0 +1,162 @@
+import { describe, it, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { GridGenerator } from "../js/grid-generator.js";
+import { KeyboardControls } from "../js/keyboard.js";
+import {
+  ListingData,
+  canInspectCell,
+  createListingIndex,
+  createListingTable,
+  createPriceHistogram,
+  getCellListings,
+} from "../js/listings.js";
+import { createGame, loadGrid } from "./helpers.js";
+
+function readData(file) {
+  return JSON.parse(
+    readFileSync(new URL(`../data/${file}`, import.meta.url), "utf8"),
+  );
+}
+
+beforeEach(() => {
+  mock.method(console, "log", () => {});
+});
+
+describe("listing index", () => {
+  const table = readData("lisboa_listings.json");
+
+  it("is generated alongside the grid", () => {
+    const generator = new GridGenerator("lisboa", 1000);
+    generator.generate(
+      readData("src/lisboa/outline.geojson"),
+      readFileSync(
+        new URL("../data/src/lisboa/listings.csv", import.meta.url),
+        "utf8",
+      ),
+    );
+    const generated = createListingTable("lisboa", generator.listings);
+
+    assert.deepEqual(generated, table);
+    assert.deepEqual(
+      createListingIndex("lisboa_1000", generated, generator.listingsByCell),
+      readData("lisboa_1000.listings.json"),
+    );
+  });
+
+  it("holds every listing a cell counts", () => {
+    for (const board of ["500", "500_hex"]) {
+      const index = readData(`lisboa_${board}.listings.json`);
+      loadGrid(board).features.forEach(({ properties }) => {
+        const listings = getCellListings(table, index, properties.id);
+        assert.equal(listings.length, properties.listings_count);
+        assert.equal(
+          Math.min(...listings.map((listing) => listing.price)),
+          properties.price_min,
+        );
+      });
+    }
+  });
+
+  it("turns rows into listings, refusing a stale index", () => {
+    const index = readData("lisboa_1000.listings.json");
+    const [listing] = getCellListings(table, index, 15);
+    assert.deepEqual(Object.keys(listing), [
+      "id",
+      "name",
+      "room_type",
+      "price",
+      "reviews",
+      "license",
+    ]);
+    assert.deepEqual(getCellListings(table, index, 999999), []);
+
+    assert.throws(
+      () => getCellListings(table, { ...index, hash: "00000000" }, 15),
+      /O índice de anúncios de lisboa_1000 não corresponde a lisboa_listings\.json/,
+    );
+  });
+
+  it("loads each file once, and again after a failure", async () => {
+    const table = {
+      hash: "abc",
+      fields: ["id", "price"],
+      rows: [
+        ["1", 40],
+        ["2", 90],
+      ],
+    };
+    const index = {
+      table: "test_listings.json",
+      hash: "abc",
+      cells: { 7: [1] },
+    };
+    const requested = [];
+    let online = false;
+    const data = new ListingData(async (url) => {
+      requested.push(url);
+      if (!online) throw new Error("offline");
+      return url.endsWith(".listings.json") ? index : table;
+    });
+
+    await assert.rejects(
+      data.getCellListings("data/test_500.listings.json", 7),
+      /Não foi possível carregar os anúncios: offline/,
+    );
+    online = true;
+    assert.deepEqual(
+      await data.getCellListings("data/test_500.listings.json", 7),
+      [{ id: "2", price: 90 }],
+    );
+    await data.getCellListings("data/test_500.listings.json", 8);
+    assert.deepEqual(requested, [
+      "data/test_500.listings.json",
+      "data/test_500.listings.json",
+      "data/test_listings.json",
+    ]);
+  });
+});
+
+describe("price histogram", () => {
+  it("uses round bins covering every price", () => {
+    assert.deepEqual(createPriceHistogram([45, 60, 75, 120, 410]), [
+      { from: 0, to: 50, count: 1 },
+      { from: 50, to: 100, count: 2 },
+      { from: 100, to: 150, count: 1 },
+      { from: 150, to: 200, count: 0 },
+      { from: 200, to: 250, count: 0 },
+      { from: 250, to: 300, count: 0 },
+      { from: 300, to: 350, count: 0 },
+      { from: 350, to: 400, count: 0 },
+      { from: 400, to: 450, count: 1 },
+    ]);
+    assert.deepEqual(createPriceHistogram([80, 80]), [
+      { from: 80, to: 81, count: 2 },
+    ]);
+    assert.deepEqual(createPriceHistogram([]), []);
+  });
+});
+
+describe("inspecting cells", () => {
+  it("is allowed on revealed cells, and on any cell after the game", () => {
+    const game = createGame("1000", { safeStart: true });
+    const inspected = [];
+    const spoken = [];
+    const controls = new KeyboardControls(game, {
+      announce: (text) => spoken.push(text),
+      onInspect: (cell) => inspected.push(cell),
+    });
+    const opening = game.getOpeningCell();
+    const hidden = game.getCells().find((cell) => !cell.isRevealed);
+
+    controls.focus(hidden);
+    controls.handleKey("l");
+    assert.equal(spoken.at(-1), "Revele a área para ver os anúncios");
+    controls.focus(opening);
+    controls.handleKey("L");
+    assert.deepEqual(inspected, [opening]);
+
+    game.handleCellClick(game.getCells().find((cell) => cell.isMine));
+    assert.ok(game.getCells().every((cell) => canInspectCell(game, cell)));
+  });
+});
@@ -0,0 +1,230 @@
+import { describe, it, after, before, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { GameConfig } from "../js/config.js";
+import { setLanguage } from "../js/i18n.js";
+import {
+  addBoard,
+  checkParams,
+  createBoardEntry,
+  createManifest,
+  findBoard,
+  validateManifest,
+} from "../js/manifest.js";
+import { GameMap } from "../js/map.js";
+import { createGame, loadGrid } from "./helpers.js";
+
+function loadManifest() {
+  const url = new URL("../data/manifest.json", import.meta.url);
+  return JSON.parse(readFileSync(url, "utf8"));
+}
+
+before(() => {
+  setLanguage("en");
+});
+
+beforeEach(() => {
+  mock.method(console, "log", () => {});
+});
+
+describe("data manifest", () => {
+  it("lists every board in data/ as it was generated", () => {
+    const manifest = validateManifest(loadManifest());
+    const lisboa = manifest.cities.find((city) => city.id === "lisboa");
+
+    assert.deepEqual(
+      lisboa.boards.map((board) => board.file),
+      [
+        "lisboa_250.geojson",
+        "lisboa_500.geojson",
+        "lisboa_1000.geojson",
+        "lisboa_250_hex.geojson",
+        "lisboa_500_hex.geojson",
+        "lisboa_1000_hex.geojson",
+      ],
+    );
+    lisboa.boards.forEach((board) => {
+      const gridSize =
+        board.shape === "hex" ? `${board.gridSize}_hex` : board.gridSize;
+      assert.deepEqual(
+        board,
+        createBoardEntry(loadGrid(gridSize), {
+          gridSize: board.gridSize,
+          shape: board.shape,
+          listings: `lisboa_${gridSize}.listings.json`,
+        }),
+      );
+    });
+  });
+
+  it("rejects malformed manifests", () => {
+    const manifest = loadManifest();
+    assert.throws(
+      () => validateManifest({ ...manifest, version: 2 }),
+      /Invalid manifest: expected version 1/,
+    );
+    assert.throws(
+      () => validateManifest({ version: 1, cities: [] }),
+      /Invalid manifest: no cities/,
+    );
+
+    const board = manifest.cities[0].boards[0];
+    board.file = "../secrets.json";
+    assert.throws(() => validateManifest(manifest), /bad file name/);
+    board.file = "lisboa_250.geojson";
+    board.listings = "../lisboa_listings.json";
+    assert.throws(() => validateManifest(manifest), /bad listing index name/);
+    board.listings = "lisboa_250.listings.json";
+    board.metrics.push("rent");
+    assert.throws(() => validateManifest(manifest), /unknown metrics/);
+    board.metrics.pop();
+    manifest.cities[0].area = -1;
+    assert.throws(
+      () => validateManifest(manifest),
+      /city lisboa has a bad area/,
+    );
+  });
+
+  it("adds generated boards, replacing older versions", () => {
+    const manifest = createManifest();
+    const grid = loadGrid(1000);
+    addBoard(
+      manifest,
+      "porto",
+      createBoardEntry(grid, { gridSize: 1000, shape: "square" }),
+    );
+    addBoard(
+      manifest,
+      "porto",
+      createBoardEntry(grid, { gridSize: 1000, shape: "square" }),
+    );
+
+    validateManifest(manifest);
+    assert.equal(manifest.cities[0].name, "Porto");
+    assert.equal(manifest.cities[0].boards.length, 1);
+    assert.ok(
+      findBoard(manifest, { city: "porto", gridSize: "1000", shape: "square" }),
+    );
+    assert.deepEqual(
+      manifest.cities[0].bounds,
+      manifest.cities[0].boards[0].bounds,
+    );
+  });
+
+  it("lists the valid options for unknown boards", () => {
+    const manifest = loadManifest();
+    const params = { city: "lisboa", gridSize: "500", shape: "square" };
+
+    assert.equal(
+      checkParams(manifest, params, ["price_mean"]).file,
+      "lisboa_500.geojson",
+    );
+    assert.throws(
+      () => checkParams(manifest, { ...params, city: "lisbon" }, []),
+      /Unknown city "lisbon"\. Available cities: lisboa\./,
+    );
+    assert.throws(
+      () => checkParams(manifest, { ...params, gridSize: "750" }, []),
+      /No 750m board for Lisboa\. Available boards: 250m, 500m, 1000m, 250m hex, 500m hex, 1000m hex\./,
+    );
+    assert.throws(
+      () => checkParams(manifest, { ...params, shape: "neighbourhood" }, []),
+      /No neighbourhoods board for Lisboa/,
+    );
+  });
+});
+
+describe("GameConfig with a manifest", () => {
+  it("checks the city, board and rule metrics against it", () => {
+    const manifest = loadManifest();
+
+    const config = new GameConfig("?gridSize=1000&shape=hex", manifest);
+    assert.equal(config.getDataURL(), "data/lisboa_1000_hex.geojson");
+
+    assert.throws(
+      () => new GameConfig("?city=porto", manifest),
+      /Available cities: lisboa/,
+    );
+    assert.throws(
+      () => new GameConfig("?gridSize=750", manifest),
+      /Available boards/,
+    );
+
+    // A board missing a metric can't be played in that mode
+    manifest.cities[0].boards[1].metrics = ["listings_count"];
+    assert.throws(
+      () => new GameConfig("?mode=price_mean", manifest),
+      /has no price_mean data\. Available modes: listings_count\./,
+    );
+    assert.throws(
+      () =>
+        new GameConfig("?rule=listings_count>3 AND price_max>200", manifest),
+      /has no price_max data/,
+    );
+    assert.throws(
+      () => config.setParams({ gridSize: 750 }),
+      /Available boards/,
+    );
+    assert.equal(config.getGridSize(), "1000");
+  });
+
+  it("accepts any well-formed board without one", () => {
+    const config = new GameConfig("?city=porto&gridSize=750");
+    assert.equal(config.getDataURL(), "data/porto_750.geojson");
+  });
+});
+
+describe("switching boards", () => {
+  after(() => {
+    delete globalThis.fetch;
+  });
+
+  it("keeps the current board when the new one doesn't load", async () => {
+    globalThis.fetch = async () => ({ ok: false, status: 404 });
+    const config = new GameConfig("?gridSize=1000");
+    const gameMap = new GameMap();
+    const polygon = {};
+    gameMap.config = config;
+    gameMap.geojsonData = loadGrid("1000");
+    gameMap.dataHash = "current";
+    gameMap.cellElements.set(1, polygon);
+
+    const previousParams = config.getParams();
+    config.setParams({ gridSize: 500 });
+    await assert.rejects(() => gameMap.reloadGame(), /404/);
+    assert.equal(gameMap.geojsonData.name, "lisboa_1000");
+    assert.equal(gameMap.dataHash, "current");
+    assert.equal(gameMap.getCellElement(1), polygon);
+
+    config.restoreParams(previousParams);
+    assert.equal(config.getDataURL(), "data/lisboa_1000.geojson");
+  });
+
+  it("keeps the current board when no game starts on the new one", async () => {
+    globalThis.fetch = async (url) => ({
+      ok: true,
+      text: async () =>
+        readFileSync(new URL(`../${url}`, import.meta.url), "utf8"),
+    });
+    const config = new GameConfig("?gridSize=1000");
+    const gameMap = new GameMap();
+    const polygon = {};
+    gameMap.config = config;
+    gameMap.game = createGame("1000", config.getParams());
+    gameMap.geojsonData = loadGrid("1000");
+    gameMap.dataHash = "current";
+    gameMap.cellElements.set(1, polygon);
+    const cells = gameMap.game.getCells();
+
+    // Starting on a mine of the new board
+    const mine = createGame("500", config.getParams())
+      .getCells()
+      .find((cell) => cell.isMine);
+    config.setParams({ gridSize: 500, start: mine.id });
+    await assert.rejects(() => gameMap.reloadGame(), /Invalid start cell/);
+    assert.equal(gameMap.geojsonData.name, "lisboa_1000");
+    assert.equal(gameMap.dataHash, "current");
+    assert.equal(gameMap.getCellElement(1), polygon);
+    assert.deepEqual(gameMap.game.getCells(), cells);
+  });
+});
@@ -0,0 +1,216 @@
+import { describe, it, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { GameConfig } from "../js/config.js";
+import { MinesweeperGame } from "../js/game.js";
+import { getInteriorPoint, pointInGeometry } from "../js/geometry.js";
+import { NeighbourhoodGenerator } from "../js/neighbourhood-generator.js";
+
+// Points in hundredths of a degree from a corner near Lisbon
+const at = ([x, y]) => [-9.15 + x / 100, 38.7 + y / 100];
+const ring = (...points) => [...points, points[0]].map(at);
+
+function area(name, geometry) {
+  return {
+    type: "Feature",
+    properties: { neighbourhood: name, neighbourhood_group: "Lisboa" },
+    geometry: geometry,
+  };
+}
+
+// An L-shaped area, a square beside it (whose shared corners are off by a
+// rounding error), a square filling the L's notch plus a detached island,
+// and a square on its own
+const BOUNDARIES = {
+  type: "FeatureCollection",
+  features: [
+    area("Alfama", {
+      type: "Polygon",
+      coordinates: [ring([0, 0], [2, 0], [2, 1], [1, 1], [1, 2], [0, 2])],
+    }),
+    area("Graça", {
+      type: "Polygon",
+      coordinates: [
+        ring([2, 0], [3, 0], [3, 1], [2, 1]).map(([x, y]) => [x + 1e-9, y]),
+      ],
+    }),
+    area("Castelo", {
+      type: "MultiPolygon",
+      coordinates: [
+        [ring([1, 1], [2, 1], [2, 2], [1, 2])],
+        [ring([5, 5], [6, 5], [6, 6], [5, 6])],
+      ],
+    }),
+    area("Belém", {
+      type: "Polygon",
+      coordinates: [ring([4, 0], [5, 0], [5, 1], [4, 1])],
+    }),
+  ],
+};
+
+function listingsCSV(points) {
+  return [
+    "id,latitude,longitude,room_type,price,license",
+    ...points.map(([x, y], i) => {
+      const [lon, lat] = at([x, y]);
+      return `${i},${lat},${lon},Private room,${50 + i * 10},`;
+    }),
+  ].join("\n");
+}
+
+beforeEach(() => {
+  mock.method(console, "log", () => {});
+});
+
+describe("NeighbourhoodGenerator", () => {
+  it("aggregates listings per neighbourhood polygon", () => {
+    const board = new NeighbourhoodGenerator("lisboa").generate(
+      BOUNDARIES,
+      listingsCSV([
+        [0.5, 1.5],
+        [1.5, 0.5],
+        [2.5, 0.5],
+        [5.5, 5.5],
+        [4.5, 0.5],
+        [9, 9],
+      ]),
+    );
+
+    assert.equal(board.name, "lisboa_neighbourhoods");
+    assert.deepEqual(
+      board.features.map(({ properties }) => [
+        properties.name,
+        properties.listings_count,
+      ]),
+      [
+        ["Alfama", 2],
+        ["Graça", 1],
+        ["Castelo", 1],
+        ["Belém", 1],
+      ],
+    );
+
+    const castelo = board.features[2];
+    assert.equal(castelo.geometry.type, "MultiPolygon");
+    assert.equal(castelo.properties.group, "Lisboa");
+    assert.deepEqual(
+      [castelo.properties.left, castelo.properties.top],
+      [at([1, 0])[0], at([0, 6])[1]],
+    );
+  });
+
+  it("leaves out neighbourhoods without listings", () => {
+    const board = new NeighbourhoodGenerator("lisboa").generate(
+      BOUNDARIES,
+      listingsCSV([[0.5, 0.5]]),
+    );
+    assert.deepEqual(
+      board.features.map(({ properties }) => properties.name),
+      ["Alfama"],
+    );
+    assert.throws(
+      () =>
+        new NeighbourhoodGenerator("lisboa").generate(
+          { type: "FeatureCollection", features: [] },
+          "",
+        ),
+      /não tem polígonos de bairros/,
+    );
+  });
+});
+
+describe("neighbourhood boards", () => {
+  it("links neighbourhoods that share a boundary or a corner", () => {
+    const game = new MinesweeperGame();
+    game.initializeGame(BOUNDARIES);
+
+    const [alfama, graca, castelo, belem] = game.getCells();
+    const names = (cell) =>
+      game
+        .getNeighbours(cell)
+        .map((neighbour) => neighbour.feature.properties.neighbourhood)
+        .sort();
+
+    assert.deepEqual(names(alfama), ["Castelo", "Graça"]);
+    assert.deepEqual(names(graca), ["Alfama", "Castelo"]);
+    assert.deepEqual(names(castelo), ["Alfama", "Graça"]);
+    assert.deepEqual(names(belem), []);
+
+    // Bounds come from the geometry when the data doesn't carry them
+    assert.deepEqual(game.getCellBounds(belem), {
+      left: at([4, 0])[0],
+      right: at([5, 0])[0],
+      top: at([0, 1])[1],
+      bottom: at([0, 0])[1],
+    });
+    game.getCells().forEach((cell) => {
+      assert.ok(Number.isInteger(cell.row) && Number.isInteger(cell.col));
+    });
+  });
+
+  it("links neighbourhoods meeting at a T-junction or off-vertex", () => {
+    // A long area whose top edge has no vertex where the square above meets
+    // it, and a square beside it whose edge was digitised slightly apart
+    const game = new MinesweeperGame();
+    game.initializeGame({
+      type: "FeatureCollection",
+      features: [
+        area("Baixa", {
+          type: "Polygon",
+          coordinates: [ring([0, 0], [1.5, -0.5], [3, 0], [3, 1], [0, 1])],
+        }),
+        area("Chiado", {
+          type: "Polygon",
+          coordinates: [ring([1, 1], [2, 1], [2, 2], [1, 2])],
+        }),
+        area("Mouraria", {
+          type: "Polygon",
+          coordinates: [
+            ring([3, 0.2], [4, 0.2], [4, 0.8], [3, 0.8]).map(([x, y]) => [
+              x + 5e-6,
+              y,
+            ]),
+          ],
+        }),
+        area("Lapa", {
+          type: "Polygon",
+          coordinates: [ring([3.1, 1.1], [4, 1.1], [4, 2], [3.1, 2])],
+        }),
+      ],
+    });
+
+    const names = (cell) =>
+      game
+        .getNeighbours(cell)
+        .map((neighbour) => neighbour.feature.properties.neighbourhood)
+        .sort();
+    const [baixa, chiado, mouraria, lapa] = game.getCells();
+    assert.deepEqual(names(baixa), ["Chiado", "Mouraria"]);
+    assert.deepEqual(names(chiado), ["Baixa"]);
+    assert.deepEqual(names(mouraria), ["Baixa"]);
+    assert.deepEqual(names(lapa), []);
+  });
+
+  it("places labels inside concave neighbourhoods", () => {
+    const alfama = BOUNDARIES.features[0].geometry;
+    const [x, y] = getInteriorPoint(alfama);
+
+    assert.ok(pointInGeometry(x, y, alfama));
+    // The bounding box centre is the L's inner corner, on its boundary
+    assert.notDeepEqual([x, y], at([1, 1]));
+  });
+
+  it("centres labels on regular cells", () => {
+    const square = {
+      type: "Polygon",
+      coordinates: [ring([0, 0], [2, 0], [2, 2], [0, 2])],
+    };
+    const [x, y] = getInteriorPoint(square);
+    assert.ok(Math.abs(x - at([1, 1])[0]) < 1e-12);
+    assert.ok(Math.abs(y - at([1, 1])[1]) < 1e-12);
+  });
+
+  it("is selected with shape=neighbourhood", () => {
+    const config = new GameConfig("?city=lisboa&shape=neighbourhood");
+    assert.equal(config.getDataURL(), "data/lisboa_neighbourhoods.geojson");
+  });
+});
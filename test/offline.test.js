@@ -0,0 +1,150 @@
+import { describe, it, after, before, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { existsSync, readdirSync, readFileSync } from "node:fs";
+import { GameConfig } from "../js/config.js";
+import { setLanguage } from "../js/i18n.js";
+import {
+  BasemapMonitor,
+  DEFAULT_TILES,
+  NO_TILES,
+  validateTileURL,
+} from "../js/basemap.js";
+import { GameMap } from "../js/map.js";
+
+const root = new URL("../", import.meta.url);
+
+before(() => {
+  setLanguage("en");
+});
+
+function readShell() {
+  // The APP_SHELL list from sw.js
+  const source = readFileSync(new URL("sw.js", root), "utf8");
+  const list = source.match(/const APP_SHELL = \[([^\]]*)\]/)[1];
+  return [...list.matchAll(/"([^"]+)"/g)].map((match) => match[1]);
+}
+
+beforeEach(() => {
+  mock.method(console, "log", () => {});
+});
+
+// Just enough of Leaflet for the basemap, in a browser that's offline
+function createOfflineMap() {
+  const listeners = {};
+  const layers = new Set();
+  const classes = new Set();
+  const tileLayer = {
+    on: (event, listener) => (listeners[event] = listener),
+    addTo: (map) => map.addLayer(tileLayer),
+  };
+  globalThis.L = { tileLayer: () => tileLayer };
+  Object.defineProperty(globalThis, "navigator", {
+    value: { onLine: false },
+    configurable: true,
+  });
+
+  const gameMap = new GameMap();
+  gameMap.config = new GameConfig("");
+  gameMap.map = {
+    addLayer: (layer) => layers.add(layer),
+    removeLayer: (layer) => layers.delete(layer),
+    getContainer: () => ({ classList: { add: (name) => classes.add(name) } }),
+  };
+  gameMap.addBasemap();
+  return { tileLayer, listeners, layers, classes };
+}
+
+after(() => {
+  delete globalThis.L;
+  delete globalThis.navigator;
+});
+
+describe("service worker", () => {
+  it("precaches every script and the local Leaflet files", () => {
+    const shell = readShell();
+    readdirSync(new URL("js/", root)).forEach((file) => {
+      assert.ok(shell.includes(`js/${file}`), `js/${file} isn't precached`);
+    });
+    shell
+      .filter((file) => file !== "./")
+      .forEach((file) => {
+        assert.ok(existsSync(new URL(file, root)), `${file} doesn't exist`);
+      });
+    assert.ok(shell.includes("vendor/leaflet/leaflet.js"));
+    assert.ok(shell.includes("data/manifest.json"));
+  });
+
+  it("is the only source of Leaflet for the game", () => {
+    const html = readFileSync(new URL("game.html", root), "utf8");
+    assert.doesNotMatch(html, /unpkg\.com/);
+    assert.match(html, /src="vendor\/leaflet\/leaflet\.js"/);
+  });
+});
+
+describe("basemap", () => {
+  it("falls back when none of the first tiles load", () => {
+    const monitor = new BasemapMonitor(3);
+    assert.equal(monitor.recordError(), false);
+    assert.equal(monitor.recordError(), false);
+    assert.equal(monitor.recordError(), true);
+    // Only once
+    assert.equal(monitor.recordError(), false);
+  });
+
+  it("keeps the tiles once any of them loaded", () => {
+    const monitor = new BasemapMonitor(3);
+    monitor.recordLoad();
+    for (let i = 0; i < 10; i++) {
+      assert.equal(monitor.recordError(), false);
+    }
+  });
+
+  it("keeps the tile layer offline when the cached tiles load", () => {
+    mock.method(console, "warn", () => {});
+    const { tileLayer, listeners, layers, classes } = createOfflineMap();
+    assert.ok(layers.has(tileLayer));
+
+    // sw.js serves the tiles it has seen; the rest fail
+    listeners.tileload();
+    for (let i = 0; i < 10; i++) listeners.tileerror();
+    assert.ok(layers.has(tileLayer));
+    assert.equal(classes.size, 0);
+  });
+
+  it("switches to the plain basemap offline when no tiles are cached", () => {
+    mock.method(console, "warn", () => {});
+    const { tileLayer, listeners, layers, classes } = createOfflineMap();
+    for (let i = 0; i < 4; i++) listeners.tileerror();
+    assert.ok(!layers.has(tileLayer));
+    assert.ok(classes.has("plain-basemap"));
+  });
+
+  it("accepts http(s) and relative tile URL templates", () => {
+    [
+      "https://tile.openstreetmap.org/{z}/{x}/{y}.png",
+      "http://kiosk.local/tiles/{z}/{x}/{y}.png",
+      "tiles/{z}/{x}/{y}.png",
+      NO_TILES,
+    ].forEach((url) => assert.equal(validateTileURL(url), url));
+
+    assert.throws(
+      () => validateTileURL("https://example.com/{z}/{x}.png"),
+      /Must contain \{y\}/,
+    );
+    assert.throws(
+      () => validateTileURL("javascript:alert('{z}{x}{y}')"),
+      /http\(s\) or relative/,
+    );
+  });
+
+  it("is set with the tiles param, outside the shared game params", () => {
+    assert.deepEqual(new GameConfig("").getTiles(), DEFAULT_TILES);
+
+    const config = new GameConfig("?tiles=tiles/{z}/{x}/{y}.png");
+    assert.equal(config.getTiles().url, "tiles/{z}/{x}/{y}.png");
+    assert.equal(config.getParams().tiles, undefined);
+
+    assert.equal(new GameConfig("?tiles=none").getTiles().url, NO_TILES);
+    assert.throws(() => new GameConfig("?tiles=nope"), /Invalid tile URL/);
+  });
+});
@@ -0,0 +1,239 @@
+import { describe, it, after, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { GameConfig } from "../js/config.js";
+import { CanvasCellLabels, RENDERERS } from "../js/canvas-renderer.js";
+import { DomCellRenderer } from "../js/dom-renderer.js";
+import { PALETTES, getCellLabel } from "../js/palettes.js";
+import { createGame } from "./helpers.js";
+
+beforeEach(() => {
+  mock.method(console, "log", () => {});
+});
+
+// Just enough of Leaflet's points, map and DOM for the label canvas
+class Point {
+  constructor(x, y) {
+    this.x = x;
+    this.y = y;
+  }
+  add(other) {
+    return new Point(this.x + other.x, this.y + other.y);
+  }
+  multiplyBy(factor) {
+    return new Point(this.x * factor, this.y * factor);
+  }
+  round() {
+    return new Point(Math.round(this.x), Math.round(this.y));
+  }
+}
+
+function createFakeMap() {
+  const drawn = [];
+  const frames = [];
+  const canvas = {
+    style: {},
+    getContext: () => ({
+      scale: () => {},
+      fillText: (text, x, y) => drawn.push({ text, x, y }),
+    }),
+  };
+  globalThis.L = { DomUtil: { create: () => canvas, setPosition: () => {} } };
+  globalThis.window = { devicePixelRatio: 2 };
+  globalThis.requestAnimationFrame = (callback) => frames.push(callback);
+
+  const listeners = {};
+  const map = {
+    getPane: () => ({}),
+    getSize: () => new Point(400, 300),
+    on: (events, listener) => {
+      events.split(" ").forEach((event) => (listeners[event] = listener));
+    },
+    // Cells sit at their lat/lng in pixels, for the test
+    latLngToContainerPoint: ([lat, lng]) => new Point(lng, lat),
+    containerPointToLayerPoint: (point) => point,
+  };
+  return { map, canvas, drawn, frames, listeners };
+}
+
+after(() => {
+  delete globalThis.L;
+  delete globalThis.window;
+  delete globalThis.requestAnimationFrame;
+});
+
+describe("cell labels", () => {
+  it("match what the map shows on each cell", () => {
+    const palette = PALETTES.default;
+    const base = { isRevealed: true, isMine: false, adjacentMines: 0 };
+
+    assert.equal(getCellLabel(palette, base, { isClickedMine: false }), null);
+    assert.deepEqual(
+      getCellLabel(
+        palette,
+        { ...base, adjacentMines: 3 },
+        { isClickedMine: false },
+      ),
+      { text: "3", colour: "#ff0000", bold: true },
+    );
+    assert.equal(
+      getCellLabel(
+        PALETTES.contrast,
+        { ...base, adjacentMines: 3 },
+        { isClickedMine: false },
+      ).colour,
+      "#000",
+    );
+    assert.equal(
+      getCellLabel(palette, { ...base, isMine: true }, { isClickedMine: true })
+        .text,
+      "💥",
+    );
+    assert.equal(
+      getCellLabel(palette, { ...base, isMine: true }, { isClickedMine: false })
+        .text,
+      "💣",
+    );
+    assert.equal(
+      getCellLabel(
+        palette,
+        { ...base, isRevealed: false, isWrongFlag: true },
+        { isClickedMine: false },
+      ).text,
+      "❌",
+    );
+    assert.equal(
+      getCellLabel(
+        palette,
+        { ...base, isRevealed: false, isFlagged: true },
+        { isClickedMine: false },
+      ),
+      null,
+    );
+  });
+
+  it("are drawn on one canvas, once per frame", () => {
+    const { map, canvas, drawn, frames, listeners } = createFakeMap();
+
+    const labels = new CanvasCellLabels(map, "numberMarkers");
+    const game = createGame("500");
+    game.handleCellClick(game.getCells().find((cell) => cell.isMine));
+    game.getCells().forEach((cell, index) => {
+      labels.set(
+        cell.id,
+        [index % 300, index % 400],
+        getCellLabel(PALETTES.default, cell, {
+          isClickedMine: cell === game.getClickedMine(),
+        }),
+      );
+    });
+
+    assert.equal(frames.length, 1);
+    frames.pop()();
+    const mines = game.getCells().filter((cell) => cell.isMine).length;
+    assert.equal(drawn.length, mines);
+    assert.equal(drawn.filter(({ text }) => text === "💥").length, 1);
+    // Offset by the padding drawn beyond the view
+    assert.ok(drawn.every(({ x, y }) => x >= 40 && y >= 30));
+    assert.equal(canvas.width, 960);
+    assert.equal(canvas.style.height, "360px");
+
+    // Zooming hides the labels until they're redrawn for the new view
+    listeners.zoomstart();
+    assert.equal(canvas.style.visibility, "hidden");
+    listeners.zoomend();
+    labels.clear();
+    assert.equal(frames.length, 1);
+    frames.pop()();
+    assert.equal(drawn.length, mines);
+    assert.equal(canvas.style.visibility, "");
+    assert.deepEqual(frames, []);
+  });
+});
+
+// Just enough of a DOM element for the plain renderer
+function createFakeElement() {
+  const listeners = {};
+  const element = {
+    className: "",
+    innerHTML: "",
+    textContent: "",
+    classList: {
+      add: (name) => (element.className += ` ${name}`),
+    },
+    addEventListener: (event, listener) => (listeners[event] = listener),
+    dispatch: (event) => listeners[event]({ preventDefault: () => {} }),
+  };
+  return element;
+}
+
+describe("DOM renderer", () => {
+  it("updates each cell's element as the game changes", () => {
+    const game = createGame("1000");
+    const renderer = new DomCellRenderer(game);
+    const elements = new Map();
+    game.getCells().forEach((cell) => {
+      const element = createFakeElement();
+      elements.set(cell, element);
+      renderer.attachCellElement(cell, element);
+    });
+    assert.ok(
+      [...elements.values()].every(
+        ({ className }) => className === "game-cell cell-hidden",
+      ),
+    );
+
+    // Right click flags, click reveals
+    const mine = game.getCells().find((cell) => cell.isMine);
+    elements.get(mine).dispatch("contextmenu");
+    assert.equal(elements.get(mine).className, "game-cell cell-flagged");
+
+    const safe = game.getCells().find((cell) => !cell.isMine);
+    elements.get(safe).dispatch("click");
+    assert.ok(safe.isRevealed);
+    game
+      .getCells()
+      .filter((cell) => cell.isRevealed)
+      .forEach((cell) => {
+        const { className, textContent } = elements.get(cell);
+        if (cell.adjacentMines > 0) {
+          assert.equal(
+            className,
+            `game-cell cell-revealed cell-number-${cell.adjacentMines}`,
+          );
+          assert.equal(textContent, cell.adjacentMines);
+        } else {
+          assert.equal(className, "game-cell cell-revealed");
+        }
+      });
+
+    // Losing shows the mine; a destroyed renderer stops following the game
+    elements.get(mine).dispatch("contextmenu");
+    elements.get(mine).dispatch("click");
+    assert.equal(
+      elements.get(mine).className,
+      "game-cell cell-revealed cell-mine",
+    );
+    renderer.destroy();
+    mine.isRevealed = false;
+    game.emit("cellChanged", mine);
+    assert.equal(
+      elements.get(mine).className,
+      "game-cell cell-revealed cell-mine",
+    );
+  });
+});
+
+describe("renderer setting", () => {
+  it("is chosen with the renderer param, outside the shared game params", () => {
+    assert.deepEqual(RENDERERS, ["svg", "canvas"]);
+    assert.equal(new GameConfig("").getRenderer(), "svg");
+
+    const config = new GameConfig("?renderer=canvas&gridSize=250");
+    assert.equal(config.getRenderer(), "canvas");
+    assert.equal(config.getParams().renderer, undefined);
+    assert.throws(
+      () => new GameConfig("?renderer=webgl"),
+      /Desenho inválido\. Tem de ser um de svg, canvas\./,
+    );
+  });
+});
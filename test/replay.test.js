@@ -0,0 +1,162 @@
+import { describe, it, before, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { GameConfig } from "../js/config.js";
+import { setLanguage } from "../js/i18n.js";
+import {
+  GameReplay,
+  createReplayRecord,
+  decodeReplay,
+  encodeReplay,
+  parseReplayRecord,
+} from "../js/replay.js";
+import { createGame, loadGrid } from "./helpers.js";
+
+before(() => {
+  setLanguage("en");
+});
+
+beforeEach(() => {
+  mock.method(console, "log", () => {});
+});
+
+function playSomeMoves(game) {
+  const cells = game.getCells();
+  game.handleCellRightClick(cells.find((c) => c.isMine));
+  game.handleCellClick(cells.find((c) => !c.isMine && c.adjacentMines === 0));
+  game.handleCellClick(cells.find((c) => c.isMine && !c.isFlagged));
+}
+
+describe("move log", () => {
+  it("records reveals, flags and unflags in order", () => {
+    const game = createGame("500");
+    const [first, second] = game.getCells();
+
+    game.handleCellRightClick(first);
+    game.handleCellRightClick(first);
+    game.handleCellClick(second);
+
+    assert.deepEqual(
+      game.getMoveLog().map((move) => [move.type, move.cellId]),
+      [
+        ["flag", first.id],
+        ["unflag", first.id],
+        ["reveal", second.id],
+      ],
+    );
+  });
+
+  it("ignores clicks that don't change the board", () => {
+    const game = createGame("500");
+    const flagged = game.getCells()[0];
+
+    game.handleCellRightClick(flagged);
+    game.handleCellClick(flagged);
+
+    assert.equal(game.getMoveLog().length, 1);
+  });
+});
+
+describe("undo", () => {
+  it("takes back flags but not reveals", () => {
+    const game = createGame("500");
+    const [first, second] = game.getCells().filter((c) => !c.isMine);
+
+    game.handleCellRightClick(first);
+    assert.ok(game.undo());
+    assert.ok(!first.isFlagged);
+    assert.equal(game.getFlagCount(), 0);
+
+    game.handleCellClick(second);
+    assert.ok(!game.canUndo());
+    assert.ok(!game.undo());
+  });
+
+  it("only undoes a losing click in practice mode", () => {
+    const game = createGame("500");
+    game.handleCellClick(game.getCells().find((c) => c.isMine));
+
+    assert.equal(game.getGameState(), "lost");
+    assert.ok(!game.undo());
+  });
+
+  it("restores the board before the losing click in practice mode", () => {
+    const game = createGame("250", { practice: true });
+    const safe = game.getCells().find((c) => !c.isMine && c.adjacentMines > 0);
+    game.handleCellClick(safe);
+    const revealedBefore = game.getRevealedCount();
+
+    game.handleCellClick(game.getCells().find((c) => c.isMine));
+    assert.ok(game.undo());
+
+    assert.equal(game.getGameState(), "playing");
+    assert.equal(game.getRevealedCount(), revealedBefore);
+    assert.equal(game.getClickedMine(), null);
+    assert.ok(game.getCells().every((c) => !c.isMine || !c.isRevealed));
+    assert.equal(game.getUndoCount(), 1);
+  });
+
+  it("leaves a replay's moves alone", () => {
+    const game = createGame("500");
+    game.handleCellRightClick(game.getCells()[0]);
+    game.setReplaying(true);
+
+    assert.ok(!game.canUndo());
+    assert.ok(!game.undo());
+    assert.equal(game.getFlagCount(), 1);
+  });
+});
+
+describe("replay records", () => {
+  const config = new GameConfig("?city=lisboa&gridSize=250&value=3");
+
+  it("round-trips through a link fragment", () => {
+    const game = createGame("250");
+    playSomeMoves(game);
+    const record = createReplayRecord(config, "abc", game);
+
+    const decoded = decodeReplay(encodeReplay(record));
+
+    assert.deepEqual(decoded.moves, game.getMoveLog());
+    assert.deepEqual(decoded.config, config.getParams());
+    assert.equal(decoded.dataHash, "abc");
+  });
+
+  it("rejects tampered or malformed payloads", () => {
+    assert.throws(() => decodeReplay("not base64!"), /corrupted/);
+    assert.throws(() => decodeReplay(btoa("{")), /corrupted/);
+    assert.throws(
+      () => parseReplayRecord({ version: 99, config: {}, moves: [] }),
+      /unsupported version/,
+    );
+    assert.throws(
+      () => parseReplayRecord({ version: 1, config: {}, moves: [["x", 1, 0]] }),
+      /malformed move 1/,
+    );
+  });
+});
+
+describe("GameReplay", () => {
+  it("steps through a finished game to the same final board", () => {
+    const data = loadGrid("250");
+    const original = createGame("250");
+    playSomeMoves(original);
+
+    const game = createGame("250");
+    const gameMap = { restartGame: () => game.initializeGame(data) };
+    const replay = new GameReplay(game, gameMap);
+    replay.load(original.getMoveLog());
+    replay.start();
+
+    assert.ok(game.isReplaying());
+    while (replay.step());
+
+    assert.equal(game.getGameState(), original.getGameState());
+    assert.deepEqual(
+      game.getCells().map((c) => [c.isRevealed, c.isFlagged]),
+      original.getCells().map((c) => [c.isRevealed, c.isFlagged]),
+    );
+
+    replay.stop();
+    assert.ok(!game.isReplaying());
+  });
+});
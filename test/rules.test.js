@@ -0,0 +1,139 @@
+import { describe, it, after, before, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { GameConfig } from "../js/config.js";
+import { DEFAULT_LANGUAGE, setLanguage } from "../js/i18n.js";
+import { METRICS, compileRule, describeRule, parseRule } from "../js/rules.js";
+import { createGame, loadGrid } from "./helpers.js";
+
+beforeEach(() => {
+  mock.method(console, "log", () => {});
+});
+
+describe("parseRule", () => {
+  before(() => setLanguage("en"));
+  after(() => setLanguage(DEFAULT_LANGUAGE));
+
+  it("parses comparisons with every operator", () => {
+    for (const operator of [">=", "<=", ">", "<", "=", "==", "!="]) {
+      const rule = parseRule(`price_max${operator}300`);
+      assert.deepEqual(rule, {
+        type: "comparison",
+        metric: "price_max",
+        operator: operator,
+        value: 300,
+      });
+    }
+  });
+
+  it("binds AND tighter than OR and honours brackets", () => {
+    const rule = compileRule(
+      "price_max>300 OR listings_count>=5 and price_mean<80",
+    );
+    assert.ok(rule.test({ price_max: 400, listings_count: 1, price_mean: 90 }));
+    assert.ok(
+      !rule.test({ price_max: 100, listings_count: 9, price_mean: 90 }),
+    );
+
+    const grouped = compileRule(
+      "(price_max>300 OR listings_count>=5) AND price_mean<80",
+    );
+    assert.ok(
+      !grouped.test({ price_max: 400, listings_count: 1, price_mean: 90 }),
+    );
+  });
+
+  it("reports what went wrong", () => {
+    assert.throws(() => parseRule(""), /empty/);
+    assert.throws(() => parseRule("rating>4"), /unknown metric "rating"/);
+    assert.throws(() => parseRule("price_mean 80"), /expected a comparison/);
+    assert.throws(() => parseRule("price_mean<"), /expected a number/);
+    assert.throws(() => parseRule("(price_mean<80"), /expected "\)"/);
+    assert.throws(
+      () => parseRule("price_mean<80 price_max>9"),
+      /use AND or OR/,
+    );
+    assert.throws(() => parseRule("price_mean<80; drop"), /unexpected ";"/);
+  });
+});
+
+describe("compileRule", () => {
+  it("lists the metrics it reads and never matches missing values", () => {
+    const rule = compileRule("listings_count>=5 AND price_mean<80");
+
+    assert.deepEqual(rule.metrics, ["listings_count", "price_mean"]);
+    assert.ok(!rule.test({ listings_count: 6, price_mean: null }));
+  });
+
+  it("describes rules for players", () => {
+    assert.equal(
+      describeRule("price_max>300 AND (listings_count>=5 OR price_min<40)"),
+      "Preço Máximo (€) > 300 E (Contagem de Anúncios ≥ 5 OU Preço Mínimo (€) < 40)",
+    );
+
+    setLanguage("en");
+    try {
+      assert.equal(
+        describeRule("price_mean<80.5 OR listings_count>=1000"),
+        "Mean Price (€) < 80.5 OR Listing Count ≥ 1,000",
+      );
+    } finally {
+      setLanguage(DEFAULT_LANGUAGE);
+    }
+    assert.equal(describeRule("price_mean<80.5"), "Preço Médio (€) < 80,5");
+  });
+});
+
+describe("rules in the game", () => {
+  it("plain mode and value behave like a >= rule", () => {
+    const plain = createGame("500", { mode: "price_mean", value: 100 });
+    const ruled = createGame("500", { rule: "price_mean>=100" });
+
+    assert.deepEqual(
+      ruled.getCells().map((cell) => cell.isMine),
+      plain.getCells().map((cell) => cell.isMine),
+    );
+  });
+
+  it("supports less-than rules for cheap zones", () => {
+    const game = createGame("500", { rule: "price_mean<60" });
+
+    game.getCells().forEach((cell) => {
+      assert.equal(cell.isMine, cell.feature.properties.price_mean < 60);
+    });
+  });
+
+  for (const gridSize of ["250", "500", "1000"]) {
+    it(`finds every metric on lisboa_${gridSize}`, () => {
+      for (const { properties } of loadGrid(gridSize).features) {
+        for (const metric of METRICS) {
+          assert.equal(typeof properties[metric], "number", metric);
+        }
+        assert.ok(properties.entire_home_pct <= 100);
+        assert.ok(properties.unlicensed_count <= properties.listings_count);
+        assert.ok(properties.multi_host_count <= properties.listings_count);
+        assert.ok(properties.availability_mean <= 365);
+      }
+    });
+  }
+
+  it("accepts the listing metrics as modes", () => {
+    const config = new GameConfig("?mode=unlicensed_count&value=2");
+    assert.equal(config.getModeDisplayName(), "Anúncios sem Licença");
+    assert.equal(config.getRule(), "unlicensed_count>=2");
+
+    const game = createGame("500", { mode: "unlicensed_count", value: 2 });
+    game.cells.forEach((cell) => {
+      assert.equal(cell.value, cell.feature.properties.unlicensed_count);
+      assert.equal(cell.isMine, cell.value >= 2);
+    });
+  });
+
+  it("is validated by GameConfig", () => {
+    const config = new GameConfig("?rule=price_max%3E300");
+    assert.equal(config.getRule(), "price_max>300");
+    assert.equal(config.getRuleDisplayName(), "Preço Máximo (€) > 300");
+    assert.equal(new GameConfig("?value=4").getRule(), "listings_count>=4");
+
+    assert.throws(() => new GameConfig("?rule=nope"), /Regra inválida/);
+  });
+});
@@ -0,0 +1,163 @@
+import { describe, it, after, before, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { GameConfig } from "../js/config.js";
+import { DEFAULT_LANGUAGE, setLanguage } from "../js/i18n.js";
+import {
+  buildResultGrid,
+  createChallengeURL,
+  createResultSummary,
+  decodeChallenge,
+  encodeChallenge,
+  toBase64Url,
+} from "../js/share.js";
+import { createGame } from "./helpers.js";
+
+beforeEach(() => {
+  mock.method(console, "log", () => {});
+});
+
+describe("challenge links", () => {
+  before(() => setLanguage("en"));
+  after(() => setLanguage(DEFAULT_LANGUAGE));
+
+  const config = new GameConfig("?city=lisboa&gridSize=250&value=3");
+
+  it("round-trips options and progress", () => {
+    const game = createGame("250", { safeStart: true });
+    game.handleCellRightClick(game.getCells().find((c) => !c.isRevealed));
+    const params = { ...config.getParams(), start: game.getOpeningCell().id };
+
+    const decoded = decodeChallenge(
+      encodeChallenge({
+        params,
+        dataHash: "abc",
+        snapshot: game.getSnapshot(),
+      }),
+    );
+
+    assert.deepEqual(decoded.params, params);
+    assert.equal(decoded.dataHash, "abc");
+    assert.deepEqual(decoded.snapshot.flagged, game.getSnapshot().flagged);
+
+    const restored = createGame("250");
+    restored.restoreSnapshot(decoded.snapshot);
+    assert.equal(restored.getFlagCount(), 1);
+  });
+
+  it("passes its options through GameConfig validation", () => {
+    const link = encodeChallenge({ params: { city: "../etc", value: 3 } });
+    const target = new GameConfig("");
+
+    assert.throws(
+      () => target.setParams(decodeChallenge(link).params),
+      /Invalid city name/,
+    );
+    assert.throws(
+      () => target.setParams({ evil: true }),
+      /Unknown game option: evil/,
+    );
+  });
+
+  it("rejects tampered and malformed links", () => {
+    const link = encodeChallenge({ params: config.getParams() });
+    const [body, checksum] = link.split(".");
+    const edited = toBase64Url(
+      JSON.stringify({ v: 1, p: { ...config.getParams(), value: 1 } }),
+    );
+
+    assert.throws(() => decodeChallenge(`${edited}.${checksum}`), /modified/);
+    assert.throws(() => decodeChallenge(`${body}.00000000`), /modified/);
+    assert.throws(() => decodeChallenge("%%%"), /corrupted|modified/);
+    assert.throws(
+      () =>
+        decodeChallenge(
+          encodeChallenge({
+            params: {},
+            snapshot: { gameState: "won", revealed: [], flagged: [] },
+          }),
+        ),
+      /malformed progress snapshot/,
+    );
+  });
+
+  it("builds a link that only carries the challenge", () => {
+    const url = createChallengeURL(
+      "https://example.org/game.html?city=lisboa#replay=x",
+      "abc.123",
+    );
+    assert.equal(url, "https://example.org/game.html?challenge=abc.123");
+  });
+});
+
+describe("start cell", () => {
+  it("opens the requested cell", () => {
+    const safe = createGame("500")
+      .getCells()
+      .find((cell) => !cell.isMine);
+    const game = createGame("500", { start: safe.id });
+
+    assert.equal(game.getOpeningCell().id, safe.id);
+    assert.ok(game.getCellById(safe.id).isRevealed);
+  });
+
+  it("refuses to open a mine", () => {
+    const mine = createGame("500")
+      .getCells()
+      .find((cell) => cell.isMine);
+
+    assert.throws(
+      () => createGame("500", { start: mine.id }),
+      /Área inicial \d+ inválida/,
+    );
+  });
+});
+
+describe("result summary", () => {
+  it("draws at most 16 columns with the clicked mine marked", () => {
+    const game = createGame("250");
+    game.handleCellClick(game.getCells().find((cell) => cell.isMine));
+
+    const grid = buildResultGrid(game);
+    const rows = grid.split("\n");
+
+    assert.ok(rows.every((row) => [...row].length <= 16));
+    assert.ok(grid.includes("💥"));
+  });
+
+  it("includes the outcome and the link", () => {
+    const game = createGame("1000");
+    game.getCells().forEach((cell) => {
+      if (!cell.isMine) game.handleCellClick(cell);
+    });
+
+    const summary = createResultSummary(
+      game,
+      new GameConfig("?gridSize=1000"),
+      "https://example.org/",
+    );
+
+    assert.match(summary, /Lisboa 1000 m/);
+    assert.match(summary, /Ganhou/);
+    assert.match(summary, /https:\/\/example\.org\/$/);
+  });
+
+  it("is written in the player's language", () => {
+    const game = createGame("1000");
+    game.handleCellClick(game.getCells().find((cell) => cell.isMine));
+
+    setLanguage("en");
+    try {
+      const summary = createResultSummary(
+        game,
+        new GameConfig("?shape=neighbourhood"),
+        "https://example.org/",
+      );
+      assert.match(
+        summary,
+        /Lisboa neighbourhoods\n💥 Lost after 0:00 · \d+% revealed\n/,
+      );
+    } finally {
+      setLanguage(DEFAULT_LANGUAGE);
+    }
+  });
+});
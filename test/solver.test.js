@@ -0,0 +1,150 @@
+import { describe, it, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { GameConfig } from "../js/config.js";
+import { MinesweeperGame } from "../js/game.js";
+import { createResultSummary } from "../js/share.js";
+import { findDeductions, findHint, verifyBoard } from "../js/solver.js";
+import { createGame } from "./helpers.js";
+
+// A board of square cells from rows of "." (safe) and "*" (mine), the first
+// row northernmost. Cell ids count from 1 along the rows.
+function createBoard(rows, options = {}) {
+  const features = [];
+  rows.forEach((row, r) => {
+    [...row].forEach((symbol, c) => {
+      const [left, top] = [c / 100, 38.7 - r / 100];
+      const [right, bottom] = [left + 0.01, top - 0.01];
+      features.push({
+        type: "Feature",
+        properties: {
+          id: features.length + 1,
+          left,
+          top,
+          right,
+          bottom,
+          listings_count: symbol === "*" ? 5 : 0,
+        },
+        geometry: {
+          type: "Polygon",
+          coordinates: [
+            [
+              [left, top],
+              [right, top],
+              [right, bottom],
+              [left, bottom],
+              [left, top],
+            ],
+          ],
+        },
+      });
+    });
+  });
+
+  const game = new MinesweeperGame();
+  game.initializeGame(
+    { type: "FeatureCollection", features },
+    { mode: "listings_count", value: 3, ...options },
+  );
+  return game;
+}
+
+// The mine on the right edge can be told apart from its neighbours by
+// comparing the numbers beside it
+const DEDUCIBLE = ["....", "...*", "...."];
+// Two cells share the same numbers: a 50/50 guess
+const COIN_FLIP = ["...", "..*"];
+
+beforeEach(() => {
+  mock.method(console, "log", () => {});
+});
+
+describe("solver", () => {
+  it("deduces safe cells from overlapping numbers", () => {
+    const game = createBoard(DEDUCIBLE, { start: 1 });
+    const hint = findHint(game);
+
+    assert.equal(hint.isMine, false);
+    assert.ok([4, 12].includes(hint.cell.id));
+  });
+
+  it("points out mines, building on correct flags", () => {
+    const game = createBoard(DEDUCIBLE, { start: 1 });
+    game.handleCellClick(game.getCellById(12));
+
+    const hint = findHint(game);
+    assert.deepEqual([hint.cell.id, hint.isMine], [8, true]);
+
+    game.handleCellRightClick(hint.cell);
+    assert.deepEqual(
+      [findHint(game).cell.id, findHint(game).isMine],
+      [4, false],
+    );
+  });
+
+  it("has no hint when only a guess will do", () => {
+    const game = createBoard(COIN_FLIP, { start: 1 });
+    assert.equal(findHint(game), null);
+  });
+
+  it("verifies whether a board can be won without guessing", () => {
+    const deducible = createBoard(DEDUCIBLE);
+    assert.deepEqual(verifyBoard(deducible, deducible.getCellById(1)), {
+      deducible: true,
+      revealed: 11,
+      safeCells: 11,
+    });
+
+    const coinFlip = createBoard(COIN_FLIP);
+    assert.deepEqual(verifyBoard(coinFlip, coinFlip.getCellById(1)), {
+      deducible: false,
+      revealed: 4,
+      safeCells: 5,
+    });
+    assert.equal(verifyBoard(coinFlip, null).deducible, false);
+  });
+
+  it("only makes correct deductions on real boards", () => {
+    // Play lisboa_1000 by following the solver, which must never lose
+    const game = createGame("1000", { safeStart: true });
+    const revealed = () =>
+      new Set(game.getCells().filter((cell) => cell.isRevealed));
+    const mines = new Set();
+
+    for (;;) {
+      const deductions = findDeductions(game, revealed(), mines);
+      if (deductions.safe.length === 0 && deductions.mines.length === 0) {
+        break;
+      }
+      deductions.mines.forEach((cell) => {
+        assert.ok(cell.isMine, `cell ${cell.id} isn't a mine`);
+        mines.add(cell);
+      });
+      deductions.safe.forEach((cell) => game.handleCellClick(cell));
+      assert.notEqual(game.getGameState(), "lost");
+    }
+
+    const result = verifyBoard(game, game.getOpeningCell());
+    assert.equal(result.revealed, game.getRevealedCount());
+    assert.equal(result.deducible, game.getGameState() === "won");
+  });
+});
+
+describe("hints", () => {
+  it("are counted, kept with saved games and shown in the result", () => {
+    const game = createBoard(DEDUCIBLE, { start: 1 });
+    game.useHint();
+    assert.equal(game.getHintCount(), 1);
+
+    const snapshot = game.getSnapshot();
+    const resumed = createBoard(DEDUCIBLE);
+    resumed.restoreSnapshot(snapshot);
+    assert.equal(resumed.getHintCount(), 1);
+
+    [4, 12].forEach((id) => game.handleCellClick(game.getCellById(id)));
+    assert.equal(game.getGameState(), "won");
+    assert.match(
+      createResultSummary(game, new GameConfig(""), "https://example.org/"),
+      /% revelado · 💡 1 dica\n/,
+    );
+  });
+});
@@ -0,0 +1,85 @@
+import { describe, it, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { GameConfig } from "../js/config.js";
+import { GameStorage, hashString } from "../js/storage.js";
+import { createGame } from "./helpers.js";
+
+class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+beforeEach(() => {
+  mock.method(console, "log", () => {});
+  mock.method(console, "warn", () => {});
+});
+
+describe("hashString", () => {
+  it("is stable and sensitive to changes", () => {
+    assert.equal(hashString("lisboa"), hashString("lisboa"));
+    assert.notEqual(hashString("lisboa"), hashString("lisbon"));
+    assert.match(hashString(""), /^[0-9a-f]{8}$/);
+  });
+});
+
+describe("GameStorage", () => {
+  const config = new GameConfig("?city=lisboa&gridSize=500&value=3");
+
+  it("round-trips a game for the same config and data", () => {
+    const storage = new GameStorage(new MemoryStorage());
+    const game = createGame("500");
+    game.handleCellRightClick(game.getCells()[0]);
+
+    storage.save(config, "abc", game);
+    const record = storage.load(config, "abc");
+
+    assert.deepEqual(record.state.flagged, [game.getCells()[0].id]);
+    assert.deepEqual(record.config, config.getParams());
+  });
+
+  it("keys saves by city, grid size, mode and value", () => {
+    const storage = new GameStorage(new MemoryStorage());
+    storage.save(config, "abc", createGame("500"));
+
+    const other = new GameConfig("?city=lisboa&gridSize=500&value=4");
+    assert.equal(storage.load(other, "abc"), null);
+  });
+
+  it("keys hex boards apart from square ones", () => {
+    const storage = new GameStorage(new MemoryStorage());
+    const hex = new GameConfig("?city=lisboa&gridSize=500&value=3&shape=hex");
+    assert.notEqual(storage.getKey(hex), storage.getKey(config));
+    assert.ok(!storage.getKey(config).includes("square"));
+  });
+
+  it("refuses to resume when the data file changed", () => {
+    const backend = new MemoryStorage();
+    const storage = new GameStorage(backend);
+    storage.save(config, "abc", createGame("500"));
+
+    assert.equal(storage.load(config, "def"), null);
+    assert.equal(backend.items.size, 0);
+  });
+
+  it("drops unreadable saves", () => {
+    const backend = new MemoryStorage();
+    const storage = new GameStorage(backend);
+    backend.setItem(storage.getKey(config), "{not json");
+
+    assert.equal(storage.load(config, "abc"), null);
+    assert.equal(backend.items.size, 0);
+  });
+});
@@ -0,0 +1,209 @@
+import { describe, it, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+import { GameConfig } from "../js/config.js";
+import { getInteriorPoint } from "../js/geometry.js";
+import {
+  LONG_PRESS_MS,
+  MIN_TOUCH_TARGET,
+  MOVE_TOLERANCE,
+  PINCH_GUARD_MS,
+  TOUCH_TARGETS,
+  TouchTracker,
+  chooseCellAction,
+  findCellAt,
+  findNearestCell,
+} from "../js/touch.js";
+import { createGame } from "./helpers.js";
+
+beforeEach(() => {
+  mock.method(console, "log", () => {});
+});
+
+// A tracker on a fake clock, recording what it reports
+function createTracker() {
+  const events = [];
+  const timers = new Map();
+  let time = 0;
+  let nextTimer = 1;
+  const tracker = new TouchTracker({
+    onTap: (point) => events.push(["tap", point]),
+    onLongPress: (point) => events.push(["longPress", point]),
+    setTimer: (callback, delay) => {
+      timers.set(nextTimer, { callback, at: time + delay });
+      return nextTimer++;
+    },
+    clearTimer: (id) => timers.delete(id),
+    now: () => time,
+  });
+  const advance = (ms) => {
+    time += ms;
+    timers.forEach(({ callback, at }, id) => {
+      if (at <= time) {
+        timers.delete(id);
+        callback();
+      }
+    });
+  };
+  return { tracker, events, timers, advance };
+}
+
+const touch = (clientX, clientY) => ({ clientX, clientY });
+
+describe("touch gestures", () => {
+  it("tap when a finger lifts where it went down", () => {
+    const { tracker, events, timers, advance } = createTracker();
+    tracker.start([touch(100, 200)]);
+    advance(100);
+    tracker.move([touch(103, 204)]);
+    assert.equal(tracker.end(), true);
+    assert.deepEqual(events, [["tap", { x: 100, y: 200 }]]);
+    assert.equal(timers.size, 0);
+  });
+
+  it("long press once the finger is held, without a tap after", () => {
+    const { tracker, events, advance } = createTracker();
+    tracker.start([touch(50, 60)]);
+    advance(LONG_PRESS_MS);
+    assert.deepEqual(events, [["longPress", { x: 50, y: 60 }]]);
+
+    // Lifting still reports the touch as handled, to stop the click
+    advance(300);
+    assert.equal(tracker.end(), true);
+    assert.equal(events.length, 1);
+  });
+
+  it("swallow only the context menu of a long press", () => {
+    const { tracker, advance } = createTracker();
+
+    // Android's menu after the long press, then a mouse right click
+    tracker.start([touch(50, 60)]);
+    advance(LONG_PRESS_MS);
+    tracker.end();
+    assert.equal(tracker.consumeContextMenu(), true);
+    assert.equal(tracker.consumeContextMenu(), false);
+
+    // The menu while the finger is still down, even before ours fires
+    tracker.start([touch(50, 60)]);
+    advance(LONG_PRESS_MS - 50);
+    assert.equal(tracker.consumeContextMenu(), true);
+    advance(50);
+    tracker.end();
+    assert.equal(tracker.consumeContextMenu(), false);
+
+    // A right click just after a tap, or long after a long press with no
+    // menu (iOS)
+    tracker.start([touch(50, 60)]);
+    tracker.end();
+    assert.equal(tracker.consumeContextMenu(), false);
+    tracker.start([touch(50, 60)]);
+    advance(LONG_PRESS_MS);
+    tracker.end();
+    advance(LONG_PRESS_MS * 2);
+    assert.equal(tracker.consumeContextMenu(), false);
+  });
+
+  it("pass on the click of a tap that missed", () => {
+    const tracker = new TouchTracker({ onTap: () => false });
+    tracker.start([touch(100, 200)]);
+    assert.equal(tracker.end(), false);
+  });
+
+  it("ignore a finger that pans the map", () => {
+    const { tracker, events, advance } = createTracker();
+    tracker.start([touch(100, 100)]);
+    tracker.move([touch(100 + MOVE_TOLERANCE + 1, 100)]);
+    advance(LONG_PRESS_MS);
+    assert.equal(tracker.end(), false);
+    assert.deepEqual(events, []);
+  });
+
+  it("ignore pinches, and the finger left when one side lifts", () => {
+    const { tracker, events, advance } = createTracker();
+    tracker.start([touch(100, 100)]);
+    tracker.start([touch(100, 100), touch(200, 200)]);
+    advance(200);
+    assert.equal(tracker.end(), false);
+
+    // The remaining finger touching down again straight away
+    tracker.start([touch(200, 200)]);
+    advance(LONG_PRESS_MS);
+    assert.equal(tracker.end(), false);
+    assert.deepEqual(events, []);
+
+    advance(PINCH_GUARD_MS);
+    tracker.start([touch(200, 200)]);
+    tracker.end();
+    assert.deepEqual(events, [["tap", { x: 200, y: 200 }]]);
+  });
+});
+
+describe("touch actions", () => {
+  it("flag with a long press, or a tap in flag mode", () => {
+    assert.equal(
+      chooseCellAction({ flagMode: false, longPress: false }),
+      "reveal",
+    );
+    assert.equal(
+      chooseCellAction({ flagMode: false, longPress: true }),
+      "flag",
+    );
+    assert.equal(
+      chooseCellAction({ flagMode: true, longPress: false }),
+      "flag",
+    );
+    assert.equal(
+      chooseCellAction({ flagMode: true, longPress: true }),
+      "reveal",
+    );
+  });
+
+  it("find the cell under a touch", () => {
+    const game = createGame("1000");
+    game.getCells().forEach((cell) => {
+      assert.equal(
+        findCellAt(game, getInteriorPoint(cell.feature.geometry)),
+        cell,
+      );
+    });
+    assert.equal(findCellAt(game, [0, 0]), undefined);
+  });
+
+  it("reach the nearest cell within a fingertip on screen", () => {
+    // A zoomed out view, with cells under 20 pixels across
+    const game = createGame("1000");
+    const toScreen = ([lng, lat]) => ({
+      x: (lng + 10) * 2000,
+      y: (40 - lat) * 2000,
+    });
+    const [west] = game
+      .getCells()
+      .sort((a, b) => game.getCellBounds(a).left - game.getCellBounds(b).left);
+    const { x, y } = toScreen([
+      game.getCellBounds(west).left,
+      getInteriorPoint(west.feature.geometry)[1],
+    ]);
+
+    assert.equal(findNearestCell(game, { x: x - 10, y: y }, toScreen), west);
+    assert.equal(
+      findNearestCell(game, { x: x - MIN_TOUCH_TARGET, y: y }, toScreen),
+      undefined,
+    );
+    assert.equal(
+      findNearestCell(game, { x: x - 10, y: y }, toScreen, 5),
+      undefined,
+    );
+  });
+
+  it("choose the touch target with the touchTarget param", () => {
+    assert.deepEqual(TOUCH_TARGETS, ["normal", "large"]);
+    assert.equal(new GameConfig("").getTouchTarget(), "normal");
+
+    const config = new GameConfig("?touchTarget=large&gridSize=250");
+    assert.equal(config.getTouchTarget(), "large");
+    assert.equal(config.getParams().touchTarget, undefined);
+    assert.throws(
+      () => new GameConfig("?touchTarget=huge"),
+      /Alvo de toque inválido\. Tem de ser um de normal, large\./,
+    );
+  });
+});